@@ -633,6 +633,45 @@ class BasePlayer {
     return { filename, filepath };
   }
 
+  // In-game input recording: captures held input per simulation step, so a
+  // session can be replayed exactly instead of re-timing keypresses
+  async startInputRecording() {
+    await this.playwright.page.evaluate(() => window.game.startRecording());
+    console.log('⏺️  Recording input');
+  }
+
+  async stopInputRecording(name = 'input') {
+    const recording = await this.playwright.page.evaluate(() =>
+      window.game.stopRecording()
+    );
+
+    const filepath = path.join(
+      this.config.outputDir,
+      `${name}-${Date.now()}.json`
+    );
+    await fs.writeFile(filepath, JSON.stringify(recording));
+    console.log(`💾 Saved ${recording.ticks} steps of input: ${filepath}`);
+    return { recording, filepath };
+  }
+
+  /**
+   * Replay a recording in the page and wait for it to finish
+   * @param {Object|string} recording - Recording object or path to its JSON
+   * @returns {Promise<Object>} game.getSimulationState() after the last step
+   */
+  async playReplay(recording) {
+    const data =
+      typeof recording === 'string'
+        ? JSON.parse(await fs.readFile(recording, 'utf8'))
+        : recording;
+
+    console.log(`▶️  Replaying ${data.ticks} steps in ${data.worldId}`);
+    return await this.playwright.page.evaluate(
+      (rec) => window.game.playReplay(rec),
+      data
+    );
+  }
+
   // ========================================
   // RESULTS & REPORTING
   // ========================================
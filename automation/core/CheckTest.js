@@ -0,0 +1,118 @@
+import BasePlayer from './BasePlayer.js';
+import { DEFAULT_CONFIG } from '../config/test-config.js';
+
+/**
+ * CheckTest - Base for tests that check game state in the page rather than
+ * play through it. Wraps a BasePlayer session (no video or position
+ * tracking), keeps a tally of passed and failed checks and fails the run
+ * if any check failed.
+ *
+ * Subclasses implement executeTestSequence() and record each check with
+ * pass(), fail(), check() or expectEqual(). Extra summary lines come from
+ * summaryLines().
+ */
+class CheckTest {
+  /**
+   * @param {string} testName - Test name, also the results folder
+   * @param {Object} options
+   * @param {string} options.title - Summary heading, e.g. '💾 SAVE MIGRATION'
+   * @param {Object} [options.config] - Overrides for DEFAULT_CONFIG
+   * @param {string} [options.gameUrl] - Page to load instead of the
+   *   default dev-mode URL
+   */
+  constructor(testName, { title, config = {}, gameUrl = null }) {
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...config,
+      enableVideo: false,
+      enablePositionTracking: false,
+    };
+    this.player = new BasePlayer(testName, this.config);
+    this.title = title;
+    this.gameUrl = gameUrl;
+
+    this.testResults = {
+      checksPassed: 0,
+      failures: [],
+    };
+  }
+
+  get page() {
+    return this.player.playwright.page;
+  }
+
+  async run() {
+    try {
+      await this.player.startSession(this.gameUrl);
+      await this.executeTestSequence();
+      await this.player.finishSession();
+    } catch (error) {
+      console.error('Test execution failed:', error);
+      throw error;
+    }
+
+    this.printSummary();
+
+    if (this.testResults.failures.length > 0) {
+      throw new Error(`${this.testResults.failures.length} check(s) failed`);
+    }
+  }
+
+  async executeTestSequence() {
+    throw new Error(
+      `${this.constructor.name} must implement executeTestSequence`
+    );
+  }
+
+  pass() {
+    this.testResults.checksPassed++;
+  }
+
+  fail(name, detail) {
+    console.error(`❌ ${name}: ${detail}`);
+    this.testResults.failures.push({ name, detail });
+  }
+
+  /**
+   * Pass if ok, otherwise fail with detail
+   * @returns {boolean} ok
+   */
+  check(name, ok, detail) {
+    if (ok) {
+      this.pass();
+    } else {
+      this.fail(name, detail);
+    }
+    return ok;
+  }
+
+  // Compare as JSON with sorted keys, so key order doesn't matter
+  expectEqual(name, actual, expected) {
+    const normalize = (value) =>
+      JSON.stringify(value, (key, inner) =>
+        inner && typeof inner === 'object' && !Array.isArray(inner)
+          ? Object.fromEntries(Object.entries(inner).sort())
+          : inner
+      );
+
+    return this.check(
+      name,
+      normalize(actual) === normalize(expected),
+      `got ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`
+    );
+  }
+
+  // Lines printed between the heading and the pass/fail counts
+  summaryLines() {
+    return [];
+  }
+
+  printSummary() {
+    console.log(`\n${this.title} SUMMARY`);
+    this.summaryLines().forEach((line) => console.log(`   ${line}`));
+    console.log(`   Checks passed: ${this.testResults.checksPassed}`);
+    console.log(`   Failures: ${this.testResults.failures.length}`);
+  }
+}
+
+export default CheckTest;
@@ -1,2 +1,3 @@
 // Core automation modules
 export { default as BasePlayer } from './BasePlayer.js';
+export { default as CheckTest } from './CheckTest.js';
@@ -2,6 +2,7 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import { pathToFileURL } from 'url';
 
 /**
  * Enhanced Test Runner with per-test cleanup and management
@@ -21,8 +22,10 @@ class TestRunner {
     console.log(`🚀 Running test: ${testPath}`);
 
     try {
-      // Import the test dynamically
-      const TestClass = (await import(testPath)).default;
+      // Import the test dynamically. Paths are relative to the working
+      // directory, not this file.
+      const testUrl = pathToFileURL(path.resolve(testPath)).href;
+      const TestClass = (await import(testUrl)).default;
 
       // Create test instance
       const test = new TestClass(testConfig);
@@ -160,6 +163,7 @@ class TestRunner {
       this.config.resultsBaseDir,
       `test-summary-${Date.now()}.json`
     );
+    await fs.mkdir(this.config.resultsBaseDir, { recursive: true });
     await fs.writeFile(summaryPath, JSON.stringify(summary, null, 2));
 
     // Print summary to console
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+import { CheckTest } from '../core/index.js';
+
+/**
+ * Game Reset Test
+ *
+ * Checks game.resetGameState() (the pause menu's reset) unloads the world
+ * it leaves before reloading the hub, so nothing is doubled up:
+ * 1. Resetting in the hub leaves the same physics bodies and entities as
+ *    a fresh load
+ * 2. Resetting from another world does too, and lands back in the hub
+ */
+
+// Any world other than the hub
+const OTHER_WORLD = 'vibe-coding';
+
+class GameResetTest extends CheckTest {
+  constructor(config = {}) {
+    super('game-reset', { title: '🔄 GAME RESET', config });
+    this.hubCounts = null;
+  }
+
+  async executeTestSequence() {
+    await this.player.executeAction('Count Fresh Hub', async () => {
+      await this.page.evaluate(() => window.game.hubLoaded);
+      this.hubCounts = await this.countWorld();
+      return this.hubCounts;
+    });
+
+    await this.player.executeAction('Reset In Hub', async () => {
+      await this.page.evaluate(() => window.game.resetGameState());
+      const after = await this.countWorld();
+
+      this.expectEqual('reset in hub', after, this.hubCounts);
+      return after;
+    });
+
+    await this.player.executeAction('Reset From Another World', async () => {
+      await this.page.evaluate(async (worldId) => {
+        const game = window.game;
+        await game.worldTransitionManager.transitionToWorld(worldId);
+        await game.resetGameState();
+      }, OTHER_WORLD);
+      const after = await this.countWorld();
+
+      this.expectEqual(`reset from ${OTHER_WORLD}`, after, this.hubCounts);
+      return after;
+    });
+  }
+
+  // Physics bodies (ours and Matter's) and entities in the loaded world
+  async countWorld() {
+    return this.page.evaluate(() => {
+      const game = window.game;
+      return {
+        worldId: game.worldTransitionManager.getCurrentWorldId(),
+        bodies: game.physics.bodies.size,
+        matterBodies: game.physics.world.bodies.length,
+        mysteryBoxes: game.mysteryBoxes.length,
+        doors: (game.doors || []).length,
+        portals: (game.portals || []).length,
+        checkpoints: (game.checkpoints || []).length,
+        enemies: (game.enemies || []).length,
+      };
+    });
+  }
+}
+
+export default GameResetTest;
+
+// Allow direct execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const test = new GameResetTest();
+  test.run().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+import { CheckTest } from '../core/index.js';
+
+/**
+ * Input Replay Test
+ *
+ * Records a scripted run with game.startRecording(), then replays it and
+ * checks the player ends up in the same place (src/game/InputRecorder.js):
+ * 1. A replay stepped with stepSimulation() matches the recorded run
+ * 2. A replay driven by the normal game loop matches it too
+ * 3. validateRecording() accepts the recording and flags broken copies
+ * 4. playReplay() refuses a broken recording
+ */
+
+// [held actions, steps] for the scripted run: walk, jump, double jump,
+// drift, walk back and settle
+const SCRIPT = [
+  [['right'], 40],
+  [['right', 'jump'], 10],
+  [['right'], 20],
+  [['jump'], 8],
+  [[], 30],
+  [['left'], 40],
+  [[], 60],
+];
+
+// Pixels (and pixels per step) two runs may differ by
+const TOLERANCE = 0.01;
+
+// Each of these, merged over a good recording, must fail validation
+const BROKEN_RECORDINGS = [
+  ['unknown version', { version: 0 }],
+  ['worldId not a string', { worldId: 5 }],
+  ['fractional seed', { seed: 1.5 }],
+  ['different timestep', { timestep: 20 }],
+  ['unknown action', { actions: ['left', 'fly'] }],
+  ['start missing vy', { start: { x: 0, y: 0, vx: 0 } }],
+  ['empty input run', { inputs: [[1, 0]] }],
+  ['inputs not pairs', { inputs: [1, 2, 3] }],
+];
+
+class InputReplayTest extends CheckTest {
+  constructor(config = {}) {
+    super('input-replay', { title: '⏯️  INPUT REPLAY', config });
+    this.recording = null;
+    this.recordedState = null;
+  }
+
+  async executeTestSequence() {
+    await this.player.executeAction('Record Scripted Run', async () => {
+      // One evaluate, so no live frames land between the scripted steps
+      const { recording, state } = await this.page.evaluate((script) => {
+        const game = window.game;
+        const input = game.inputHandler;
+        const actions = Object.keys(input.keys);
+
+        game.startRecording();
+        script.forEach(([held, steps]) => {
+          actions.forEach((action) =>
+            input.setSourceState('keyboard', action, held.includes(action))
+          );
+          game.stepSimulation(steps);
+        });
+        input.releaseAll();
+
+        return {
+          recording: game.stopRecording(),
+          state: game.getSimulationState(),
+        };
+      }, SCRIPT);
+
+      this.recording = recording;
+      this.recordedState = state;
+
+      const expectedTicks = SCRIPT.reduce((sum, [, steps]) => sum + steps, 0);
+      this.check(
+        'recorded ticks',
+        recording.ticks === expectedTicks,
+        `${recording.ticks}, not ${expectedTicks}`
+      );
+
+      return { ticks: recording.ticks, player: state.player };
+    });
+
+    await this.player.executeAction('Replay With stepSimulation', async () => {
+      const state = await this.page.evaluate(async (recording) => {
+        const game = window.game;
+        // Same world, so playReplay sets up the replay before returning
+        const finished = game.playReplay(recording);
+        game.stepSimulation(recording.ticks);
+        return await finished;
+      }, this.recording);
+
+      this.compareStates('stepped replay', state);
+      return { player: state.player };
+    });
+
+    await this.player.executeAction('Replay In Game Loop', async () => {
+      const state = await this.player.playReplay(this.recording);
+
+      this.compareStates('game loop replay', state);
+      return { player: state.player };
+    });
+
+    await this.player.executeAction('Validate Recordings', async () => {
+      const results = await this.page.evaluate(
+        async ({ recording, broken }) => {
+          const { validateRecording } = await import(
+            '/src/game/InputRecorder.js'
+          );
+
+          let replayError = null;
+          try {
+            await window.game.playReplay({ ...recording, version: 0 });
+          } catch (error) {
+            replayError = error.message;
+          }
+
+          return {
+            good: validateRecording(recording),
+            notAnObject: validateRecording(null),
+            broken: broken.map(([name, patch]) => ({
+              name,
+              errors: validateRecording({ ...recording, ...patch }),
+            })),
+            replayError,
+          };
+        },
+        { recording: this.recording, broken: BROKEN_RECORDINGS }
+      );
+
+      this.check(
+        'recorded run',
+        results.good.length === 0,
+        `rejected: ${results.good.join('; ')}`
+      );
+      this.check('null recording', results.notAnObject.length > 0, 'accepted');
+      results.broken.forEach(({ name, errors }) => {
+        this.check(name, errors.length > 0, 'accepted');
+      });
+      this.check(
+        'playReplay',
+        Boolean(results.replayError),
+        'replayed a broken recording'
+      );
+
+      return results;
+    });
+  }
+
+  compareStates(name, state) {
+    const expected = this.recordedState.player;
+    const off = ['x', 'y', 'vx', 'vy'].filter(
+      (key) => Math.abs(state.player[key] - expected[key]) > TOLERANCE
+    );
+    if (state.player.isGrounded !== expected.isGrounded) off.push('isGrounded');
+    if (state.player.jumpsRemaining !== expected.jumpsRemaining) {
+      off.push('jumpsRemaining');
+    }
+
+    this.check(
+      name,
+      off.length === 0,
+      `${off.join(', ')} differ: ${JSON.stringify(state.player)} vs ${JSON.stringify(expected)}`
+    );
+  }
+
+  summaryLines() {
+    return [`Recorded steps: ${this.recording ? this.recording.ticks : 0}`];
+  }
+}
+
+export default InputReplayTest;
+
+// Allow direct execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const test = new InputReplayTest();
+  test.run().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,365 @@
+#!/usr/bin/env node
+import { CheckTest } from '../core/index.js';
+
+/**
+ * Project Content Sanitizer Test
+ *
+ * Runs known XSS payloads through the project modal's sanitizer
+ * (src/utils/sanitize.js) in a real browser, since the sanitizer relies on
+ * the browser's own HTML parser:
+ * 1. Script-bearing markup is removed (tags, on* handlers, javascript: and
+ *    data: URLs, srcdoc, namespace-confusion tricks)
+ * 2. Inline styles keep only the safe subset (no url(), expression(),
+ *    position)
+ * 3. The sanitized output doesn't run anything when put into the page
+ * 4. Safe markup used by projects.json and the Markdown renderer survives,
+ *    and links get rel="noopener"
+ * 5. Only the Markdown renderer's classes survive, so content can't borrow
+ *    the game's own (class="pause-menu visible")
+ * 6. Markdown links with unsafe URLs render as their plain label
+ */
+
+// Every payload tries to set window.__xss, so a live run also proves
+// nothing executed
+const XSS_PAYLOADS = [
+  ['script tag', '<script>window.__xss = 1</script><p>ok</p>'],
+  ['img onerror', '<img src=x onerror="window.__xss = 1">'],
+  ['body onload', '<body onload="window.__xss = 1">'],
+  ['javascript: link', '<a href="javascript:window.__xss = 1">x</a>'],
+  [
+    'obfuscated javascript: link',
+    '<a href="  JaVa&#x09;ScRiPt:window.__xss = 1">x</a>',
+  ],
+  [
+    'entity-encoded javascript: link',
+    '<a href="&#106;&#97;vascript:window.__xss = 1">x</a>',
+  ],
+  [
+    'data: link',
+    '<a href="data:text/html,<script>window.__xss = 1</script>">x</a>',
+  ],
+  ['vbscript: link', '<a href="vbscript:msgbox(1)">x</a>'],
+  ['data: image', '<img src="data:image/svg+xml,<svg onload=window.__xss=1>">'],
+  ['svg onload', '<svg onload="window.__xss = 1"><circle r="5"/></svg>'],
+  ['svg script', '<svg><script>window.__xss = 1</script></svg>'],
+  [
+    'iframe srcdoc',
+    '<iframe srcdoc="<script>parent.__xss = 1</script>"></iframe>',
+  ],
+  ['object data', '<object data="javascript:window.__xss = 1"></object>'],
+  ['embed src', '<embed src="javascript:window.__xss = 1">'],
+  [
+    'form action',
+    '<form action="javascript:window.__xss = 1"><button>go</button></form>',
+  ],
+  ['button formaction', '<button formaction="javascript:alert(1)">go</button>'],
+  [
+    'meta refresh',
+    '<meta http-equiv="refresh" content="0;url=javascript:window.__xss = 1">',
+  ],
+  ['base href', '<base href="https://evil.example/">'],
+  ['style element', '<style>body { display: none }</style>'],
+  [
+    'style url()',
+    '<p style="background: url(javascript:window.__xss = 1)">x</p>',
+  ],
+  ['style expression()', '<p style="width: expression(alert(1))">x</p>'],
+  [
+    'style escaped url()',
+    '<p style="background: \\75 rl(https://evil.example/x.png)">x</p>',
+  ],
+  [
+    'style comment-split url()',
+    '<p style="background: ur/**/l(https://evil.example/x.png)">x</p>',
+  ],
+  ['style image-set()', '<p style="background: image-set(\'x.png\' 1x)">x</p>'],
+  [
+    'fixed overlay',
+    '<div style="position: fixed; top: 0; left: 0; width: 100%; height: 100%">click</div>',
+  ],
+  [
+    'noscript mutation',
+    '<noscript><p title="</noscript><img src=x onerror=window.__xss=1>">',
+  ],
+  [
+    'math namespace confusion',
+    '<math><mtext><table><mglyph><style><img src=x onerror=window.__xss=1>',
+  ],
+  [
+    'comment breakout',
+    '<!--<img src="--><img src=x onerror=window.__xss=1//">',
+  ],
+  [
+    'template contents',
+    '<template><img src=x onerror="window.__xss = 1"></template>',
+  ],
+  ['dom clobbering', '<img name="getElementById"><a id="game">x</a>'],
+];
+
+// Safe markup that has to come through, with what must and mustn't be in
+// the output
+const SAFE_CONTENT = [
+  {
+    name: 'formatting and links',
+    html: '<h3>Title</h3><p><strong>bold</strong> <em>em</em> <a href="https://example.com" target="_blank">link</a></p>',
+    contains: [
+      '<h3>Title</h3>',
+      '<strong>bold</strong>',
+      'href="https://example.com"',
+      'target="_blank"',
+      'rel="noopener"',
+    ],
+  },
+  {
+    name: 'relative and mailto urls',
+    html: '<img src="/images/projects/slack-bot/hero.jpg" alt="Hero"><a href="mailto:hi@example.com">mail</a>',
+    contains: ['src="/images/projects/slack-bot/hero.jpg"', 'alt="Hero"'],
+  },
+  {
+    name: 'project button styles',
+    html: "<a href='https://github.com' style='display: inline-block; background: linear-gradient(135deg, #FF6B6B, #FF5722); color: white; padding: 12px 24px; position: absolute; z-index: 99999'>View Code</a>",
+    contains: [
+      'linear-gradient(135deg, #FF6B6B, #FF5722)',
+      'padding: 12px 24px',
+    ],
+    excludes: ['position', 'z-index'],
+  },
+  {
+    name: 'existing rel tokens',
+    html: '<a href="https://example.com" rel="noreferrer nofollow opener">x</a>',
+    contains: ['rel="noopener noreferrer nofollow"'],
+  },
+  {
+    name: 'markdown output',
+    html: '<table><thead><tr><th style="text-align: right">A</th></tr></thead><tbody><tr><td>1</td></tr></tbody></table><pre><code class="language-js">x</code></pre><div class="project-embed" data-embed="youtube" data-id="dQw4w9WgXcQ"></div>',
+    contains: [
+      'style="text-align: right"',
+      'class="language-js"',
+      'data-embed="youtube"',
+      'data-id="dQw4w9WgXcQ"',
+    ],
+  },
+  {
+    name: 'app classes stripped',
+    html: '<div class="pause-menu visible"><p class="list-view language-js">x</p></div><span class="project-embed modal">y</span>',
+    contains: [
+      '<div><p class="language-js">x</p></div>',
+      '<span class="project-embed">y</span>',
+    ],
+    excludes: ['pause-menu', 'visible', 'list-view', 'modal'],
+  },
+  {
+    name: 'unknown tags unwrapped',
+    html: '<marquee><b>hello</b></marquee>',
+    contains: ['<b>hello</b>'],
+    excludes: ['marquee'],
+  },
+];
+
+// Markdown run through src/utils/markdown.js and then the sanitizer, as
+// project writeups are
+const MARKDOWN_CONTENT = [
+  {
+    name: 'markdown javascript: link',
+    markdown: 'Please [click](javascript:alert(1)) here',
+    contains: ['<p>Please click here</p>'],
+    excludes: ['href', 'javascript', ')'],
+  },
+  {
+    name: 'markdown javascript: image',
+    markdown: '![pic](javascript:alert(1)) here',
+    contains: ['<p>pic here</p>'],
+    excludes: ['<img', 'javascript', ')'],
+  },
+  {
+    name: 'markdown link with parentheses',
+    markdown: '[Mario](https://en.wikipedia.org/wiki/Mario_(character))',
+    contains: ['href="https://en.wikipedia.org/wiki/Mario_(character)"'],
+    excludes: [')</a>'],
+  },
+];
+
+class ProjectContentSanitizerTest extends CheckTest {
+  constructor(config = {}) {
+    super('project-content-sanitizer', {
+      title: '🧼 PROJECT CONTENT SANITIZER',
+      config,
+    });
+    this.testResults.payloadsBlocked = 0;
+    this.testResults.safeContentKept = 0;
+    this.testResults.markdownRendered = 0;
+  }
+
+  async executeTestSequence() {
+    await this.player.executeAction('Block XSS Payloads', async () => {
+      const results = await this.sanitizeInPage(
+        XSS_PAYLOADS.map(([, html]) => html)
+      );
+
+      results.forEach((result, i) => {
+        const [name] = XSS_PAYLOADS[i];
+        const problems = this.findUnsafeMarkup(result);
+        if (
+          this.check(
+            name,
+            problems.length === 0,
+            `${problems.join(', ')} in ${result.output}`
+          )
+        ) {
+          this.testResults.payloadsBlocked++;
+        }
+      });
+
+      return { blocked: this.testResults.payloadsBlocked };
+    });
+
+    await this.player.executeAction('Keep Safe Content', async () => {
+      const results = await this.sanitizeInPage(
+        SAFE_CONTENT.map(({ html }) => html)
+      );
+
+      results.forEach(({ output }, i) => {
+        if (this.checkOutput(SAFE_CONTENT[i], output)) {
+          this.testResults.safeContentKept++;
+        }
+      });
+
+      return { kept: this.testResults.safeContentKept };
+    });
+
+    await this.player.executeAction('Render Markdown', async () => {
+      const html = await this.page.evaluate(
+        async (sources) => {
+          const { renderMarkdown } = await import('/src/utils/markdown.js');
+          return sources.map((source) => renderMarkdown(source));
+        },
+        MARKDOWN_CONTENT.map(({ markdown }) => markdown)
+      );
+      const results = await this.sanitizeInPage(html);
+
+      results.forEach(({ output }, i) => {
+        if (this.checkOutput(MARKDOWN_CONTENT[i], output)) {
+          this.testResults.markdownRendered++;
+        }
+      });
+
+      return { rendered: this.testResults.markdownRendered };
+    });
+  }
+
+  // Pass if the output has every `contains` string and no `excludes` one
+  checkOutput({ name, contains = [], excludes = [] }, output) {
+    const missing = contains.filter((text) => !output.includes(text));
+    const leaked = excludes.filter((text) => output.includes(text));
+
+    return this.check(
+      name,
+      missing.length === 0 && leaked.length === 0,
+      `missing ${JSON.stringify(missing)}, unexpected ${JSON.stringify(leaked)} in ${output}`
+    );
+  }
+
+  /**
+   * Sanitize each snippet in the game page, then mount the result in the
+   * document to see whether anything runs
+   * @returns {Promise<Object[]>} { output, elements, xss } per snippet
+   */
+  async sanitizeInPage(snippets) {
+    return this.page.evaluate(async (htmlList) => {
+      const results = [];
+
+      for (const html of htmlList) {
+        delete window.__xss;
+        const output = window.game.projectModal.sanitizeHTML(html);
+
+        const container = document.createElement('div');
+        container.hidden = true;
+        container.innerHTML = output;
+        document.body.appendChild(container);
+        // Give handlers (onerror, onload) a chance to fire
+        await new Promise((resolve) => setTimeout(resolve, 50));
+
+        const elements = Array.from(container.querySelectorAll('*')).map(
+          (element) => ({
+            tag: element.localName,
+            attributes: Array.from(element.attributes).map(
+              ({ name, value }) => ({ name, value })
+            ),
+          })
+        );
+        container.remove();
+
+        results.push({ output, elements, xss: window.__xss === 1 });
+      }
+
+      delete window.__xss;
+      return results;
+    }, snippets);
+  }
+
+  findUnsafeMarkup({ elements, xss }) {
+    const problems = [];
+    const forbiddenTags = [
+      'base',
+      'embed',
+      'form',
+      'iframe',
+      'math',
+      'meta',
+      'noscript',
+      'object',
+      'script',
+      'style',
+      'svg',
+      'template',
+    ];
+
+    if (xss) problems.push('payload executed');
+
+    elements.forEach(({ tag, attributes }) => {
+      if (forbiddenTags.includes(tag)) problems.push(`<${tag}>`);
+
+      attributes.forEach(({ name, value }) => {
+        if (
+          name.startsWith('on') ||
+          ['action', 'formaction', 'id', 'name', 'srcdoc'].includes(name)
+        ) {
+          problems.push(`${tag}[${name}]`);
+        }
+        if (
+          ['href', 'src'].includes(name) &&
+          /^\s*(javascript|data|vbscript):/i.test(value.replace(/\s/g, ''))
+        ) {
+          problems.push(`${tag}[${name}="${value}"]`);
+        }
+        if (
+          name === 'style' &&
+          /url\s*\(|expression|image-set|position/i.test(value)
+        ) {
+          problems.push(`${tag}[style="${value}"]`);
+        }
+      });
+    });
+
+    return problems;
+  }
+
+  summaryLines() {
+    return [
+      `XSS payloads blocked: ${this.testResults.payloadsBlocked}/${XSS_PAYLOADS.length}`,
+      `Safe content kept: ${this.testResults.safeContentKept}/${SAFE_CONTENT.length}`,
+      `Markdown rendered: ${this.testResults.markdownRendered}/${MARKDOWN_CONTENT.length}`,
+    ];
+  }
+}
+
+export default ProjectContentSanitizerTest;
+
+// Allow direct execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const test = new ProjectContentSanitizerTest();
+  test.run().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+import fs from 'fs/promises';
+import { CheckTest } from '../core/index.js';
+
+/**
+ * Save Migration Test
+ *
+ * Loads a version 0 save (the old flat checkpoint states, in
+ * fixtures/save-v0.json) and checks src/world/SaveData.js brings it up to
+ * the current schema:
+ * 1. 0 -> 1 files each box under its project's world and drops projects
+ *    that no longer exist
+ * 2. 1 -> 2 rebuilds the inventory from completed boxes
+ * 3. A browser holding the old key is migrated on load, with the old data
+ *    kept as a backup and the old key removed
+ */
+
+const FIXTURE_URL = new URL('./fixtures/save-v0.json', import.meta.url);
+
+// Storage keys from STORAGE in src/config.js
+const KEYS = {
+  legacy: 'portfolioCheckpointStates',
+  progress: 'portfolioGameProgress',
+  backup: 'portfolioGameProgressBackup',
+};
+
+// The fixture after 0 -> 1. Projects and collectibles are the real ones in
+// src/data/projects.json.
+const EXPECTED_V1 = {
+  version: 1,
+  worlds: {
+    'jersey-shore': { mysteryBoxes: { tutorial: 'completed' } },
+    'vibe-coding': {
+      mysteryBoxes: { 'slack-bot': 'hit', 'movie-party': 'completed' },
+    },
+    healthcare: { mysteryBoxes: { 'clinical-trial-tech': 'inactive' } },
+  },
+};
+
+// ... and after 1 -> 2
+const EXPECTED_V2 = {
+  ...EXPECTED_V1,
+  version: 2,
+  inventory: {
+    tutorial: {
+      collectible: 'white-sunglasses',
+      worldId: 'jersey-shore',
+      collectedAt: null,
+    },
+    'movie-party': {
+      collectible: 'popcorn-logo',
+      worldId: 'vibe-coding',
+      collectedAt: null,
+    },
+  },
+};
+
+// What a migration decides: box states and the inventory. Loading a world
+// adds its other fields (visited, ...) straight away.
+function progressOf(save) {
+  if (!save || !save.worlds) return save;
+
+  const mysteryBoxes = {};
+  Object.entries(save.worlds).forEach(([worldId, world]) => {
+    if (Object.keys(world.mysteryBoxes || {}).length > 0) {
+      mysteryBoxes[worldId] = world.mysteryBoxes;
+    }
+  });
+  return { version: save.version, mysteryBoxes, inventory: save.inventory };
+}
+
+class SaveMigrationTest extends CheckTest {
+  constructor(config = {}) {
+    super('save-migration', { title: '💾 SAVE MIGRATION', config });
+    this.fixture = null;
+  }
+
+  async executeTestSequence() {
+    this.fixture = JSON.parse(await fs.readFile(FIXTURE_URL, 'utf8'));
+
+    await this.player.executeAction('Migrate Version 0 Save', async () => {
+      const results = await this.page.evaluate(
+        async ({ entries, v1 }) => {
+          const { migrateSave } = await import('/src/world/SaveData.js');
+          return {
+            fromV0: migrateSave({
+              version: 0,
+              states: Object.fromEntries(entries),
+            }),
+            fromV1: migrateSave(structuredClone(v1)),
+          };
+        },
+        { entries: this.fixture, v1: EXPECTED_V1 }
+      );
+
+      this.expectEqual('0 -> 2', results.fromV0, EXPECTED_V2);
+      this.expectEqual('1 -> 2', results.fromV1, EXPECTED_V2);
+      return results;
+    });
+
+    await this.player.executeAction('Load Legacy Storage', async () => {
+      await this.page.evaluate(
+        ({ keys, legacy }) => {
+          localStorage.removeItem(keys.progress);
+          localStorage.removeItem(keys.backup);
+          localStorage.setItem(keys.legacy, legacy);
+        },
+        { keys: KEYS, legacy: JSON.stringify(this.fixture) }
+      );
+
+      // The save is read once, when the game starts
+      await this.player.loadGame();
+
+      const stored = await this.page.evaluate(async (keys) => {
+        const { getSave } = await import('/src/world/SaveData.js');
+        const read = (key) => JSON.parse(localStorage.getItem(key));
+        const result = {
+          save: getSave(),
+          progress: read(keys.progress),
+          backup: read(keys.backup),
+          legacyRemoved: localStorage.getItem(keys.legacy) === null,
+        };
+
+        Object.values(keys).forEach((key) => localStorage.removeItem(key));
+        return result;
+      }, KEYS);
+
+      const expected = progressOf(EXPECTED_V2);
+      this.expectEqual('stored save', progressOf(stored.progress), expected);
+      this.expectEqual('loaded save', progressOf(stored.save), expected);
+      this.expectEqual(
+        'backup',
+        stored.backup && JSON.parse(stored.backup[KEYS.legacy]),
+        this.fixture
+      );
+      this.check('legacy key', stored.legacyRemoved, 'still in localStorage');
+
+      return stored;
+    });
+  }
+}
+
+export default SaveMigrationTest;
+
+// Allow direct execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const test = new SaveMigrationTest();
+  test.run().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
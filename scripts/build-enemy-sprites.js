@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+
+// Build the enemy sprite sheets and atlas
+// Usage: npm run sprites:enemies
+//
+// Enemies are drawn here as pixel art (16x16 per frame, drawn at 2x in
+// game), facing right. Each world gets its own costume, named after the
+// world id; worlds without one use the default.
+// Writes one sheet per costume to public/images/enemies/<costume>.png and
+// the shared frame atlas to src/data/sprites/enemies.json.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  buildAtlas,
+  createFrame,
+  outline,
+  rect,
+  renderSheet,
+} from './lib/pixel-art.js';
+
+const rootDir = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '..'
+);
+const imageDir = path.join(rootDir, 'public/images/enemies');
+const atlasPath = path.join(rootDir, 'src/data/sprites/enemies.json');
+
+const FRAME_WIDTH = 16;
+const FRAME_HEIGHT = 16;
+const SCALE = 2;
+
+// Colors shared by every costume
+const BASE_PALETTE = {
+  K: '#1A1A1A', // Outline
+  E: '#FFFFFF', // Eye
+  P: '#111111', // Pupil
+};
+
+// Costume palettes: B body, D body shade, F feet, W wings
+const COSTUMES = {
+  default: {
+    B: '#8B5A2B',
+    D: '#6B4420',
+    F: '#3A2A1A',
+    W: '#D9D9D9',
+  },
+  // Sand crabs on the boardwalk
+  'jersey-shore': {
+    B: '#E8553A',
+    D: '#B83A24',
+    F: '#8C2A18',
+    W: '#FFE0B2',
+  },
+  // Literal bugs
+  'vibe-coding': {
+    B: '#39FF14',
+    D: '#1FAF0A',
+    F: '#0B3D02',
+    W: '#B8FFF2',
+  },
+  // Germs
+  healthcare: {
+    B: '#8E44AD',
+    D: '#6C3483',
+    F: '#4A235A',
+    W: '#E8DAEF',
+  },
+  // Yellow jackets
+  'georgia-tech': {
+    B: '#EAAA00',
+    D: '#003057',
+    F: '#00213D',
+    W: '#DDEEFF',
+  },
+};
+
+// ========================================
+// Drawing
+// ========================================
+
+function drawEye(frame, x, y) {
+  rect(frame, x, y, x + 1, y + 1, 'E');
+  rect(frame, x + 1, y + 1, x + 1, y + 1, 'P');
+}
+
+// Domed beetle on two pairs of feet; `step` alternates them
+function drawWalker(step) {
+  const frame = createFrame(FRAME_WIDTH, FRAME_HEIGHT);
+  rect(frame, 4, 4, 11, 4, 'B');
+  rect(frame, 2, 5, 13, 10, 'B');
+  rect(frame, 2, 11, 13, 12, 'D');
+  drawEye(frame, 10, 6);
+
+  if (step === 0) {
+    rect(frame, 3, 13, 4, 14, 'F');
+    rect(frame, 10, 13, 11, 14, 'F');
+  } else {
+    rect(frame, 5, 13, 6, 14, 'F');
+    rect(frame, 12, 13, 13, 14, 'F');
+  }
+  return outline(frame);
+}
+
+// Squat blob gathering itself, or stretched mid-leap
+function drawHopper(leaping) {
+  const frame = createFrame(FRAME_WIDTH, FRAME_HEIGHT);
+
+  if (leaping) {
+    rect(frame, 4, 2, 11, 10, 'B');
+    rect(frame, 4, 9, 11, 10, 'D');
+    rect(frame, 4, 11, 5, 14, 'F');
+    rect(frame, 10, 11, 11, 14, 'F');
+    drawEye(frame, 8, 3);
+  } else {
+    rect(frame, 3, 6, 5, 7, 'B'); // Eye bumps
+    rect(frame, 9, 6, 11, 7, 'B');
+    rect(frame, 1, 8, 14, 12, 'B');
+    rect(frame, 1, 12, 14, 12, 'D');
+    rect(frame, 1, 13, 3, 14, 'F');
+    rect(frame, 12, 13, 14, 14, 'F');
+    drawEye(frame, 9, 6);
+  }
+  return outline(frame);
+}
+
+// Round body with wings raised or lowered
+function drawFlyer(wingsUp) {
+  const frame = createFrame(FRAME_WIDTH, FRAME_HEIGHT);
+
+  if (wingsUp) {
+    rect(frame, 2, 2, 5, 5, 'W');
+    rect(frame, 10, 2, 13, 5, 'W');
+  } else {
+    rect(frame, 0, 9, 4, 11, 'W');
+    rect(frame, 11, 9, 15, 11, 'W');
+  }
+  rect(frame, 5, 5, 10, 11, 'B');
+  rect(frame, 5, 8, 10, 8, 'D'); // Stripe
+  rect(frame, 6, 12, 9, 12, 'D');
+  rect(frame, 7, 13, 8, 13, 'F'); // Stinger
+  drawEye(frame, 8, 6);
+  return outline(frame);
+}
+
+// Flattened after a stomp, eyes shut
+function drawSquashed() {
+  const frame = createFrame(FRAME_WIDTH, FRAME_HEIGHT);
+  rect(frame, 1, 12, 14, 13, 'B');
+  rect(frame, 0, 14, 15, 14, 'D');
+  rect(frame, 9, 12, 11, 12, 'P');
+  return outline(frame);
+}
+
+// ========================================
+// Animations
+// ========================================
+
+// Enemy.getAnimationState picks between these by type and state
+const ANIMATIONS = {
+  walk: {
+    frameDuration: 180,
+    loop: true,
+    frames: [drawWalker(0), drawWalker(1)],
+  },
+  crouch: {
+    frameDuration: 100,
+    loop: false,
+    frames: [drawHopper(false)],
+  },
+  hop: {
+    frameDuration: 100,
+    loop: false,
+    frames: [drawHopper(true)],
+  },
+  fly: {
+    frameDuration: 90,
+    loop: true,
+    frames: [drawFlyer(true), drawFlyer(false)],
+  },
+  squash: {
+    frameDuration: 100,
+    loop: false,
+    frames: [drawSquashed()],
+  },
+};
+
+async function main() {
+  await fs.mkdir(imageDir, { recursive: true });
+  for (const [costume, colors] of Object.entries(COSTUMES)) {
+    const png = renderSheet(
+      ANIMATIONS,
+      { ...BASE_PALETTE, ...colors },
+      FRAME_WIDTH,
+      FRAME_HEIGHT
+    );
+    await fs.writeFile(path.join(imageDir, `${costume}.png`), png);
+  }
+
+  const atlas = buildAtlas({
+    animations: ANIMATIONS,
+    frameWidth: FRAME_WIDTH,
+    frameHeight: FRAME_HEIGHT,
+    scale: SCALE,
+    costumes: Object.keys(COSTUMES),
+    imagePath: '/images/enemies',
+  });
+  await fs.mkdir(path.dirname(atlasPath), { recursive: true });
+  await fs.writeFile(atlasPath, `${JSON.stringify(atlas, null, 2)}\n`);
+
+  console.log(
+    `✅ Wrote ${Object.keys(COSTUMES).length} costume sheet(s) and ${path.relative(rootDir, atlasPath)}`
+  );
+}
+
+main().catch((error) => {
+  console.error('❌ Failed to build enemy sprites:', error);
+  process.exit(1);
+});
@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+
+// Build the player sprite sheets and atlas
+// Usage: npm run sprites:player
+//
+// The player is drawn here as pixel art (16x24 per frame, drawn at 2x in
+// game) so poses and costumes can be tweaked without an image editor.
+// Writes one sheet per costume to public/images/player/<costume>.png and the
+// shared frame atlas to src/data/sprites/player.json.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  buildAtlas,
+  createFrame,
+  outline,
+  rect,
+  renderSheet,
+} from './lib/pixel-art.js';
+
+const rootDir = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '..'
+);
+const imageDir = path.join(rootDir, 'public/images/player');
+const atlasPath = path.join(rootDir, 'src/data/sprites/player.json');
+
+const FRAME_WIDTH = 16;
+const FRAME_HEIGHT = 24;
+const SCALE = 2;
+
+// Colors shared by every costume
+const BASE_PALETTE = {
+  K: '#2B1B17', // Outline
+  S: '#F1C27D', // Skin
+  E: '#1B1B1B', // Eyes
+  M: '#A0522D', // Mouth
+  H: '#5A3825', // Hair
+};
+
+// Costume palettes: T shirt/cap, A shirt shade, P near leg, Q far leg, B shoes
+const COSTUMES = {
+  default: {
+    T: '#FF6B6B',
+    A: '#D94F4F',
+    P: '#3B4A6B',
+    Q: '#2C3850',
+    B: '#2B2B2B',
+  },
+  hoodie: {
+    T: '#00D4FF',
+    A: '#00A3C4',
+    P: '#2F4F4F',
+    Q: '#223A3A',
+    B: '#1A1A1A',
+  },
+  'lab-coat': {
+    T: '#F5F5F5',
+    A: '#CFCFCF',
+    P: '#5C7AEA',
+    Q: '#4660C4',
+    B: '#3A3A3A',
+  },
+  'yellow-jacket': {
+    T: '#B3A369',
+    A: '#8F8254',
+    P: '#003057',
+    Q: '#00213D',
+    B: '#1A1A1A',
+  },
+};
+
+// ========================================
+// Drawing
+// ========================================
+
+function drawHead(frame, dy, face) {
+  rect(frame, 5, 3 + dy, 11, 8 + dy, 'S');
+  rect(frame, 4, 1 + dy, 11, 2 + dy, 'T'); // Cap
+  rect(frame, 12, 2 + dy, 13, 2 + dy, 'T'); // Brim
+  rect(frame, 4, 3 + dy, 5, 5 + dy, 'H');
+
+  if (face === 'surprised') {
+    rect(frame, 9, 4 + dy, 10, 5 + dy, 'E');
+    rect(frame, 9, 7 + dy, 10, 7 + dy, 'M');
+  } else {
+    rect(frame, 9, 4 + dy, 9, 5 + dy, 'E');
+    rect(frame, 10, 7 + dy, 10, 7 + dy, 'M');
+  }
+}
+
+function drawTorso(frame, dy) {
+  rect(frame, 5, 9 + dy, 10, 14 + dy, 'T');
+  rect(frame, 5, 15 + dy, 10, 16 + dy, 'P');
+}
+
+const LEGS = {
+  stand: (f) => {
+    rect(f, 5, 17, 7, 21, 'Q');
+    rect(f, 5, 22, 7, 23, 'B');
+    rect(f, 8, 17, 10, 21, 'P');
+    rect(f, 8, 22, 11, 23, 'B');
+  },
+  // Near leg forward
+  stepA: (f) => {
+    rect(f, 4, 17, 6, 21, 'Q');
+    rect(f, 3, 22, 6, 23, 'B');
+    rect(f, 9, 17, 11, 21, 'P');
+    rect(f, 10, 22, 13, 23, 'B');
+  },
+  // Far leg forward
+  stepB: (f) => {
+    rect(f, 9, 17, 11, 21, 'Q');
+    rect(f, 10, 22, 13, 23, 'B');
+    rect(f, 4, 17, 6, 21, 'P');
+    rect(f, 3, 22, 6, 23, 'B');
+  },
+  // Legs crossing mid-stride, near leg lifted
+  pass: (f) => {
+    rect(f, 6, 17, 8, 21, 'Q');
+    rect(f, 6, 22, 9, 23, 'B');
+    rect(f, 7, 17, 9, 20, 'P');
+    rect(f, 8, 21, 11, 21, 'B');
+  },
+  jump: (f) => {
+    rect(f, 5, 17, 7, 21, 'Q');
+    rect(f, 5, 22, 7, 23, 'B');
+    rect(f, 8, 17, 11, 18, 'P');
+    rect(f, 10, 19, 11, 20, 'P');
+    rect(f, 10, 21, 13, 21, 'B');
+  },
+  spread: (f) => {
+    rect(f, 4, 17, 6, 22, 'Q');
+    rect(f, 3, 23, 6, 23, 'B');
+    rect(f, 9, 17, 11, 22, 'P');
+    rect(f, 9, 23, 12, 23, 'B');
+  },
+  squash: (f) => {
+    rect(f, 4, 19, 6, 21, 'Q');
+    rect(f, 3, 22, 6, 23, 'B');
+    rect(f, 9, 19, 11, 21, 'P');
+    rect(f, 9, 22, 12, 23, 'B');
+  },
+};
+
+const ARMS = {
+  down: (f, dy) => {
+    rect(f, 8, 10 + dy, 9, 12 + dy, 'A');
+    rect(f, 8, 13 + dy, 9, 13 + dy, 'S');
+  },
+  forward: (f, dy) => {
+    rect(f, 9, 10 + dy, 11, 11 + dy, 'A');
+    rect(f, 12, 11 + dy, 12, 12 + dy, 'S');
+  },
+  back: (f, dy) => {
+    rect(f, 5, 10 + dy, 6, 12 + dy, 'A');
+    rect(f, 4, 13 + dy, 5, 13 + dy, 'S');
+  },
+  up: (f, dy) => {
+    rect(f, 11, 9 + dy, 12, 10 + dy, 'A');
+    rect(f, 12, 7 + dy, 13, 8 + dy, 'A');
+    rect(f, 13, 5 + dy, 14, 6 + dy, 'S');
+  },
+  bothUp: (f, dy) => {
+    ARMS.up(f, dy);
+    rect(f, 3, 9 + dy, 4, 10 + dy, 'A');
+    rect(f, 2, 7 + dy, 3, 8 + dy, 'A');
+    rect(f, 1, 5 + dy, 2, 6 + dy, 'S');
+  },
+  flail: (f, dy) => {
+    rect(f, 10, 9 + dy, 13, 10 + dy, 'A');
+    rect(f, 14, 8 + dy, 14, 9 + dy, 'S');
+    rect(f, 2, 9 + dy, 4, 10 + dy, 'A');
+    rect(f, 1, 8 + dy, 1, 9 + dy, 'S');
+  },
+};
+
+function drawPose({ dy = 0, legs = 'stand', arms = 'down', face = 'normal' }) {
+  const frame = createFrame(FRAME_WIDTH, FRAME_HEIGHT);
+  LEGS[legs](frame);
+  drawTorso(frame, dy);
+  drawHead(frame, dy, face);
+  ARMS[arms](frame, dy);
+  return outline(frame);
+}
+
+// Curled-up ball for the double jump, spun in quarter turns
+function drawTuck(quarterTurns) {
+  const frame = createFrame(FRAME_WIDTH, FRAME_HEIGHT);
+  drawHead(frame, 5, 'normal');
+  rect(frame, 5, 14, 10, 18, 'T');
+  rect(frame, 5, 19, 10, 20, 'P');
+  rect(frame, 8, 16, 11, 18, 'P');
+  rect(frame, 11, 17, 12, 19, 'B');
+  rect(frame, 9, 14, 11, 15, 'A');
+  rect(frame, 12, 15, 12, 15, 'S');
+  return outline(rotateSquare(frame, 6, quarterTurns));
+}
+
+// Rotate the 16x16 block starting at row `top` clockwise
+function rotateSquare(frame, top, quarterTurns) {
+  const size = FRAME_WIDTH;
+  let block = frame.slice(top, top + size).map((row) => row.slice());
+
+  for (let turn = 0; turn < quarterTurns; turn++) {
+    block = block.map((row, y) => row.map((_, x) => block[size - 1 - x][y]));
+  }
+
+  const rotated = frame.map((row) => row.slice());
+  block.forEach((row, y) => {
+    rotated[top + y] = row;
+  });
+  return rotated;
+}
+
+// ========================================
+// Animations
+// ========================================
+
+const ANIMATIONS = {
+  idle: {
+    frameDuration: 400,
+    loop: true,
+    frames: [drawPose({}), drawPose({ dy: 1 })],
+  },
+  walk: {
+    frameDuration: 110,
+    loop: true,
+    frames: [
+      drawPose({ legs: 'stepA', arms: 'back' }),
+      drawPose({ legs: 'pass', arms: 'down' }),
+      drawPose({ legs: 'stepB', arms: 'forward' }),
+      drawPose({ legs: 'pass', arms: 'down' }),
+    ],
+  },
+  jump: {
+    frameDuration: 100,
+    loop: false,
+    frames: [drawPose({ legs: 'jump', arms: 'up' })],
+  },
+  'double-jump': {
+    frameDuration: 70,
+    loop: true,
+    frames: [drawTuck(0), drawTuck(1), drawTuck(2), drawTuck(3)],
+  },
+  fall: {
+    frameDuration: 100,
+    loop: false,
+    frames: [drawPose({ legs: 'spread', arms: 'flail' })],
+  },
+  land: {
+    frameDuration: 70,
+    loop: false,
+    frames: [
+      drawPose({ legs: 'squash', arms: 'down', dy: 2 }),
+      drawPose({ legs: 'stand', arms: 'down', dy: 1 }),
+    ],
+  },
+  death: {
+    frameDuration: 70,
+    loop: false,
+    frames: [
+      drawPose({ arms: 'bothUp', face: 'surprised' }),
+      drawPose({ legs: 'spread', arms: 'bothUp', face: 'surprised' }),
+      drawPose({ legs: 'spread', arms: 'flail', face: 'surprised', dy: 1 }),
+    ],
+  },
+};
+
+async function main() {
+  await fs.mkdir(imageDir, { recursive: true });
+  for (const [costume, colors] of Object.entries(COSTUMES)) {
+    const png = renderSheet(
+      ANIMATIONS,
+      { ...BASE_PALETTE, ...colors },
+      FRAME_WIDTH,
+      FRAME_HEIGHT
+    );
+    await fs.writeFile(path.join(imageDir, `${costume}.png`), png);
+  }
+
+  const atlas = buildAtlas({
+    animations: ANIMATIONS,
+    frameWidth: FRAME_WIDTH,
+    frameHeight: FRAME_HEIGHT,
+    scale: SCALE,
+    costumes: Object.keys(COSTUMES),
+    imagePath: '/images/player',
+  });
+  await fs.mkdir(path.dirname(atlasPath), { recursive: true });
+  await fs.writeFile(atlasPath, `${JSON.stringify(atlas, null, 2)}\n`);
+
+  console.log(
+    `✅ Wrote ${Object.keys(COSTUMES).length} costume sheet(s) and ${path.relative(rootDir, atlasPath)}`
+  );
+}
+
+main().catch((error) => {
+  console.error('❌ Failed to build player sprites:', error);
+  process.exit(1);
+});
@@ -0,0 +1,194 @@
+// Pixel art helpers shared by the sprite build scripts
+//
+// Frames are arrays of rows of palette keys ('.' is transparent). Every
+// animation gets one row of the sheet, one frame per column, and all
+// costumes of a sprite share that layout so a single atlas describes them.
+
+import zlib from 'zlib';
+
+// ========================================
+// Drawing
+// ========================================
+
+export function createFrame(width, height) {
+  return Array.from({ length: height }, () => new Array(width).fill('.'));
+}
+
+export function rect(frame, x0, y0, x1, y1, color) {
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      if (y >= 0 && y < frame.length && x >= 0 && x < frame[y].length) {
+        frame[y][x] = color;
+      }
+    }
+  }
+}
+
+// Add a dark outline around the silhouette
+export function outline(frame) {
+  const result = frame.map((row) => row.slice());
+  const neighbors = [
+    [0, -1],
+    [0, 1],
+    [-1, 0],
+    [1, 0],
+  ];
+
+  frame.forEach((row, y) => {
+    row.forEach((pixel, x) => {
+      if (pixel !== '.') return;
+      const touchesBody = neighbors.some(([dx, dy]) => {
+        const neighbor = frame[y + dy] && frame[y + dy][x + dx];
+        return neighbor && neighbor !== '.';
+      });
+      if (touchesBody) result[y][x] = 'K';
+    });
+  });
+
+  return result;
+}
+
+// ========================================
+// PNG output
+// ========================================
+
+function hexToRgba(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255, 255];
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 255] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+function encodePng(width, height, rgba) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 6; // RGBA
+
+  // Each scanline starts with filter type 0 (none)
+  const raw = Buffer.alloc(height * (width * 4 + 1));
+  for (let y = 0; y < height; y++) {
+    rgba.copy(raw, y * (width * 4 + 1) + 1, y * width * 4, (y + 1) * width * 4);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * Render every animation into one PNG sheet
+ * @param {Object} animations - name -> { frames, frameDuration, loop }
+ * @param {Object} palette - Palette key -> hex color
+ * @param {number} frameWidth - Frame width in pixels
+ * @param {number} frameHeight - Frame height in pixels
+ * @returns {Buffer} PNG file contents
+ */
+export function renderSheet(animations, palette, frameWidth, frameHeight) {
+  const columns = Math.max(
+    ...Object.values(animations).map((animation) => animation.frames.length)
+  );
+  const rows = Object.keys(animations).length;
+  const width = columns * frameWidth;
+  const height = rows * frameHeight;
+  const rgba = Buffer.alloc(width * height * 4);
+  const colors = Object.fromEntries(
+    Object.entries(palette).map(([key, hex]) => [key, hexToRgba(hex)])
+  );
+
+  Object.values(animations).forEach((animation, row) => {
+    animation.frames.forEach((frame, column) => {
+      frame.forEach((line, y) => {
+        line.forEach((pixel, x) => {
+          if (pixel === '.') return;
+          const px = column * frameWidth + x;
+          const py = row * frameHeight + y;
+          rgba.set(colors[pixel], (py * width + px) * 4);
+        });
+      });
+    });
+  });
+
+  return encodePng(width, height, rgba);
+}
+
+// ========================================
+// Atlas
+// ========================================
+
+/**
+ * Atlas for rendering/SpriteSheet.js matching renderSheet's layout
+ * @param {Object} options
+ * @param {Object} options.animations - Same animations passed to renderSheet
+ * @param {number} options.frameWidth - Frame width in pixels
+ * @param {number} options.frameHeight - Frame height in pixels
+ * @param {number} options.scale - Draw scale in game
+ * @param {string[]} options.costumes - Costume names
+ * @param {string} options.imagePath - Public path of the sheets, e.g.
+ *   '/images/player'
+ * @returns {Object} Atlas JSON
+ */
+export function buildAtlas({
+  animations,
+  frameWidth,
+  frameHeight,
+  scale,
+  costumes,
+  imagePath,
+}) {
+  const frames = {};
+  const atlasAnimations = {};
+
+  Object.entries(animations).forEach(([name, animation], row) => {
+    atlasAnimations[name] = {
+      frames: animation.frames.map((_, column) => {
+        const frameName = `${name}-${column}`;
+        frames[frameName] = {
+          x: column * frameWidth,
+          y: row * frameHeight,
+          w: frameWidth,
+          h: frameHeight,
+        };
+        return frameName;
+      }),
+      frameDuration: animation.frameDuration,
+      loop: animation.loop,
+    };
+  });
+
+  return {
+    scale,
+    costumes: Object.fromEntries(
+      costumes.map((costume) => [costume, `${imagePath}/${costume}.png`])
+    ),
+    frames,
+    animations: atlasAnimations,
+  };
+}
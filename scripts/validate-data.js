@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+
+// Validate world configs and projects.json against the JSON schemas
+// Usage: npm run validate:data
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateSchema, formatSchemaErrors } from '../src/utils/schema.js';
+import { isAboveHazard } from '../src/game/Hazard.js';
+import { ENEMY, FLAG, PLAYER } from '../src/config.js';
+
+const rootDir = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '..'
+);
+const dataDir = path.join(rootDir, 'src/data');
+const worldsDir = path.join(dataDir, 'worlds');
+const decorationsDir = path.join(rootDir, 'src/rendering/decorations');
+const projectContentDir = path.join(dataDir, 'projects');
+
+async function readJson(filePath) {
+  const text = await fs.readFile(filePath, 'utf8');
+  return JSON.parse(text);
+}
+
+// Validate one file, collecting readable error lines instead of throwing
+async function validateFile(filePath, schema, errors) {
+  const relativePath = path.relative(rootDir, filePath);
+
+  let data;
+  try {
+    data = await readJson(filePath);
+  } catch (error) {
+    errors.push(`${relativePath}: could not be read (${error.message})`);
+    return null;
+  }
+
+  errors.push(
+    ...formatSchemaErrors(validateSchema(schema, data), relativePath)
+  );
+  return data;
+}
+
+async function main() {
+  const worldSchema = await readJson(
+    path.join(dataDir, 'schemas/world.schema.json')
+  );
+  const projectsSchema = await readJson(
+    path.join(dataDir, 'schemas/projects.schema.json')
+  );
+  const errors = [];
+
+  // World configs, one folder per world
+  const entries = await fs.readdir(worldsDir, { withFileTypes: true });
+  const worldIds = entries
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name);
+  const configs = new Map();
+
+  for (const worldId of worldIds) {
+    const configPath = path.join(worldsDir, worldId, 'config.json');
+    const config = await validateFile(configPath, worldSchema, errors);
+    if (!config) continue;
+
+    configs.set(worldId, config);
+    if (config.id !== worldId) {
+      errors.push(
+        `${path.relative(rootDir, configPath)}: id should match its folder name "${worldId}", got "${config.id}"`
+      );
+    }
+  }
+
+  // The game starts in the hub, so there has to be exactly one
+  const hubs = [...configs.values()].filter((config) => config.hub === true);
+  if (hubs.length !== 1) {
+    errors.push(
+      `src/data/worlds: exactly one world config should set "hub": true, found ${hubs.length}`
+    );
+  }
+
+  // Decorations must have a type module to draw them
+  const decorationTypes = (await fs.readdir(decorationsDir))
+    .filter((file) => file.endsWith('.js'))
+    .map((file) => path.basename(file, '.js'));
+  configs.forEach((config, worldId) => {
+    (config.decorations || []).forEach((decoration, index) => {
+      if (!decorationTypes.includes(decoration.type)) {
+        errors.push(
+          `src/data/worlds/${worldId}/config.json: decorations[${index}].type "${decoration.type}" has no module in src/rendering/decorations`
+        );
+      }
+    });
+  });
+
+  // Player costumes must exist in the sprite atlas
+  const playerAtlas = await readJson(path.join(dataDir, 'sprites/player.json'));
+  configs.forEach((config, worldId) => {
+    if (config.playerCostume && !playerAtlas.costumes[config.playerCostume]) {
+      errors.push(
+        `src/data/worlds/${worldId}/config.json: playerCostume "${config.playerCostume}" is not in src/data/sprites/player.json`
+      );
+    }
+  });
+
+  // Doors must lead somewhere that exists
+  configs.forEach((config, worldId) => {
+    Object.entries(config.doors || {}).forEach(([doorKey, door]) => {
+      if (door.targetWorld && !worldIds.includes(door.targetWorld)) {
+        errors.push(
+          `src/data/worlds/${worldId}/config.json: doors.${doorKey}.targetWorld "${door.targetWorld}" has no world folder`
+        );
+      }
+    });
+  });
+
+  // Portals link non-hub worlds that have portals of their own
+  configs.forEach((config, worldId) => {
+    if (!config.portal) return;
+    const file = `src/data/worlds/${worldId}/config.json`;
+
+    if (config.hub) {
+      errors.push(`${file}: the hub world can't have a portal`);
+    }
+
+    (config.portal.links || []).forEach((linkId) => {
+      const target = configs.get(linkId);
+      if (linkId === worldId) {
+        errors.push(`${file}: portal.links can't include its own world`);
+      } else if (!target) {
+        errors.push(`${file}: portal.links "${linkId}" has no world folder`);
+      } else if (target.hub) {
+        errors.push(`${file}: portal.links "${linkId}" is the hub world`);
+      } else if (!target.portal) {
+        errors.push(
+          `${file}: portal.links "${linkId}" has no portal to arrive at`
+        );
+      }
+    });
+  });
+
+  // Checkpoint ids are what the save remembers
+  configs.forEach((config, worldId) => {
+    const ids = (config.checkpoints || []).map(({ id }) => id);
+    ids
+      .filter((id, index) => ids.indexOf(id) !== index)
+      .forEach((id) => {
+        errors.push(
+          `src/data/worlds/${worldId}/config.json: checkpoint id "${id}" is used more than once`
+        );
+      });
+  });
+
+  // Enemies patrol a platform that stays put, with room to move
+  configs.forEach((config, worldId) => {
+    const file = `src/data/worlds/${worldId}/config.json`;
+    const platforms = new Map(
+      (config.platforms || []).map((platform) => [platform.id, platform])
+    );
+
+    (config.enemies || []).forEach((enemy, index) => {
+      const platform = platforms.get(enemy.platform);
+      if (!platform) {
+        errors.push(
+          `${file}: enemies[${index}].platform "${enemy.platform}" is not a platform in this world`
+        );
+        return;
+      }
+      if (['moving', 'rotating', 'breakable'].includes(platform.type)) {
+        errors.push(
+          `${file}: enemies[${index}] is on ${platform.type} platform "${platform.id}", which doesn't stay put`
+        );
+      }
+
+      // Same range as Enemy's constructor
+      const left = platform.x - platform.width / 2;
+      const right = platform.x + platform.width / 2;
+      const minX = Math.max(left, enemy.minX ?? left);
+      const maxX = Math.min(right, enemy.maxX ?? right) - ENEMY.WIDTH;
+      if (maxX < minX) {
+        errors.push(
+          `${file}: enemies[${index}] has less than ${ENEMY.WIDTH}px to patrol`
+        );
+      } else if (enemy.x < minX || enemy.x > maxX) {
+        errors.push(
+          `${file}: enemies[${index}].x ${enemy.x} is outside its patrol range (${minX} to ${maxX})`
+        );
+      }
+    });
+  });
+
+  // Death rules mustn't kill a player who hasn't done anything wrong
+  configs.forEach((config, worldId) => {
+    const file = `src/data/worlds/${worldId}/config.json`;
+    const hazards = config.hazards || [];
+    const { groundLevel } = config.dimensions;
+
+    if (config.killPlaneY !== undefined && config.killPlaneY <= groundLevel) {
+      errors.push(
+        `${file}: killPlaneY ${config.killPlaneY} would kill the player standing on the ground (groundLevel ${groundLevel})`
+      );
+    }
+
+    const spawns = [];
+    if (config.spawnPoint) {
+      const { x, y, mobileY } = config.spawnPoint;
+      spawns.push(['spawnPoint', { x, y }]);
+      if (mobileY !== undefined) {
+        spawns.push(['spawnPoint.mobileY', { x, y: mobileY }]);
+      }
+    }
+    (config.checkpoints || []).forEach(({ id, x, y }) => {
+      // Where CheckpointFlag.getRespawnPoint puts the player
+      spawns.push([
+        `checkpoint "${id}"`,
+        { x: x + FLAG.WIDTH / 2, y: y + FLAG.HEIGHT - PLAYER.HEIGHT },
+      ]);
+    });
+    spawns.forEach(([name, point]) => {
+      if (isAboveHazard(point, hazards)) {
+        errors.push(`${file}: ${name} would drop the player into a hazard`);
+      }
+    });
+  });
+
+  // Project data
+  const projectsPath = path.join(dataDir, 'projects.json');
+  const projects = await validateFile(projectsPath, projectsSchema, errors);
+  if (projects && projects.worlds) {
+    Object.keys(projects.worlds).forEach((worldId) => {
+      if (!worldIds.includes(worldId)) {
+        errors.push(
+          `src/data/projects.json: worlds["${worldId}"] has no world folder`
+        );
+      }
+    });
+  }
+
+  // Box layouts need what they place boxes from
+  configs.forEach((config, worldId) => {
+    const boxes = config.mysteryBoxes;
+    if (boxes && boxes.layout === 'grid' && !boxes.columns) {
+      errors.push(
+        `src/data/worlds/${worldId}/config.json: mysteryBoxes.layout "grid" needs columns`
+      );
+    }
+  });
+  if (projects && projects.worlds) {
+    Object.entries(projects.worlds).forEach(([worldId, world]) => {
+      const config = configs.get(worldId);
+      if (!config) return;
+      const layout = config.mysteryBoxes && config.mysteryBoxes.layout;
+      const platformIds = (config.platforms || []).map(({ id }) => id);
+
+      (world.projects || []).forEach((project, index) => {
+        const where = `src/data/projects.json: worlds["${worldId}"].projects[${index}]`;
+        const platform = project.box && project.box.platform;
+
+        if (platform && !platformIds.includes(platform)) {
+          errors.push(
+            `${where}.box.platform "${platform}" is not a platform in ${worldId}`
+          );
+        }
+        if (layout === 'explicit' && !project.position && !platform) {
+          errors.push(
+            `${where}: ${worldId} uses the explicit box layout, so "${project.id}" needs a position or box.platform`
+          );
+        }
+      });
+    });
+  }
+
+  // Markdown content files are matched to projects by id
+  const markdownIds = await fs
+    .readdir(projectContentDir)
+    .then((files) =>
+      files
+        .filter((file) => file.endsWith('.md'))
+        .map((file) => path.basename(file, '.md'))
+    )
+    .catch(() => []);
+  if (projects && projects.worlds) {
+    const projectsById = new Map(
+      Object.values(projects.worlds).flatMap((world) =>
+        (world.projects || []).map((project) => [project.id, project])
+      )
+    );
+    markdownIds.forEach((id) => {
+      const project = projectsById.get(id);
+      if (!project) {
+        errors.push(
+          `src/data/projects/${id}.md: no project with id "${id}" in src/data/projects.json`
+        );
+      } else if (project.content !== undefined) {
+        errors.push(
+          `src/data/projects/${id}.md: project "${id}" also has content in src/data/projects.json - keep one`
+        );
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    console.error(`❌ Found ${errors.length} data error(s):\n`);
+    errors.forEach((line) => console.error(`  ${line}`));
+    process.exit(1);
+  }
+
+  console.log(
+    `✅ Validated ${configs.size} world config(s) and src/data/projects.json`
+  );
+}
+
+main().catch((error) => {
+  console.error('❌ Validation failed to run:', error);
+  process.exit(1);
+});
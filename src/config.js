@@ -3,7 +3,10 @@
 // 🎮 GAME SETTINGS
 export const GAME = {
   TARGET_FPS: 60,
-  MAX_DELTA_TIME: 16.667, // Cap at 60 FPS (16.667ms per frame)
+  FIXED_TIMESTEP: 1000 / 60, // ms of game time per simulation step
+  MAX_DELTA_TIME: 100, // Longest frame simulated; longer gaps are dropped
+  RESPAWN_DELAY: 200, // ms of game time between dying and respawning
+  FAST_TRAVEL_OFFSET: 60, // px left of the door or portal the player lands at
   DEBUG_TOGGLE_KEY: 'F1',
 };
 
@@ -26,7 +29,10 @@ export const PHYSICS = {
   GRAVITY_SCALE: 0.001,
   GROUND_FRICTION: 0.8,
   AIR_FRICTION: 0.95,
-  DEATH_ZONE_OFFSET: 200, // pixels below ground level
+  DEATH_ZONE_OFFSET: 200, // pixels below the lowest platform or ground
+  // collisionFilter.category bit for the player, so one-way platforms can
+  // stop colliding with just the player (see Physics.updateOneWayPlatforms)
+  PLAYER_CATEGORY: 0x0002,
 };
 
 // 📷 CAMERA CONSTANTS
@@ -37,8 +43,23 @@ export const CAMERA = {
   SHAKE_HEAVY: { intensity: 12, duration: 0.4 },
 };
 
-// 🎯 CHECKPOINT CONSTANTS
-export const CHECKPOINT = {
+// 🧱 PLATFORM CONSTANTS
+export const PLATFORM = {
+  MOVING_SPEED: 80, // pixels per second along the path
+  MOVING_RANGE: 150, // default horizontal travel when no path is given
+  ROTATION_RATE: 45, // degrees per second
+  BREAK_DELAY: 600, // milliseconds of standing before it breaks
+  RESPAWN_DELAY: 3000, // milliseconds before a broken platform returns
+  BREAK_SHAKE: 2, // pixels of wobble while cracking
+  BREAK_SHAKE_RATE: 0.08, // radians of wobble per millisecond of cracking
+  DEBRIS_COLOR: '#F4A460',
+  STANDING_TOLERANCE: 6, // pixels between feet and surface to count as standing
+  INVISIBLE_DEBUG_COLOR: 'rgba(255, 0, 255, 0.35)',
+  ONE_WAY_EDGE_COLOR: 'rgba(255, 255, 255, 0.7)',
+};
+
+// 🎯 MYSTERY BOX CONSTANTS
+export const MYSTERY_BOX = {
   WIDTH: 40,
   HEIGHT: 40,
   COLORS: {
@@ -46,10 +67,58 @@ export const CHECKPOINT = {
     HIT: '#654321', // Darker brown when hit
     COMPLETED: '#FFD700', // Gold when completed
   },
+  // Looks a project can pick with box.variant in projects.json. Completed
+  // boxes turn gold whatever the variant.
+  VARIANTS: {
+    classic: { BASE: '#8B4513', HIT: '#654321' },
+    brick: { BASE: '#B5542D', HIT: '#7A3A1F' },
+    stone: { BASE: '#8A8A8A', HIT: '#5A5A5A' },
+  },
+  PLATFORM_CLEARANCE: 130, // px between a platform's top and a box placed on it
+  GRID_ROW_SPACING: 150, // px between rows in the grid layout
   HIT_BOUNCE_HEIGHT: 8,
   COLLECTIBLE_SPAWN_OFFSET: { x: 0, y: -20 },
 };
 
+// 🚩 CHECKPOINT FLAG CONSTANTS
+export const FLAG = {
+  WIDTH: 40,
+  HEIGHT: 100, // Pole height; the config's y is the top of the pole
+  RAISE_DURATION: 600, // ms for the flag to run up the pole
+  POLE_COLOR: '#C0C0C0',
+  LOWERED_COLOR: '#9E9E9E', // Flags that aren't the respawn point
+};
+
+// ☠️ HAZARD CONSTANTS
+// Volumes in world configs that kill on touch, and the particle color of
+// the death burst for each
+export const HAZARD = {
+  TYPES: {
+    spikes: { COLOR: '#B0B0B0', DEATH_COLOR: '#FF4444' },
+    water: { COLOR: '#1E90FF', DEATH_COLOR: '#87CEFA' },
+    lava: { COLOR: '#FF4500', DEATH_COLOR: '#FFA500' },
+  },
+  FALL_DEATH_COLOR: '#FF4444', // Falling below the kill plane
+  SPIKE_WIDTH: 16,
+};
+
+// 👾 ENEMY CONSTANTS
+// Patrolling enemies placed on platforms by world configs
+export const ENEMY = {
+  WIDTH: 32,
+  HEIGHT: 32,
+  SPEED: { walker: 60, hopper: 50, flyer: 80 }, // px per second
+  HOP_HEIGHT: 60,
+  HOP_DURATION: 500, // ms in the air per hop
+  HOP_INTERVAL: 1200, // ms from one hop to the next
+  FLYER_ALTITUDE: 80, // Gap between a flyer and its platform's top
+  FLYER_BOB: 8, // How far flyers drift up and down
+  STOMP_TOLERANCE: 16, // How far into the enemy's top a stomp can land
+  STOMP_BOUNCE: 0.8, // Bounce velocity as a fraction of a jump
+  SQUASH_DURATION: 400, // ms a stomped enemy stays flattened
+  PLACEHOLDER_COLOR: '#8E44AD', // Drawn until the sprite sheet loads
+};
+
 // 💎 COLLECTIBLE CONSTANTS
 export const COLLECTIBLE = {
   WIDTH: 16,
@@ -135,6 +204,38 @@ export const UI = {
     PARTICLES: '✨ PARTICLES',
     CONTROLS: '🎮 CONTROLS',
   },
+  // Heads-up display (rendering/HUD.js)
+  HUD: {
+    MARGIN: 16, // px from the screen edge, on top of safe-area insets
+    TITLE_SCALE: 0.3, // PixelText scale for the world name
+    TEXT_SCALE: 0.2, // PixelText scale for counters and notifications
+    ICON_SIZE: 24,
+    IDLE_HIDE_DELAY: 6000, // ms without input before the HUD fades out
+    FADE_DURATION: 400, // ms
+    TOAST_DURATION: 2000, // ms each notification stays up
+    MAX_VISIBLE_TOASTS: 3,
+    MAX_QUEUED_TOASTS: 6, // Oldest waiting notifications are dropped
+  },
+
+  // Minimap in the HUD and the world map screen (rendering/Minimap.js)
+  MINIMAP: {
+    WIDTH: 200, // px, shrinks on narrow screens
+    HEIGHT: 50,
+    MAX_SCREEN_FRACTION: 0.3, // Never wider than this share of the canvas
+    PLAYER_RADIUS: 3,
+    BOX_SIZE: 4,
+    COLORS: {
+      BACKGROUND: 'rgba(0, 0, 0, 0.55)',
+      BORDER: 'rgba(255, 255, 255, 0.5)',
+      PLATFORM: 'rgba(255, 255, 255, 0.7)',
+      VIEWPORT: 'rgba(255, 255, 255, 0.9)',
+      PLAYER: '#FF4136',
+      // Mystery boxes by state
+      inactive: '#FFD700',
+      hit: '#FF8C00',
+      completed: '#777777',
+    },
+  },
 };
 
 // 🌍 WORLD CONSTANTS
@@ -147,23 +248,65 @@ export const WORLD = {
 
 // ⌨️ INPUT CONSTANTS
 export const INPUT = {
+  // Default bindings per action, as KeyboardEvent.code values. Codes are
+  // physical key positions, so WASD sits in the same place on AZERTY and
+  // Dvorak. Players can rebind these from the controls screen.
   KEYS: {
-    LEFT: ['ArrowLeft', 'KeyA'],
-    RIGHT: ['ArrowRight', 'KeyD'],
-    JUMP: ['ArrowUp', 'KeyW', 'Space'],
-    DEBUG: ['F1'],
-    MUTE: ['KeyM'],
-    VOLUME_UP: ['Equal', 'NumpadAdd'],
-    VOLUME_DOWN: ['Minus', 'NumpadSubtract'],
-    FORCE_MUSIC: ['KeyB'],
+    left: ['ArrowLeft', 'KeyA'],
+    right: ['ArrowRight', 'KeyD'],
+    jump: ['ArrowUp', 'KeyW', 'Space'],
+    down: ['ArrowDown', 'KeyS'],
+    debug: ['F1'],
+    grid: ['F2'],
+    mute: ['KeyM'],
+    volumeUp: ['Equal', 'NumpadAdd'],
+    volumeDown: ['Minus', 'NumpadSubtract'],
+    forceMusic: ['KeyB'],
+    resetBoxes: ['KeyR'],
+    controls: ['KeyK'],
+    inventory: ['KeyI'],
+    map: ['KeyN'],
+    pause: ['KeyP'],
+    record: ['F8'],
+    replay: ['F9'],
+  },
+  // Actions that stay active while held (the rest fire once per press)
+  HELD_ACTIONS: ['left', 'right', 'jump', 'down'],
+  // Order and labels for the controls screen
+  ACTION_LABELS: {
+    left: 'Move left',
+    right: 'Move right',
+    jump: 'Jump',
+    down: 'Drop through platform',
+    pause: 'Pause',
+    mute: 'Mute',
+    volumeUp: 'Volume up',
+    volumeDown: 'Volume down',
+    controls: 'Controls',
+    inventory: 'Inventory',
+    map: 'World map',
+    debug: 'Debug mode',
+    grid: 'Grid overlay',
+    forceMusic: 'Start music (debug)',
+    resetBoxes: 'Reset boxes (debug)',
+    record: 'Record input (debug)',
+    replay: 'Play recording (debug)',
   },
+  MAX_KEYS_PER_ACTION: 3,
+  RESERVED_KEYS: ['Escape'], // Always closes menus, can't be bound
+  // Stick deflection (0-1) needed before it counts as left/right.
+  // Button layouts per controller live in game/GamepadMappings.js
+  GAMEPAD_DEADZONE: 0.3,
 };
 
 // 💾 STORAGE CONSTANTS
 export const STORAGE = {
   CHECKPOINT_STATES_KEY: 'portfolioCheckpointStates',
   AUDIO_SETTINGS_KEY: 'portfolioAudioSettings',
+  KEY_BINDINGS_KEY: 'portfolioKeyBindings',
   GAME_PROGRESS_KEY: 'portfolioGameProgress',
+  PROGRESS_BACKUP_KEY: 'portfolioGameProgressBackup',
+  SAVE_VERSION: 2, // Bump when the progress schema changes (see SaveData.js)
 };
 
 // 🎯 WORLD THEMES (for future world-based features)
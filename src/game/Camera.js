@@ -6,6 +6,8 @@ export class Camera {
     this.canvas = canvas;
     this.x = 0;
     this.y = 0;
+    this.previousX = 0; // Position at the start of the fixed step
+    this.previousY = 0;
     this.targetX = 0;
     this.targetY = 0;
     this.smoothing = 0.1;
@@ -85,6 +87,31 @@ export class Camera {
     }
   }
 
+  // Called by Game before each fixed step
+  savePreviousPosition() {
+    this.previousX = this.x;
+    this.previousY = this.y;
+  }
+
+  /**
+   * Move the camera to where it sits between the last two fixed steps,
+   * for the duration of one render. Everything drawn (including parallax
+   * layers that read camera.x) then moves smoothly on screens faster than
+   * the simulation rate. Pair with endInterpolation().
+   * @param {number} alpha - 0 = previous step, 1 = current step
+   */
+  beginInterpolation(alpha) {
+    this.simulatedX = this.x;
+    this.simulatedY = this.y;
+    this.x = this.previousX + (this.x - this.previousX) * alpha;
+    this.y = this.previousY + (this.y - this.previousY) * alpha;
+  }
+
+  endInterpolation() {
+    this.x = this.simulatedX;
+    this.y = this.simulatedY;
+  }
+
   apply(ctx) {
     ctx.save();
 
@@ -253,6 +280,20 @@ export class Camera {
     this.isZooming = false;
   }
 
+  // Part of the world currently on screen, in world coordinates (matches
+  // the transform in apply(), without shake)
+  getViewRect() {
+    const centerX = this.canvas.width / 2;
+    const centerY = this.canvas.height / 2;
+
+    return {
+      x: this.x + centerX - centerX / this.zoom,
+      y: this.y + centerY - centerY / this.zoom,
+      width: this.canvas.width / this.zoom,
+      height: this.canvas.height / this.zoom,
+    };
+  }
+
   // Update camera boundaries (call this when level loads)
   setBoundaries(minX, maxX, minY, maxY) {
     this.minX = minX;
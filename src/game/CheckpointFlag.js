@@ -0,0 +1,109 @@
+// Checkpoint flag entity
+// Touching a flag raises it and makes it the world's respawn point
+// (see WorldManager.checkCheckpointCollisions). Only one flag per world is
+// raised at a time; which one is kept in the save.
+
+import { FLAG, PLAYER } from '../config.js';
+import { rand } from '../utils/math.js';
+
+export class CheckpointFlag {
+  constructor(x, y, worldId, checkpointData) {
+    this.id = checkpointData.id;
+    this.x = x;
+    this.y = y;
+    this.worldId = worldId;
+    this.color = checkpointData.themeColor;
+
+    this.width = FLAG.WIDTH;
+    this.height = FLAG.HEIGHT;
+
+    this.active = false;
+    this.raise = 0; // 0 at the foot of the pole, 1 at the top
+    this.wave = 0;
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.animate=true] - Run the flag up the pole
+   *   rather than starting at the top (restored flags don't animate)
+   */
+  activate({ animate = true } = {}) {
+    this.active = true;
+    this.raise = animate ? 0 : 1;
+  }
+
+  deactivate() {
+    this.active = false;
+    this.raise = 0;
+  }
+
+  update(deltaTime) {
+    this.wave += deltaTime * 0.006;
+
+    if (this.active && this.raise < 1) {
+      this.raise = Math.min(1, this.raise + deltaTime / FLAG.RAISE_DURATION);
+    }
+  }
+
+  draw(ctx) {
+    const poleX = this.x + 4;
+    const bottom = this.y + this.height;
+
+    ctx.save();
+
+    // Pole and base
+    ctx.fillStyle = FLAG.POLE_COLOR;
+    ctx.fillRect(poleX, this.y, 4, this.height);
+    ctx.fillRect(poleX - 6, bottom - 6, 16, 6);
+    ctx.beginPath();
+    ctx.arc(poleX + 2, this.y, 4, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Pennant, waving once raised. Lowered flags hang at the foot.
+    const travel = this.height - 30;
+    const flagTop = bottom - 30 - travel * this.raise;
+    const flutter = this.active ? Math.sin(this.wave) * 3 : 0;
+
+    if (this.active) {
+      ctx.shadowColor = this.color;
+      ctx.shadowBlur = 10 * this.raise;
+    }
+    ctx.fillStyle = this.active ? this.color : FLAG.LOWERED_COLOR;
+    ctx.beginPath();
+    ctx.moveTo(poleX + 4, flagTop);
+    ctx.lineTo(poleX + this.width - 4, flagTop + 10 + flutter);
+    ctx.lineTo(poleX + 4, flagTop + 20);
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.restore();
+  }
+
+  /**
+   * Sparkles from the top of the pole when the flag is raised
+   * @param {Particles} particleSystem - Game particle system
+   */
+  createRaiseEffect(particleSystem) {
+    for (let i = 0; i < 12; i++) {
+      const angle = (Math.PI * 2 * i) / 12;
+      particleSystem.createParticle(this.x + 6, this.y, {
+        vx: Math.cos(angle) * (2 + rand() * 2),
+        vy: Math.sin(angle) * (2 + rand() * 2) - 1,
+        life: 600 + rand() * 400,
+        size: 3 + rand() * 3,
+        color: this.color,
+        gravity: 0.05,
+        friction: 0.97,
+        fadeOut: true,
+      });
+    }
+  }
+
+  // Where the player respawns: standing at the foot of the pole
+  getRespawnPoint() {
+    return {
+      x: this.x + this.width / 2,
+      y: this.y + this.height - PLAYER.HEIGHT,
+    };
+  }
+}
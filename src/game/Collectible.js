@@ -3,6 +3,8 @@
 
 import { Bodies, Body, World } from 'matter-js';
 import { gsap } from 'gsap';
+import { rand } from '../utils/math.js';
+import { addToInventory } from '../world/SaveData.js';
 
 export class Collectible {
   constructor(
@@ -208,6 +210,9 @@ export class Collectible {
 
     this.collected = true;
 
+    // Keep it in the inventory after the sprite is gone
+    addToInventory(this.projectData);
+
     // Play collection sound
     this.audioManager.playMysteryBoxComplete();
 
@@ -248,13 +253,13 @@ export class Collectible {
 
     for (let i = 0; i < numParticles; i++) {
       const angle = (Math.PI * 2 * i) / numParticles;
-      const speed = 2 + Math.random() * 3;
+      const speed = 2 + rand() * 3;
 
       this.particleSystem.createParticle(centerX, centerY, {
         vx: Math.cos(angle) * speed,
         vy: Math.sin(angle) * speed - 1, // Slight upward bias
-        life: 600 + Math.random() * 300,
-        size: 2 + Math.random() * 3,
+        life: 600 + rand() * 300,
+        size: 2 + rand() * 3,
         color: '#FFD700', // Gold particles for collection
         gravity: 0.05,
         friction: 0.99,
@@ -2,13 +2,15 @@
 // Handles player collision detection and triggers world changes
 
 import { Bodies } from 'matter-js';
+import { markDoorUsed } from '../world/SaveData.js';
 
 export class Door {
   constructor(x, y, worldTransitionManager, transitionData) {
     this.x = x;
     this.y = y;
     this.worldTransitionManager = worldTransitionManager;
-    this.transitionData = transitionData; // { targetWorld, spawnPoint, doorType }
+    this.transitionData = transitionData; // { id, targetWorld, spawnPoint, doorType }
+    this.id = transitionData.id; // Key in the world config's doors
 
     // Door properties
     this.width = 60;
@@ -100,7 +102,9 @@ export class Door {
       ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
       ctx.font = '10px Arial';
       ctx.fillText(
-        this.transitionData.targetWorld.replace('-', ' ').toUpperCase(),
+        (
+          this.transitionData.name || this.transitionData.targetWorld
+        ).toUpperCase(),
         0,
         -this.height / 2 - 15
       );
@@ -163,6 +167,9 @@ export class Door {
     // Trigger hover effect
     this.hoverEffect = 1;
 
+    // Walking through a door unlocks portals to where it leads
+    markDoorUsed(this.worldTransitionManager.getCurrentWorldId(), this.id);
+
     // Trigger world transition - pass door position for return spawning
     this.worldTransitionManager.transitionToWorld(
       this.transitionData.targetWorld,
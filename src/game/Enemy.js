@@ -0,0 +1,190 @@
+// Enemy entity
+// Enemies patrol a platform from the world config: walkers pace along its
+// top, hoppers bound along it and flyers cruise above it. Landing on one
+// from above stomps it and bounces the player; any other contact kills
+// (see Game.checkEnemyCollisions). Like flags and portals they have no
+// physics bodies. Positions are top-left.
+
+import { AnimationFrame } from '../utils/animation.js';
+import { SpriteSheet } from '../rendering/SpriteSheet.js';
+import { ENEMY } from '../config.js';
+import enemyAtlas from '../data/sprites/enemies.json';
+
+// One sheet for every enemy, with a costume per world
+const sprite = new SpriteSheet(enemyAtlas);
+
+export class Enemy {
+  /**
+   * @param {Object} enemyData - Enemy config: type, x and optional speed,
+   *   minX, maxX and altitude
+   * @param {Object} platform - Config of the platform it patrols
+   * @param {string} worldId - World it's in, which picks its costume
+   */
+  constructor(enemyData, platform, worldId) {
+    this.type = enemyData.type;
+    this.width = ENEMY.WIDTH;
+    this.height = ENEMY.HEIGHT;
+
+    // Patrol range for the whole body, within the platform's width
+    const platformLeft = platform.x - platform.width / 2;
+    const platformRight = platform.x + platform.width / 2;
+    this.minX = Math.max(platformLeft, enemyData.minX ?? platformLeft);
+    this.maxX =
+      Math.min(platformRight, enemyData.maxX ?? platformRight) - this.width;
+
+    // y the enemy rests at: on the platform's top, or above it for flyers
+    const top = platform.y - platform.height / 2;
+    const altitude =
+      this.type === 'flyer' ? (enemyData.altitude ?? ENEMY.FLYER_ALTITUDE) : 0;
+    this.baseY = top - altitude - this.height;
+
+    this.x = Math.min(Math.max(enemyData.x, this.minX), this.maxX);
+    this.y = this.baseY;
+    this.speed = enemyData.speed ?? ENEMY.SPEED[this.type];
+    this.direction = 1; // 1 for right, -1 for left
+    this.time = 0; // ms since spawning, drives hops and bobbing
+
+    // 'patrolling', then 'squashed' once stomped, then removed
+    this.state = 'patrolling';
+    this.squashTimer = 0;
+    this.removed = false;
+
+    this.costume = sprite.hasCostume(worldId) ? worldId : 'default';
+    sprite.loadCostume(this.costume);
+    this.animation = new AnimationFrame();
+    this.animationState = null;
+    this.setAnimation(this.getAnimationState());
+  }
+
+  update(deltaTime) {
+    if (this.state === 'squashed') {
+      this.squashTimer -= deltaTime;
+      if (this.squashTimer <= 0) {
+        this.removed = true;
+      }
+      return;
+    }
+
+    this.time += deltaTime;
+
+    // Hoppers only cover ground while they're in the air
+    if (this.type !== 'hopper' || this.isAirborne()) {
+      this.x += (this.direction * this.speed * deltaTime) / 1000;
+    }
+    if (this.x <= this.minX || this.x >= this.maxX) {
+      this.x = Math.min(Math.max(this.x, this.minX), this.maxX);
+      this.direction = this.x <= this.minX ? 1 : -1;
+    }
+
+    if (this.type === 'hopper') {
+      const hop = this.time % ENEMY.HOP_INTERVAL;
+      this.y = this.isAirborne()
+        ? this.baseY -
+          ENEMY.HOP_HEIGHT * Math.sin((Math.PI * hop) / ENEMY.HOP_DURATION)
+        : this.baseY;
+    } else if (this.type === 'flyer') {
+      this.y = this.baseY + Math.sin(this.time * 0.004) * ENEMY.FLYER_BOB;
+    }
+
+    const nextState = this.getAnimationState();
+    if (nextState !== this.animationState) {
+      this.setAnimation(nextState);
+    }
+    this.animation.update(deltaTime);
+  }
+
+  isAirborne() {
+    return (
+      this.type === 'hopper' &&
+      this.time % ENEMY.HOP_INTERVAL < ENEMY.HOP_DURATION
+    );
+  }
+
+  getAnimationState() {
+    if (this.state === 'squashed') return 'squash';
+    if (this.type === 'hopper') return this.isAirborne() ? 'hop' : 'crouch';
+    return this.type === 'flyer' ? 'fly' : 'walk';
+  }
+
+  setAnimation(name) {
+    const animation = sprite.getAnimation(name);
+    if (!animation) return;
+
+    this.animationState = name;
+    this.animation.frameDuration = animation.frameDuration;
+    this.animation.loop = animation.loop;
+    this.animation.setFrameCount(animation.frames.length);
+    this.animation.reset();
+    this.animation.play();
+  }
+
+  /**
+   * How the player is touching this enemy, if at all. Coming down onto its
+   * top is a stomp; anything else is a hit.
+   * @param {Player} player - The player
+   * @returns {'stomp'|'hit'|null} Kind of contact
+   */
+  checkPlayerCollision(player) {
+    if (this.state !== 'patrolling' || player.isDead) return null;
+
+    const left = player.x - player.width / 2;
+    const top = player.y - player.height / 2;
+    const touching =
+      left < this.x + this.width &&
+      left + player.width > this.x &&
+      top < this.y + this.height &&
+      top + player.height > this.y;
+    if (!touching) return null;
+
+    // Judge from where the feet were before this step, so a fast fall
+    // that sinks deep into the enemy still counts
+    const previousBottom = player.previousPosition.y + player.height / 2;
+    const falling = player.body.velocity.y > 0;
+    return falling && previousBottom <= this.y + ENEMY.STOMP_TOLERANCE
+      ? 'stomp'
+      : 'hit';
+  }
+
+  // Flatten, then disappear after SQUASH_DURATION
+  stomp() {
+    this.state = 'squashed';
+    this.squashTimer = ENEMY.SQUASH_DURATION;
+    this.setAnimation('squash');
+  }
+
+  draw(ctx) {
+    const animation = sprite.getAnimation(this.animationState);
+    const frameName =
+      animation && animation.frames[this.animation.currentFrame];
+    const drawn = sprite.drawFrame(
+      ctx,
+      this.costume,
+      frameName,
+      this.x + this.width / 2,
+      this.y + this.height / 2,
+      this.direction === -1
+    );
+
+    if (!drawn) {
+      this.drawPlaceholder(ctx);
+    }
+  }
+
+  // Plain block with an eye, used until the sprite sheet has loaded
+  drawPlaceholder(ctx) {
+    const squashed = this.state === 'squashed';
+    const height = squashed ? this.height / 4 : this.height;
+    const y = this.y + this.height - height;
+
+    ctx.save();
+    ctx.fillStyle = ENEMY.PLACEHOLDER_COLOR;
+    ctx.fillRect(this.x, y, this.width, height);
+
+    if (!squashed) {
+      const eyeX = this.direction === 1 ? this.x + this.width - 12 : this.x + 6;
+      ctx.fillStyle = 'white';
+      ctx.fillRect(eyeX, y + 8, 6, 6);
+    }
+    ctx.restore();
+  }
+}
@@ -13,23 +13,60 @@ import { Collectible } from './Collectible.js';
 import {
   ProjectManager,
   WorldManager,
+  PortfolioData,
   MysteryBoxStateManager,
 } from '../world/ProjectData.js';
-import { UI } from '../rendering/UI.js';
+import { WorldRegistry } from '../world/WorldRegistry.js';
+import { validateProjectsData } from '../world/ConfigValidator.js';
+import { ErrorOverlay } from '../rendering/ErrorOverlay.js';
+import { ControlsScreen } from '../rendering/ControlsScreen.js';
+import { PauseMenu } from '../rendering/PauseMenu.js';
+import { InventoryScreen } from '../rendering/InventoryScreen.js';
+import { ListView } from '../rendering/ListView.js';
+import { WorldMap } from '../rendering/WorldMap.js';
+import { PortalMenu } from '../rendering/PortalMenu.js';
+import { clearSave } from '../world/SaveData.js';
+import { HUD } from '../rendering/HUD.js';
 import { Modal } from '../rendering/Modal.js';
 import { RotationPrompt } from '../rendering/RotationPrompt.js';
 import { TouchControls } from '../rendering/TouchControls.js';
 import { isTouchDevice } from '../utils/responsive.js';
-import { gsap } from 'gsap';
+import { rand, seedRandom } from '../utils/math.js';
+import { escapeHtml } from '../utils/markdown.js';
+import { InputRecorder, InputReplay } from './InputRecorder.js';
+import { GAME, HAZARD } from '../config.js';
+import { findHazardAt, getDeathColor, isAboveHazard } from './Hazard.js';
 
 export class Game {
-  constructor(canvas) {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to draw into
+   * @param {Object} [options]
+   * @param {number} [options.seed] - Seed for particles and other randomness
+   * @param {boolean} [options.headless] - Don't start the animation frame
+   *   loop; drive the game with stepSimulation() instead
+   */
+  constructor(canvas, options = {}) {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d');
     this.lastTime = 0;
     this.gameTime = 0;
     this.deltaTime = 0;
 
+    // Fixed-step simulation: frames add real time to the accumulator and
+    // the game advances in GAME.FIXED_TIMESTEP slices, so physics runs the
+    // same on 60Hz and 144Hz screens. alpha is how far rendering sits
+    // between the last two steps.
+    this.accumulator = 0;
+    this.alpha = 1;
+    this.tick = 0;
+    this.headless = options.headless || false;
+    seedRandom(options.seed);
+
+    // Input recording and replay (see InputRecorder.js)
+    this.recorder = null;
+    this.replay = null;
+    this.replayResolve = null;
+
     // Game state
     this.state = 'playing'; // playing, paused
     this.debugMode = false;
@@ -37,6 +74,7 @@ export class Game {
 
     // Game statistics
     this.respawnCount = 0;
+    this.respawnTimer = 0; // ms of game time until a dead player respawns
     this.startTime = Date.now();
 
     // Simple game state tracking
@@ -56,6 +94,9 @@ export class Game {
     // Initialize world transition system
     this.worldTransitionManager = new WorldTransitionManager(this);
     this.doors = []; // Array to track doors in current world
+    this.portals = []; // Portal network stops in the current world
+    this.checkpoints = []; // Checkpoint flags in the current world
+    this.enemies = []; // Patrolling enemies in the current world
 
     // Level has been replaced by JSON-based WorldLoader system
     // this.level will be set by WorldTransitionManager during initialization
@@ -68,7 +109,7 @@ export class Game {
 
     // Temporary spawn point - will be overridden by world loading
     this.spawnPoint = { x: 200, y: 350 };
-    this.deathY = 850; // Default death boundary
+    this.deathY = 850; // Kill plane, set per world on load (see Hazard.js)
 
     // Create player at temporary spawn point (will be repositioned by world loading)
     this.player = new Player(
@@ -78,19 +119,26 @@ export class Game {
       this.particleSystem
     );
 
-    // Initialize main hub after setup
-    this.initializeMainHub();
+    // Error overlay for broken world configs and project data
+    this.errorOverlay = new ErrorOverlay();
+    this.validateProjectData();
+
+    // Load saved mystery box progress before any world builds its boxes
+    this.mysteryBoxStateManager = new MysteryBoxStateManager();
+    this.mysteryBoxes = [];
+
+    // Initialize main hub after setup. Project deep links wait on this
+    // before moving to another world.
+    this.hubLoaded = this.initializeMainHub();
 
     // Initialize audio manager
     this.audioManager = new Audio();
 
     // Initialize mystery box system
-    this.mysteryBoxStateManager = new MysteryBoxStateManager();
-    this.mysteryBoxes = [];
     this.createMysteryBoxes();
 
     // Initialize UI system
-    this.ui = new UI(canvas, this.audioManager, this.mysteryBoxStateManager);
+    this.hud = new HUD(this);
 
     // Initialize project modal
     this.projectModal = new Modal();
@@ -109,6 +157,39 @@ export class Game {
     // Setup audio controls
     this.setupAudioControls();
 
+    // Key rebinding screen
+    this.controlsScreen = new ControlsScreen(this);
+    this.inputHandler.onAction('controls', () => this.controlsScreen.toggle());
+
+    // Collected items, each one reopens its project
+    this.inventoryScreen = new InventoryScreen(this);
+    this.inputHandler.onAction('inventory', () =>
+      this.inventoryScreen.toggle()
+    );
+
+    // Every world's completion, with fast travel to discovered doors
+    this.worldMap = new WorldMap(this);
+    this.inputHandler.onAction('map', () => this.worldMap.toggle());
+
+    // Destination picker for portals between worlds
+    this.portalMenu = new PortalMenu(this);
+
+    // Every project as a plain page, for keyboards and screen readers
+    this.listView = new ListView(this);
+
+    // Pause menu (Esc, P on keyboard, Start on a gamepad)
+    this.pauseMenu = new PauseMenu(this);
+    this.pauseMenu.create();
+    this.inputHandler.onAction('pause', () => this.pauseMenu.toggle());
+
+    // Tell the player when a controller is plugged in or removed
+    this.inputHandler.gamepad.onConnectionChange(({ connected, name }) => {
+      this.hud.showNotification(
+        connected ? `${name} connected` : `${name} disconnected`,
+        connected ? 'info' : 'warning'
+      );
+    });
+
     // Initialize rotation prompt for touch devices
     if (isTouchDevice()) {
       this.rotationPrompt = new RotationPrompt();
@@ -120,7 +201,9 @@ export class Game {
 
     // Start game loop
     this.gameLoop = this.gameLoop.bind(this);
-    requestAnimationFrame(this.gameLoop);
+    if (!this.headless) {
+      requestAnimationFrame(this.gameLoop);
+    }
 
     // Handle resize
     this.handleResize();
@@ -159,31 +242,9 @@ export class Game {
   }
 
   setupDebugToggle() {
-    // Toggle debug mode with 'F1' key
-    let debugPressed = false;
-    let gridPressed = false;
-
-    document.addEventListener('keydown', (e) => {
-      if (e.code === 'F1' && !debugPressed) {
-        e.preventDefault();
-        debugPressed = true;
-        this.toggleDebug();
-      }
-      if (e.code === 'F2' && !gridPressed) {
-        e.preventDefault();
-        gridPressed = true;
-        this.toggleGrid();
-      }
-    });
-
-    document.addEventListener('keyup', (e) => {
-      if (e.code === 'F1') {
-        debugPressed = false;
-      }
-      if (e.code === 'F2') {
-        gridPressed = false;
-      }
-    });
+    // Toggle debug mode and grid with their bound keys (F1/F2 by default)
+    this.inputHandler.onAction('debug', () => this.toggleDebug());
+    this.inputHandler.onAction('grid', () => this.toggleGrid());
 
     // Set up global click handler for debug reset button
     document.addEventListener('click', (e) => {
@@ -200,9 +261,9 @@ export class Game {
     this.physics.toggleDebug();
 
     // Update world debug mode for invisible platforms
-    const currentWorldInstance = this.worldTransitionManager.getCurrentWorld();
-    if (currentWorldInstance && currentWorldInstance.setDebugMode) {
-      currentWorldInstance.setDebugMode(this.debugMode);
+    const currentWorld = this.worldTransitionManager.getCurrentWorldInstance();
+    if (currentWorld && currentWorld.setDebugMode) {
+      currentWorld.setDebugMode(this.debugMode);
     }
 
     const debugInfo = document.getElementById('debug-info');
@@ -227,6 +288,7 @@ export class Game {
   handleResize() {
     this.resizeCanvas();
     this.camera.resize(this.canvas.width, this.canvas.height);
+    this.hud.resize();
 
     // Resize world background if available
     const currentWorld = this.worldTransitionManager.getCurrentWorldInstance();
@@ -235,11 +297,33 @@ export class Game {
     }
   }
 
+  // Report problems in projects.json up front instead of as missing boxes
+  validateProjectData() {
+    try {
+      validateProjectsData(
+        PortfolioData,
+        undefined,
+        WorldRegistry.getWorldIds()
+      );
+    } catch (error) {
+      console.error(error.message);
+      this.errorOverlay.show(error, 'Project data has errors');
+    }
+  }
+
   // Initialize main hub world
   async initializeMainHub() {
     console.log('Initializing main hub world');
-    // Pass null to use spawn point from JSON config (which has mobile support)
-    this.level = await this.worldTransitionManager.loadWorld('jersey-shore', null);
+    try {
+      // Pass null to use spawn point from JSON config (which has mobile support)
+      this.level = await this.worldTransitionManager.loadWorld(
+        WorldRegistry.getHubId(),
+        null
+      );
+    } catch (error) {
+      // WorldManager already surfaced the error in the overlay
+      console.error('Failed to load main hub:', error);
+    }
   }
 
   // Create mystery boxes for main hub world
@@ -268,7 +352,7 @@ export class Game {
       // Check if mystery box has been interacted with
       const savedState = this.mysteryBoxStateManager.getState(project.id);
       if (savedState !== 'inactive') {
-        mysteryBox.setState(savedState);
+        mysteryBox.restoreState(savedState);
       }
 
       this.mysteryBoxes.push(mysteryBox);
@@ -284,13 +368,24 @@ export class Game {
     // Calculate delta time
     this.deltaTime = currentTime - this.lastTime;
     this.lastTime = currentTime;
-    this.gameTime += this.deltaTime;
 
-    // Cap delta time to prevent issues
-    const cappedDelta = Math.min(this.deltaTime, 16.667); // Cap at 16.667ms (60 FPS)
+    // Gamepads are polled rather than evented, and must be read while
+    // paused too
+    this.inputHandler.pollGamepads();
+
+    // HUD timers run on real time so notifications clear while paused
+    this.hud.update(this.deltaTime, this.inputHandler.isAnyPressed());
 
-    // Update
-    this.update(cappedDelta);
+    // Run as many fixed steps as this frame's time covers. Long gaps (a
+    // background tab) are dropped rather than replayed.
+    if (this.state === 'playing') {
+      this.accumulator += Math.min(this.deltaTime, GAME.MAX_DELTA_TIME);
+      while (this.accumulator >= GAME.FIXED_TIMESTEP) {
+        this.step();
+        this.accumulator -= GAME.FIXED_TIMESTEP;
+      }
+      this.alpha = this.accumulator / GAME.FIXED_TIMESTEP;
+    }
 
     // Render
     this.render();
@@ -304,7 +399,197 @@ export class Game {
     requestAnimationFrame(this.gameLoop);
   }
 
+  // Advance the simulation by exactly one fixed step
+  step() {
+    this.player.savePreviousPosition();
+    this.camera.savePreviousPosition();
+
+    if (this.replay) {
+      this.replay.apply(this.inputHandler);
+    }
+    if (this.recorder) {
+      this.recorder.capture(this.inputHandler.keys);
+    }
+
+    this.update(GAME.FIXED_TIMESTEP);
+    this.gameTime += GAME.FIXED_TIMESTEP;
+    this.tick++;
+
+    if (this.replay && this.replay.isFinished()) {
+      this.finishReplay();
+    }
+  }
+
+  /**
+   * Run the simulation without rendering or waiting for frames, for tests
+   * and tooling. Runs even when paused.
+   * @param {number} [steps=1] - Number of fixed steps to run
+   * @returns {Object} State after the last step (see getSimulationState)
+   */
+  stepSimulation(steps = 1) {
+    const state = this.state;
+    this.state = 'playing';
+    for (let i = 0; i < steps; i++) {
+      this.inputHandler.pollGamepads();
+      this.step();
+    }
+    this.state = state;
+    this.accumulator = 0;
+    this.alpha = 1;
+    return this.getSimulationState();
+  }
+
+  // Small snapshot of the simulation for comparing runs
+  getSimulationState() {
+    const { position, velocity } = this.player.body;
+    return {
+      tick: this.tick,
+      gameTime: this.gameTime,
+      player: {
+        x: position.x,
+        y: position.y,
+        vx: velocity.x,
+        vy: velocity.y,
+        isGrounded: this.player.isGrounded,
+        jumpsRemaining: this.player.jumpsRemaining,
+      },
+    };
+  }
+
+  // Put the player in the same state at the start of a recording and of
+  // its replay, so both runs start identically
+  resetForRecording(seed, start) {
+    seedRandom(seed);
+    this.respawnTimer = 0;
+    this.player.respawn(start.x, start.y);
+    this.player.setVelocity(start.vx, start.vy);
+  }
+
+  // Start recording input from the next fixed step
+  startRecording() {
+    const { position, velocity } = this.player.body;
+    const start = {
+      x: position.x,
+      y: position.y,
+      vx: velocity.x,
+      vy: velocity.y,
+    };
+    const seed = Math.floor(Math.random() * 0x7fffffff);
+
+    this.resetForRecording(seed, start);
+    this.recorder = new InputRecorder({
+      worldId: this.worldTransitionManager.getCurrentWorldId(),
+      seed,
+      player: start,
+    });
+  }
+
+  /**
+   * Stop recording
+   * @returns {Object|null} The recording (see InputRecorder.js for the format)
+   */
+  stopRecording() {
+    if (!this.recorder) return null;
+
+    const recording = this.recorder.toJSON();
+    this.recorder = null;
+    return recording;
+  }
+
+  downloadRecording(recording) {
+    const blob = new Blob([JSON.stringify(recording)], {
+      type: 'application/json',
+    });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `input-${recording.worldId}-${Date.now()}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  /**
+   * Replay a recording through the normal game loop (or stepSimulation()
+   * in headless mode). Live held input is ignored until it finishes.
+   * @param {Object} recording - From stopRecording() or a saved JSON file
+   * @returns {Promise<Object>} Resolves with getSimulationState() after the
+   *   last recorded step
+   */
+  async playReplay(recording) {
+    // Throws on an unusable recording
+    const replay = new InputReplay(recording);
+
+    this.stopRecording();
+    if (this.replay) {
+      this.finishReplay();
+    }
+
+    if (this.worldTransitionManager.getCurrentWorldId() !== recording.worldId) {
+      await this.worldTransitionManager.transitionToWorld(recording.worldId, {
+        x: recording.start.x,
+        y: recording.start.y,
+      });
+    }
+
+    this.resetForRecording(recording.seed, recording.start);
+    this.replay = replay;
+
+    return new Promise((resolve) => {
+      this.replayResolve = resolve;
+    });
+  }
+
+  finishReplay() {
+    const resolve = this.replayResolve;
+    this.replay = null;
+    this.replayResolve = null;
+    this.inputHandler.endReplay();
+
+    if (resolve) {
+      resolve(this.getSimulationState());
+    }
+  }
+
+  // Debug shortcut: F8 starts recording, pressing it again saves the file
+  toggleRecording() {
+    if (this.recorder) {
+      const recording = this.stopRecording();
+      this.downloadRecording(recording);
+      this.hud.showNotification(`Saved ${recording.ticks} steps of input`);
+    } else {
+      this.startRecording();
+      this.hud.showNotification('Recording input');
+    }
+  }
+
+  // Debug shortcut: F9 picks a recording file and replays it
+  chooseReplayFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+    input.addEventListener('change', async () => {
+      const file = input.files[0];
+      if (!file) return;
+
+      try {
+        const recording = JSON.parse(await file.text());
+        this.hud.showNotification(`Replaying ${file.name}`);
+        await this.playReplay(recording);
+        this.hud.showNotification('Replay finished');
+      } catch (error) {
+        console.error('Replay failed:', error);
+        this.hud.showNotification(`Replay failed: ${error.message}`, 'error');
+      }
+    });
+    input.click();
+  }
+
   render() {
+    this.camera.beginInterpolation(this.alpha);
+    this.drawFrame();
+    this.camera.endInterpolation();
+  }
+
+  drawFrame() {
     // Clear canvas with temporary solid color
     this.ctx.fillStyle = '#87CEEB';
     this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
@@ -322,7 +607,7 @@ export class Game {
 
     // Draw current world platforms and decorations
     if (currentWorld) {
-      currentWorld.draw(this.ctx);
+      currentWorld.draw(this.ctx, this.camera);
     }
     // No fallback to this.level needed - world system handles all drawing
 
@@ -334,11 +619,20 @@ export class Game {
       this.doors.forEach((door) => door.draw(this.ctx));
     }
 
+    // Draw checkpoint flags
+    this.checkpoints.forEach((flag) => flag.draw(this.ctx));
+
+    // Draw portals
+    this.portals.forEach((portal) => portal.draw(this.ctx));
+
+    // Draw enemies
+    this.enemies.forEach((enemy) => enemy.draw(this.ctx));
+
     // Draw particles behind player
     this.particleSystem.draw(this.ctx);
 
     // Draw player
-    this.player.draw(this.ctx);
+    this.player.draw(this.ctx, this.alpha);
 
     // Draw grid overlay (in world space, before camera restore)
     if (this.showGrid) {
@@ -353,27 +647,54 @@ export class Game {
   }
 
   checkPlayerDeath() {
+    if (this.player.isDead) return;
+
     // Check if player has fallen off the world
     if (this.player.y > this.deathY) {
       this.respawnPlayer();
+      return;
+    }
+
+    // Spikes, water and lava kill on touch
+    const world = this.worldTransitionManager.getCurrentWorldInstance();
+    const hazard = world ? findHazardAt(this.player, world.hazards) : null;
+    if (hazard) {
+      this.respawnPlayer(hazard);
+    }
+  }
+
+  // Landing on an enemy stomps it and bounces the player; touching one any
+  // other way kills
+  checkEnemyCollisions() {
+    for (const enemy of this.enemies) {
+      const contact = enemy.checkPlayerCollision(this.player);
+      if (contact === 'stomp') {
+        enemy.stomp();
+        this.player.bounce();
+        this.audioManager.playStomp();
+        this.camera.lightShake();
+      } else if (contact === 'hit') {
+        this.respawnPlayer();
+        return;
+      }
     }
   }
 
-  createDeathEffect(x, y) {
+  createDeathEffect(x, y, color = HAZARD.FALL_DEATH_COLOR) {
     // Create a burst of particles at death location
     const numParticles = 15;
 
     for (let i = 0; i < numParticles; i++) {
       const angle = (Math.PI * 2 * i) / numParticles;
-      const speed = 4 + Math.random() * 6;
-      const size = 3 + Math.random() * 5;
+      const speed = 4 + rand() * 6;
+      const size = 3 + rand() * 5;
 
       const particle = new Particle(x, y, {
         vx: Math.cos(angle) * speed,
         vy: Math.sin(angle) * speed - 2, // Slight upward bias
-        life: 800 + Math.random() * 400, // 800-1200ms
+        life: 800 + rand() * 400, // 800-1200ms
         size: size,
-        color: '#FF4444', // Red death particles
+        color, // Red for falls, by hazard type otherwise
         gravity: 0.1,
         friction: 0.98,
         fadeOut: true,
@@ -401,6 +722,10 @@ export class Game {
     // Get mystery box stats
     const mysteryBoxStats = this.mysteryBoxStateManager.getStats();
 
+    // Key hints follow the player's bindings (see ControlsScreen)
+    const bindings = this.inputHandler.bindings;
+    const key = (action) => escapeHtml(bindings.describe(action));
+
     debugInfo.innerHTML = `
       <div class="debug-section">
         <div class="debug-title">🎮 GAME INFO</div>
@@ -457,11 +782,11 @@ export class Game {
       
       <div class="debug-section">
         <div class="debug-title">🎮 CONTROLS</div>
-        <div class="debug-line">M: Toggle Mute | +/-: Volume</div>
-        <div class="debug-line">B: Force Music | F1: Debug</div>
-        <div class="debug-line">F2: Grid Overlay (${this.showGrid ? 'ON' : 'OFF'})</div>
-        <div class="debug-line">Space: Jump | WASD: Move</div>
-        <div class="debug-line">R: Complete Game Reset</div>
+        <div class="debug-line">${key('mute')}: Toggle Mute | ${key('volumeUp')} ${key('volumeDown')}: Volume</div>
+        <div class="debug-line">${key('forceMusic')}: Force Music | ${key('debug')}: Debug</div>
+        <div class="debug-line">${key('grid')}: Grid Overlay (${this.showGrid ? 'ON' : 'OFF'})</div>
+        <div class="debug-line">${key('jump')}: Jump | ${key('left')} ${key('right')}: Move</div>
+        <div class="debug-line">${key('resetBoxes')}: Complete Game Reset</div>
       </div>
     `;
   }
@@ -522,47 +847,49 @@ export class Game {
 
   // Setup audio control keys
   setupAudioControls() {
-    document.addEventListener('keydown', (e) => {
-      switch (e.code) {
-        case 'KeyM':
-          e.preventDefault();
-          this.audioManager.toggleMute();
-          this.showAudioFeedback(
-            this.audioManager.isMuted() ? 'Audio Muted' : 'Audio Unmuted'
-          );
-          break;
-        case 'Equal': // + key
-        case 'NumpadAdd':
-          e.preventDefault();
-          this.audioManager.setSFXVolume(
-            Math.min(1, this.audioManager.getSFXVolume() + 0.1)
-          );
-          this.showAudioFeedback(
-            `Volume: ${Math.round(this.audioManager.getSFXVolume() * 100)}%`
-          );
-          break;
-        case 'Minus':
-        case 'NumpadSubtract':
-          e.preventDefault();
-          this.audioManager.setSFXVolume(
-            Math.max(0, this.audioManager.getSFXVolume() - 0.1)
-          );
-          this.showAudioFeedback(
-            `Volume: ${Math.round(this.audioManager.getSFXVolume() * 100)}%`
-          );
-          break;
-        case 'KeyB': // B for background music (debug)
-          e.preventDefault();
-          this.audioManager.forceStartMusic();
-          this.showAudioFeedback('Force starting background music');
-          break;
-        case 'KeyR': // R for reset mystery boxes (debug)
-          if (this.debugMode) {
-            // Only allow in debug mode
-            e.preventDefault();
-            this.resetAllMysteryBoxes();
-          }
-          break;
+    const input = this.inputHandler;
+
+    input.onAction('mute', () => {
+      this.audioManager.toggleMute();
+      this.hud.showNotification(
+        this.audioManager.isMuted() ? 'Audio Muted' : 'Audio Unmuted'
+      );
+    });
+    input.onAction('volumeUp', () => {
+      this.audioManager.setSFXVolume(
+        Math.min(1, this.audioManager.getSFXVolume() + 0.1)
+      );
+      this.hud.showNotification(
+        `Volume: ${Math.round(this.audioManager.getSFXVolume() * 100)}%`
+      );
+    });
+    input.onAction('volumeDown', () => {
+      this.audioManager.setSFXVolume(
+        Math.max(0, this.audioManager.getSFXVolume() - 0.1)
+      );
+      this.hud.showNotification(
+        `Volume: ${Math.round(this.audioManager.getSFXVolume() * 100)}%`
+      );
+    });
+    input.onAction('forceMusic', () => {
+      // B for background music (debug)
+      this.audioManager.forceStartMusic();
+      this.hud.showNotification('Force starting background music');
+    });
+    input.onAction('resetBoxes', () => {
+      // Only allow in debug mode
+      if (this.debugMode) {
+        this.resetAllMysteryBoxes();
+      }
+    });
+    input.onAction('record', () => {
+      if (this.debugMode) {
+        this.toggleRecording();
+      }
+    });
+    input.onAction('replay', () => {
+      if (this.debugMode) {
+        this.chooseReplayFile();
       }
     });
 
@@ -576,48 +903,6 @@ export class Game {
     document.addEventListener('keydown', startAudio, { once: true });
   }
 
-  // Show temporary audio feedback
-  showAudioFeedback(message) {
-    // Create temporary UI element for feedback
-    const feedback = document.createElement('div');
-    feedback.textContent = message;
-    feedback.style.cssText = `
-      position: fixed;
-      top: 70px;
-      left: 10px;
-      color: white;
-      background: rgba(0, 0, 0, 0.7);
-      padding: 10px 15px;
-      border-radius: 5px;
-      font-family: monospace;
-      font-size: 14px;
-      z-index: 1000;
-      pointer-events: none;
-    `;
-
-    document.body.appendChild(feedback);
-
-    // Animate in
-    gsap.fromTo(
-      feedback,
-      { opacity: 0, y: -20 },
-      { opacity: 1, y: 0, duration: 0.3 }
-    );
-
-    // Animate out and remove
-    gsap.to(feedback, {
-      opacity: 0,
-      y: -20,
-      duration: 0.3,
-      delay: 1.5,
-      onComplete: () => {
-        if (feedback.parentNode) {
-          feedback.parentNode.removeChild(feedback);
-        }
-      },
-    });
-  }
-
   // Enhanced update method with player event checking
   update(deltaTime) {
     if (this.state !== 'playing') return;
@@ -625,6 +910,15 @@ export class Game {
     // Update input handler
     this.inputHandler.update();
 
+    // Respawn after the death delay
+    if (this.respawnTimer > 0) {
+      this.respawnTimer -= deltaTime;
+      if (this.respawnTimer <= 0) {
+        this.respawnTimer = 0;
+        this.finishRespawn();
+      }
+    }
+
     // Update physics
     this.physics.update(deltaTime);
 
@@ -682,9 +976,28 @@ export class Game {
       this.doors.forEach((door) => door.update(deltaTime));
     }
 
+    // Update portals
+    this.portals.forEach((portal) => portal.update(deltaTime));
+
+    // Update checkpoint flags
+    this.checkpoints.forEach((flag) => flag.update(deltaTime));
+
+    // Update enemies, dropping stomped ones once they've flattened
+    this.enemies.forEach((enemy) => enemy.update(deltaTime));
+    this.enemies = this.enemies.filter((enemy) => !enemy.removed);
+
     // Check for door collisions (world transitions)
     this.worldTransitionManager.checkDoorCollisions(this.player);
 
+    // Check for portals (opens the destination picker)
+    this.worldTransitionManager.checkPortalCollisions(this.player);
+
+    // Check for checkpoint flags (moves the respawn point)
+    this.worldTransitionManager.checkCheckpointCollisions(this.player);
+
+    // Check for stomps and enemy hits
+    this.checkEnemyCollisions();
+
     // Check for death (falling off the world)
     this.checkPlayerDeath();
 
@@ -699,7 +1012,8 @@ export class Game {
   }
 
   // Enhanced respawn with audio and screen shake
-  respawnPlayer() {
+  // hazard: what killed the player, or null for a fall
+  respawnPlayer(hazard = null) {
     console.log('Player died! Respawning...');
 
     // Audio and visual effects
@@ -711,45 +1025,74 @@ export class Game {
 
     // Create death particle effect
     if (this.particleSystem) {
-      this.createDeathEffect(this.player.x, this.player.y);
+      this.createDeathEffect(
+        this.player.x,
+        this.player.y,
+        getDeathColor(hazard)
+      );
     }
+    this.player.die();
+
+    // Reset player position and state with delay for effect. Counted in
+    // game time (see update) so replays respawn on the same step.
+    this.respawnTimer = GAME.RESPAWN_DELAY;
+  }
 
-    // Reset player position and state with delay for effect
-    setTimeout(() => {
-      this.player.respawn(this.spawnPoint.x, this.spawnPoint.y);
-      this.audioManager.playRespawn();
-      this.camera.mediumShake();
+  finishRespawn() {
+    const point = this.getRespawnPoint();
+    this.player.respawn(point.x, point.y);
+    this.audioManager.playRespawn();
+    this.camera.mediumShake();
 
-      // Reset camera to follow respawned player smoothly
-      this.camera.x = 0;
-      this.camera.y = 0;
-      this.camera.targetX = 0;
-      this.camera.targetY = 0;
-    }, 200); // Small delay for dramatic effect
+    // Start the camera at the respawn point rather than panning across the
+    // world to reach it
+    const cameraX = Math.max(0, point.x - this.canvas.width / 2);
+    this.camera.x = cameraX;
+    this.camera.y = 0;
+    this.camera.targetX = cameraX;
+    this.camera.targetY = 0;
   }
 
-  // Enhanced UI with audio controls
-  drawUI() {
-    // Draw main UI elements
-    this.ctx.fillStyle = 'white';
-    this.ctx.font = '16px monospace';
-    this.ctx.fillText(
-      'Arrow Keys/WASD: Move | Space/Up: Double Jump | F1: Debug | F2: Grid',
-      10,
-      30
+  // The world's raised checkpoint flag, unless that would drop the player
+  // into a hazard, else the world's spawn point
+  getRespawnPoint() {
+    const manager = this.worldTransitionManager;
+    const world = manager.getCurrentWorldInstance();
+    const hazards = world ? world.hazards : [];
+    const flag = this.checkpoints.find((checkpoint) => checkpoint.active);
+
+    if (flag && !isAboveHazard(flag.getRespawnPoint(), hazards)) {
+      return flag.getRespawnPoint();
+    }
+    return (
+      manager.getWorldSpawnPoint(manager.getCurrentWorldId()) || this.spawnPoint
     );
+  }
 
-    // Audio controls
-    this.ctx.fillText('M: Mute | +/-: Volume', 10, 50);
+  // Enhanced UI with audio controls
+  drawUI() {
+    this.hud.draw(this.ctx);
 
+    // Debug status in the top-right corner, clear of the HUD
     if (this.debugMode) {
-      this.ctx.fillText('Debug Mode ON', 10, 70);
+      const x = this.canvas.width - 10;
+      this.ctx.save();
+      this.ctx.fillStyle = 'white';
+      this.ctx.font = '16px monospace';
+      this.ctx.textAlign = 'right';
+      this.ctx.fillText('Debug Mode ON', x, 30);
 
       // Enhanced debug info with audio status
       const audioStatus = this.audioManager.isMuted()
         ? 'MUTED'
         : `${Math.round(this.audioManager.getSFXVolume() * 100)}%`;
-      this.ctx.fillText(`Audio: ${audioStatus}`, 10, 90);
+      this.ctx.fillText(`Audio: ${audioStatus}`, x, 50);
+      this.ctx.fillText(
+        `${this.inputHandler.bindings.describe('grid')}: Grid`,
+        x,
+        70
+      );
+      this.ctx.restore();
     }
   }
 
@@ -764,12 +1107,54 @@ export class Game {
     this.audioManager.onGameResume();
   }
 
+  // Reload the current world from its config and put the player back at
+  // its spawn point
+  async restartWorld() {
+    const manager = this.worldTransitionManager;
+    const worldId = manager.getCurrentWorldId();
+
+    manager.clearCurrentWorld();
+    this.respawnTimer = 0;
+    await manager.loadWorld(worldId);
+    this.player.respawn(this.player.x, this.player.y);
+  }
+
+  // Leave the current world as if through its exit door
+  async returnToHub() {
+    const hubId = WorldRegistry.getHubId();
+    if (this.worldTransitionManager.getCurrentWorldId() === hubId) return;
+
+    this.respawnTimer = 0;
+    await this.worldTransitionManager.transitionToWorld(hubId, null, 'exit');
+    this.player.respawn(this.player.x, this.player.y);
+  }
+
+  // Jump to a discovered door, in this world or another. The player lands
+  // just left of it so they don't walk straight through.
+  async fastTravel(worldId, doorId) {
+    const manager = this.worldTransitionManager;
+    const config = WorldRegistry.getConfig(worldId);
+    const door = config && config.doors && config.doors[doorId];
+    if (!door || manager.isTransitioning) return;
+
+    const position = {
+      x: Math.max(0, door.x - GAME.FAST_TRAVEL_OFFSET),
+      y: door.y,
+    };
+
+    this.respawnTimer = 0;
+    if (manager.getCurrentWorldId() !== worldId) {
+      await manager.transitionToWorld(worldId, position, 'fast-travel');
+    }
+    this.player.respawn(position.x, position.y);
+  }
+
   // Reset all mystery boxes to their initial unopened state
   resetAllMysteryBoxes() {
     this.resetGameState();
   }
 
-  // Comprehensive game state reset
+  // Comprehensive game state reset. Resolves once the hub has reloaded.
   resetGameState() {
     console.log('Resetting all game state...');
 
@@ -777,6 +1162,7 @@ export class Game {
     this.gameTime = 0;
     this.startTime = Date.now();
     this.respawnCount = 0;
+    this.respawnTimer = 0;
 
     // Reset player position
     this.player.setPosition(this.spawnPoint.x, this.spawnPoint.y);
@@ -794,8 +1180,9 @@ export class Game {
     this.particleSystem.particles = [];
     this.particleSystem.environmentalParticles = [];
 
-    // Reset mystery box state manager (clears localStorage)
+    // Reset mystery box state manager and wipe saved progress
     this.mysteryBoxStateManager.resetAll();
+    clearSave();
 
     // Reset all currently loaded mystery boxes in memory
     this.mysteryBoxes.forEach((mysteryBox) => {
@@ -814,17 +1201,22 @@ export class Game {
       mysteryBox.currentColor = mysteryBox.baseColor;
     });
 
+    // Unload the current world (bodies, boxes, doors, enemies) before
+    // loading the hub, as restartWorld() does, so nothing is left behind
+    this.worldTransitionManager.clearCurrentWorld();
+
     // Clear all cached worlds and reset world manager
     this.worldTransitionManager.clearAllWorlds();
 
     // Return to main hub
-    this.worldTransitionManager.currentWorldId = 'jersey-shore';
-    this.initializeMainHub();
+    this.worldTransitionManager.currentWorldId = WorldRegistry.getHubId();
+    this.hubLoaded = this.initializeMainHub();
 
     // Show feedback
-    this.showAudioFeedback('Complete game reset!');
+    this.hud.showNotification('Complete game reset!');
 
     console.log('Game state reset complete');
+    return this.hubLoaded;
   }
 
   drawGrid() {
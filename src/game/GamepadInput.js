@@ -0,0 +1,115 @@
+// Gamepad Input
+// Polls the Gamepad API once per frame and feeds the result into the
+// InputHandler as its own source, next to keyboard and touch.
+
+import { INPUT } from '../config.js';
+import { getGamepadMapping } from './GamepadMappings.js';
+
+export class GamepadInput {
+  constructor(inputHandler) {
+    this.inputHandler = inputHandler;
+    this.pads = new Map(); // index -> { mapping, pressed: Set of actions }
+    this.connectionListeners = [];
+    this.supported =
+      typeof navigator !== 'undefined' &&
+      typeof navigator.getGamepads === 'function';
+
+    if (this.supported) {
+      this.setupEventListeners();
+    }
+  }
+
+  setupEventListeners() {
+    window.addEventListener('gamepadconnected', (e) => {
+      const mapping = this.addPad(e.gamepad);
+      this.notify({ connected: true, name: mapping.name, id: e.gamepad.id });
+    });
+
+    window.addEventListener('gamepaddisconnected', (e) => {
+      const pad = this.pads.get(e.gamepad.index);
+      const name = pad ? pad.mapping.name : 'Controller';
+      this.pads.delete(e.gamepad.index);
+      this.notify({ connected: false, name, id: e.gamepad.id });
+    });
+  }
+
+  addPad(gamepad) {
+    const mapping = getGamepadMapping(gamepad);
+    this.pads.set(gamepad.index, { mapping, pressed: new Set() });
+    return mapping;
+  }
+
+  /**
+   * Listen for controllers being plugged in or removed
+   * @param {Function} callback - Called with {connected, name, id}
+   */
+  onConnectionChange(callback) {
+    this.connectionListeners.push(callback);
+  }
+
+  notify(change) {
+    this.connectionListeners.forEach((callback) => callback(change));
+  }
+
+  // Actions currently held on one pad, according to its mapping
+  readActions(gamepad, mapping) {
+    const actions = new Set();
+
+    Object.entries(mapping.buttons).forEach(([action, indices]) => {
+      if (indices.some((i) => gamepad.buttons[i]?.pressed)) {
+        actions.add(action);
+      }
+    });
+
+    // Sticks rest slightly off-centre, so ignore small deflections
+    mapping.moveAxes.forEach((axis) => {
+      const value = gamepad.axes[axis] || 0;
+      if (value <= -INPUT.GAMEPAD_DEADZONE) actions.add('left');
+      if (value >= INPUT.GAMEPAD_DEADZONE) actions.add('right');
+    });
+    mapping.downAxes.forEach((axis) => {
+      if ((gamepad.axes[axis] || 0) >= INPUT.GAMEPAD_DEADZONE) {
+        actions.add('down');
+      }
+    });
+
+    return actions;
+  }
+
+  // Call once per frame, before anything reads input
+  poll() {
+    if (!this.supported) return;
+
+    const held = new Set();
+
+    // Chrome only fills this array while the page is polling, and some
+    // browsers never fire gamepadconnected for pads present at load
+    Array.from(navigator.getGamepads()).forEach((gamepad) => {
+      if (!gamepad || !gamepad.connected) return;
+
+      if (!this.pads.has(gamepad.index)) {
+        this.addPad(gamepad);
+      }
+      const pad = this.pads.get(gamepad.index);
+      const actions = this.readActions(gamepad, pad.mapping);
+
+      // One-shot actions fire on the press, not while held. Start still
+      // works while game input is off, so it can close the pause menu.
+      actions.forEach((action) => {
+        if (INPUT.HELD_ACTIONS.includes(action)) {
+          held.add(action);
+        } else if (
+          !pad.pressed.has(action) &&
+          (this.inputHandler.enabled || action === 'pause')
+        ) {
+          this.inputHandler.emit(action);
+        }
+      });
+      pad.pressed = actions;
+    });
+
+    INPUT.HELD_ACTIONS.forEach((action) => {
+      this.inputHandler.setSourceState('gamepad', action, held.has(action));
+    });
+  }
+}
@@ -0,0 +1,112 @@
+// Gamepad Mappings
+// Which buttons and axes drive which actions. Browsers that recognise a
+// controller report mapping === 'standard' and use the W3C layout below;
+// the rest expose raw driver indices, so known controllers get their own
+// entry, matched against the vendor id or name in Gamepad.id.
+
+// W3C "standard gamepad" button indices
+export const STANDARD_BUTTONS = {
+  A: 0, // Cross on PlayStation, B on Nintendo
+  B: 1,
+  X: 2,
+  Y: 3,
+  LB: 4,
+  RB: 5,
+  LT: 6,
+  RT: 7,
+  SELECT: 8,
+  START: 9,
+  L3: 10,
+  R3: 11,
+  DPAD_UP: 12,
+  DPAD_DOWN: 13,
+  DPAD_LEFT: 14,
+  DPAD_RIGHT: 15,
+  HOME: 16,
+};
+
+/**
+ * @typedef {Object} GamepadMapping
+ * @property {string} name - Shown in connect/disconnect notices
+ * @property {RegExp} [match] - Tested against Gamepad.id
+ * @property {Object<string, number[]>} buttons - Button indices per action
+ * @property {number[]} moveAxes - Axes that steer left (-1) and right (+1).
+ *   Digital D-pads that report as axes go here too.
+ * @property {number[]} downAxes - Axes whose positive end (down) drops
+ *   through one-way platforms
+ */
+
+/** @type {GamepadMapping} */
+export const STANDARD_MAPPING = {
+  name: 'Controller',
+  buttons: {
+    jump: [
+      STANDARD_BUTTONS.A,
+      STANDARD_BUTTONS.B,
+      STANDARD_BUTTONS.X,
+      STANDARD_BUTTONS.Y,
+    ],
+    pause: [STANDARD_BUTTONS.START],
+    left: [STANDARD_BUTTONS.DPAD_LEFT],
+    right: [STANDARD_BUTTONS.DPAD_RIGHT],
+    down: [STANDARD_BUTTONS.DPAD_DOWN],
+  },
+  moveAxes: [0],
+  downAxes: [1],
+};
+
+// Raw layouts for controllers browsers don't always map (mostly Firefox
+// on Linux and macOS). First match wins.
+/** @type {GamepadMapping[]} */
+export const CONTROLLER_MAPPINGS = [
+  {
+    name: 'Xbox controller',
+    match: /\b045e\b|xbox|xinput/i,
+    buttons: { jump: [0, 1, 2, 3], pause: [7] },
+    moveAxes: [0, 6],
+    downAxes: [1, 7],
+  },
+  {
+    name: 'PlayStation controller',
+    match: /\b054c\b|dualshock|dualsense|playstation/i,
+    buttons: { jump: [0, 1, 2, 3], pause: [9] },
+    moveAxes: [0, 6],
+    downAxes: [1, 7],
+  },
+  {
+    name: 'Switch controller',
+    match: /\b057e\b|pro controller|joy-con/i,
+    buttons: { jump: [0, 1, 2, 3], pause: [9] },
+    moveAxes: [0],
+    downAxes: [1],
+  },
+  {
+    // Cheap USB SNES-style pads: D-pad on axes 0/1, no sticks
+    name: 'USB gamepad',
+    match: /\b0079\b|\b081f\b|snes/i,
+    buttons: { jump: [0, 1, 2, 3], pause: [9] },
+    moveAxes: [0],
+    downAxes: [1],
+  },
+];
+
+/**
+ * Pick the mapping for a connected gamepad
+ * @param {Gamepad} gamepad - From navigator.getGamepads()
+ * @returns {GamepadMapping} Standard layout (with a friendly name) when the
+ *   browser maps the pad, otherwise the matching table entry, otherwise the
+ *   standard layout as a best guess
+ */
+export function getGamepadMapping(gamepad) {
+  const known = CONTROLLER_MAPPINGS.find((mapping) =>
+    mapping.match.test(gamepad.id)
+  );
+
+  if (gamepad.mapping === 'standard' || !known) {
+    return {
+      ...STANDARD_MAPPING,
+      name: known ? known.name : STANDARD_MAPPING.name,
+    };
+  }
+  return known;
+}
@@ -0,0 +1,132 @@
+// Death rules for JSON-based worlds
+// Each world has a kill plane (falling below it kills the player) and
+// optional hazard volumes - spikes, water and lava - that kill on touch.
+// Hazards are drawn but have no physics bodies. Positions are top-left.
+
+import { HAZARD, PHYSICS, PLAYER } from '../config.js';
+
+/**
+ * y below which the player dies. Worlds can set killPlaneY; otherwise it's
+ * DEATH_ZONE_OFFSET below the lowest platform or the ground, so worlds
+ * that go deeper than their ground level don't kill the player early.
+ * @param {Object} config - World config
+ * @returns {number} Kill plane y
+ */
+export function getKillY(config) {
+  if (config.killPlaneY !== undefined) return config.killPlaneY;
+
+  const platformBottoms = (config.platforms || []).map(
+    (platform) => platform.y + platform.height / 2
+  );
+  const lowest = Math.max(config.dimensions.groundLevel, ...platformBottoms);
+  return lowest + PHYSICS.DEATH_ZONE_OFFSET;
+}
+
+// The player's box around a center point
+function getPlayerBounds(point) {
+  return {
+    x: point.x - PLAYER.WIDTH / 2,
+    y: point.y - PLAYER.HEIGHT / 2,
+    width: PLAYER.WIDTH,
+    height: PLAYER.HEIGHT,
+  };
+}
+
+/**
+ * @param {{x: number, y: number}} player - Player center
+ * @param {Object[]} hazards - The world's hazards
+ * @returns {Object|null} The hazard the player is touching, if any
+ */
+export function findHazardAt(player, hazards) {
+  const bounds = getPlayerBounds(player);
+
+  return (
+    hazards.find(
+      (hazard) =>
+        bounds.x < hazard.x + hazard.width &&
+        bounds.x + bounds.width > hazard.x &&
+        bounds.y < hazard.y + hazard.height &&
+        bounds.y + bounds.height > hazard.y
+    ) || null
+  );
+}
+
+/**
+ * Whether a player placed at a point would be in a hazard or fall into
+ * one, i.e. a hazard overlaps the column from the point downward. Used to
+ * keep respawn points safe.
+ * @param {{x: number, y: number}} point - Player center
+ * @param {Object[]} hazards - The world's hazards
+ * @returns {boolean} True if the point isn't safe
+ */
+export function isAboveHazard(point, hazards) {
+  const bounds = getPlayerBounds(point);
+
+  return hazards.some(
+    (hazard) =>
+      bounds.x < hazard.x + hazard.width &&
+      bounds.x + bounds.width > hazard.x &&
+      hazard.y + hazard.height > bounds.y
+  );
+}
+
+/**
+ * Particle color for a death, by what killed the player
+ * @param {Object|null} hazard - Hazard touched, or null for a fall
+ * @returns {string} Hex color
+ */
+export function getDeathColor(hazard) {
+  const type = hazard && HAZARD.TYPES[hazard.type];
+  return type ? type.DEATH_COLOR : HAZARD.FALL_DEATH_COLOR;
+}
+
+/**
+ * Draw a hazard
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} hazard - Hazard config
+ * @param {number} time - ms since the world loaded, for animation
+ */
+export function drawHazard(ctx, hazard, time) {
+  const { x, y, width, height, type } = hazard;
+  const color = HAZARD.TYPES[type].COLOR;
+
+  ctx.save();
+
+  if (type === 'spikes') {
+    ctx.fillStyle = color;
+    ctx.strokeStyle = '#555555';
+    ctx.lineWidth = 1;
+    const count = Math.max(1, Math.round(width / HAZARD.SPIKE_WIDTH));
+    const spikeWidth = width / count;
+    for (let i = 0; i < count; i++) {
+      ctx.beginPath();
+      ctx.moveTo(x + i * spikeWidth, y + height);
+      ctx.lineTo(x + (i + 0.5) * spikeWidth, y);
+      ctx.lineTo(x + (i + 1) * spikeWidth, y + height);
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+    }
+  } else {
+    // Liquids: a body with a gently moving surface
+    const wave = Math.sin(time * 0.003) * 2;
+    ctx.globalAlpha = type === 'water' ? 0.7 : 1;
+    if (type === 'lava') {
+      ctx.shadowColor = color;
+      ctx.shadowBlur = 15;
+    }
+    ctx.fillStyle = color;
+    ctx.fillRect(x, y + 4, width, height - 4);
+
+    ctx.beginPath();
+    ctx.moveTo(x, y + 4);
+    for (let px = 0; px <= width; px += 10) {
+      ctx.lineTo(x + px, y + 2 + Math.sin(px * 0.1 + time * 0.004) * 2 + wave);
+    }
+    ctx.lineTo(x + width, y + 4);
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  ctx.restore();
+}
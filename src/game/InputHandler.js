@@ -1,57 +1,203 @@
 // Input handler for portfolio Mario game
+// Turns key presses into actions using the player's key bindings.
+// Held actions (move, jump) are read with isPressed(); one-shot actions
+// (mute, debug, ...) are delivered to onAction() listeners.
+// Keyboard, touch and gamepad each report held actions as a separate
+// source, so releasing one never cancels another that is still held.
+import { INPUT } from '../config.js';
+import { KeyBindings } from './KeyBindings.js';
+import { GamepadInput } from './GamepadInput.js';
+
 export class InputHandler {
   constructor() {
-    this.keys = {
-      left: false,
-      right: false,
-      up: false,
-      space: false,
-      d: false, // debug mode toggle
-    };
+    this.bindings = new KeyBindings();
+
+    // Held action state, combined from every source
+    this.keys = Object.fromEntries(
+      INPUT.HELD_ACTIONS.map((action) => [action, false])
+    );
+    this.sources = { keyboard: {}, touch: {}, gamepad: {} };
+    this.replayState = null; // Set while a recording drives input
 
     this.previousKeys = { ...this.keys }; // Initialize previousKeys
 
-    this.keyMap = {
-      ArrowLeft: 'left',
-      KeyA: 'left',
-      ArrowRight: 'right',
-      KeyD: 'right',
-      ArrowUp: 'up',
-      KeyW: 'up',
-      Space: 'space',
-    };
+    this.heldCodes = new Set();
+    this.actionListeners = new Map();
+    this.captureCallback = null; // Set while the controls screen waits for a key
+    this.enabled = true;
+    this.disabledBy = new Set(); // Menus that have turned game input off
 
     this.setupEventListeners();
+    this.gamepad = new GamepadInput(this);
   }
 
   setupEventListeners() {
     document.addEventListener('keydown', (e) => {
-      const action = this.keyMap[e.code];
-      if (action && this.keys.hasOwnProperty(action)) {
-        this.keys[action] = true;
+      // Rebinding: hand the raw key to the controls screen
+      if (this.captureCallback) {
         e.preventDefault();
+        const callback = this.captureCallback;
+        this.captureCallback = null;
+        callback(e.code);
+        return;
+      }
+
+      // Leave browser shortcuts like Ctrl+R and Cmd+minus alone
+      if (!this.enabled || e.ctrlKey || e.metaKey || e.altKey) return;
+
+      const action = this.bindings.getAction(e.code);
+      if (!action) return;
+      e.preventDefault();
+
+      if (this.keys.hasOwnProperty(action)) {
+        this.heldCodes.add(e.code);
+        this.setSourceState('keyboard', action, true);
+      } else if (!e.repeat) {
+        this.emit(action, e);
       }
     });
 
     document.addEventListener('keyup', (e) => {
-      const action = this.keyMap[e.code];
+      this.heldCodes.delete(e.code);
+
+      const action = this.bindings.getAction(e.code);
       if (action && this.keys.hasOwnProperty(action)) {
-        this.keys[action] = false;
+        this.refreshHeldAction(action);
         e.preventDefault();
       }
     });
 
+    // Keys released while the window is unfocused never send keyup
+    window.addEventListener('blur', () => this.releaseAll());
+
     // Prevent context menu on right click
     document.addEventListener('contextmenu', (e) => e.preventDefault());
   }
 
-  isPressed(key) {
-    return this.keys[key] || false;
+  // Held if any key bound to the action is still down
+  refreshHeldAction(action) {
+    this.setSourceState(
+      'keyboard',
+      action,
+      this.bindings.getKeys(action).some((code) => this.heldCodes.has(code))
+    );
+  }
+
+  /**
+   * Report whether one input source is holding an action
+   * @param {string} source - 'keyboard', 'touch' or 'gamepad'
+   * @param {string} action - One of INPUT.HELD_ACTIONS
+   * @param {boolean} pressed - Whether that source holds it now
+   */
+  setSourceState(source, action, pressed) {
+    if (!(action in this.keys)) return;
+
+    this.sources[source][action] = pressed && this.enabled;
+    if (this.replayState) return;
+
+    this.keys[action] = Object.values(this.sources).some(
+      (state) => state[action]
+    );
+  }
+
+  /**
+   * Drive held actions from a recording. Live input is ignored until
+   * endReplay().
+   * @param {Object<string, boolean>} state - Held state per action
+   */
+  setReplayState(state) {
+    this.replayState = state;
+    Object.keys(this.keys).forEach((action) => {
+      this.keys[action] = Boolean(state[action]);
+    });
+  }
+
+  endReplay() {
+    this.replayState = null;
+    this.releaseAll();
+  }
+
+  releaseAll() {
+    this.heldCodes.clear();
+    Object.values(this.sources).forEach((state) => {
+      Object.keys(state).forEach((action) => {
+        state[action] = false;
+      });
+    });
+    Object.keys(this.keys).forEach((action) => {
+      this.keys[action] = false;
+    });
+  }
+
+  /**
+   * Listen for a one-shot action (e.g. 'mute', 'debug')
+   * @param {string} action - Action id from INPUT.KEYS
+   * @param {Function} callback - Called with the KeyboardEvent (null when
+   *   the action came from a gamepad)
+   */
+  onAction(action, callback) {
+    if (!this.actionListeners.has(action)) {
+      this.actionListeners.set(action, []);
+    }
+    this.actionListeners.get(action).push(callback);
+  }
+
+  emit(action, event = null) {
+    (this.actionListeners.get(action) || []).forEach((callback) =>
+      callback(event)
+    );
+  }
+
+  /**
+   * Send the next key press to a callback instead of the game
+   * @param {Function} callback - Called with the KeyboardEvent.code
+   */
+  captureNextKey(callback) {
+    this.captureCallback = callback;
+  }
+
+  cancelCapture() {
+    this.captureCallback = null;
+  }
+
+  /**
+   * Turn game input off while menus are open. Menus can stack (controls
+   * opened from the pause menu), so input only comes back once every menu
+   * that turned it off has turned it back on.
+   * @param {boolean} enabled - Whether game input should be on
+   * @param {Object} [owner] - The menu asking, usually `this`
+   */
+  setEnabled(enabled, owner = this) {
+    if (enabled) {
+      this.disabledBy.delete(owner);
+    } else {
+      this.disabledBy.add(owner);
+    }
+
+    this.enabled = this.disabledBy.size === 0;
+    if (!this.enabled) {
+      this.releaseAll();
+    }
+  }
+
+  // Read connected gamepads. Runs every frame, even while paused, so
+  // Start can resume the game.
+  pollGamepads() {
+    this.gamepad.poll();
+  }
+
+  // Any held action from any source, e.g. to tell whether the player is idle
+  isAnyPressed() {
+    return Object.values(this.keys).some(Boolean);
+  }
+
+  isPressed(action) {
+    return this.keys[action] || false;
   }
 
   // For single press detection (useful for jumping)
-  wasPressed(key) {
-    if (this.keys[key] && !this.previousKeys[key]) {
+  wasPressed(action) {
+    if (this.keys[action] && !this.previousKeys[action]) {
       return true;
     }
     return false;
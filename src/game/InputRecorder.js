@@ -0,0 +1,167 @@
+// Input Recorder
+// Records the held input state for every fixed simulation step so a play
+// session can be replayed exactly, for bug reports and regression tests.
+//
+// Recording format (JSON):
+// {
+//   "version": 1,
+//   "worldId": "jersey-shore",
+//   "seed": 1234,                      // RNG seed at the first step
+//   "timestep": 16.667,                // ms per step when recorded
+//   "actions": ["left", "right", "jump"],
+//   "start": { "x": 100, "y": 550, "vx": 0, "vy": 0 },
+//   "ticks": 300,
+//   "inputs": [[0, 120], [2, 60], [6, 20], [0, 100]]
+// }
+// Each entry in inputs is [mask, steps]: bit i of mask is actions[i], held
+// for that many consecutive steps.
+
+import { INPUT, GAME } from '../config.js';
+
+export const RECORDING_VERSION = 1;
+
+function toMask(keys, actions) {
+  return actions.reduce(
+    (mask, action, i) => (keys[action] ? mask | (1 << i) : mask),
+    0
+  );
+}
+
+function fromMask(mask, actions) {
+  return Object.fromEntries(
+    actions.map((action, i) => [action, (mask & (1 << i)) !== 0])
+  );
+}
+
+export class InputRecorder {
+  /**
+   * @param {Object} start - Where the recording begins
+   * @param {string} start.worldId - World the player is in
+   * @param {number} start.seed - Seed the RNG was reset to
+   * @param {Object} start.player - {x, y, vx, vy} of the player body
+   */
+  constructor({ worldId, seed, player }) {
+    this.actions = [...INPUT.HELD_ACTIONS];
+    this.worldId = worldId;
+    this.seed = seed;
+    this.start = { ...player };
+    this.inputs = [];
+    this.ticks = 0;
+  }
+
+  // Called once per fixed step with the input the step will use
+  capture(keys) {
+    const mask = toMask(keys, this.actions);
+    const last = this.inputs[this.inputs.length - 1];
+
+    if (last && last[0] === mask) {
+      last[1]++;
+    } else {
+      this.inputs.push([mask, 1]);
+    }
+    this.ticks++;
+  }
+
+  toJSON() {
+    return {
+      version: RECORDING_VERSION,
+      worldId: this.worldId,
+      seed: this.seed,
+      timestep: GAME.FIXED_TIMESTEP,
+      actions: this.actions,
+      start: this.start,
+      ticks: this.ticks,
+      inputs: this.inputs.map((run) => [...run]),
+    };
+  }
+}
+
+/**
+ * Check a recording before replaying it
+ * @param {Object} recording - Parsed recording JSON
+ * @returns {string[]} Problems found (empty when the recording is usable)
+ */
+export function validateRecording(recording) {
+  const errors = [];
+
+  if (!recording || typeof recording !== 'object') {
+    return ['Recording is not an object'];
+  }
+  if (recording.version !== RECORDING_VERSION) {
+    errors.push(
+      `Unsupported recording version ${recording.version} (expected ${RECORDING_VERSION})`
+    );
+  }
+  if (typeof recording.worldId !== 'string') {
+    errors.push('worldId must be a string');
+  }
+  if (!Number.isInteger(recording.seed)) {
+    errors.push('seed must be an integer');
+  }
+  if (recording.timestep !== GAME.FIXED_TIMESTEP) {
+    errors.push(
+      `Recorded at a ${recording.timestep}ms step, the game runs at ${GAME.FIXED_TIMESTEP}ms`
+    );
+  }
+  if (
+    !Array.isArray(recording.actions) ||
+    recording.actions.some((action) => !INPUT.HELD_ACTIONS.includes(action))
+  ) {
+    errors.push('actions must only list held actions');
+  }
+  if (
+    !recording.start ||
+    !['x', 'y', 'vx', 'vy'].every((key) =>
+      Number.isFinite(recording.start[key])
+    )
+  ) {
+    errors.push('start must have numeric x, y, vx and vy');
+  }
+  if (
+    !Array.isArray(recording.inputs) ||
+    recording.inputs.some(
+      (run) =>
+        !Array.isArray(run) ||
+        !Number.isInteger(run[0]) ||
+        !Number.isInteger(run[1]) ||
+        run[1] < 1
+    )
+  ) {
+    errors.push('inputs must be a list of [mask, steps] pairs');
+  }
+
+  return errors;
+}
+
+export class InputReplay {
+  constructor(recording) {
+    const errors = validateRecording(recording);
+    if (errors.length > 0) {
+      throw new Error(`Invalid input recording: ${errors.join('; ')}`);
+    }
+
+    this.recording = recording;
+    this.runIndex = 0;
+    this.stepInRun = 0;
+    this.ticks = 0;
+  }
+
+  isFinished() {
+    return this.runIndex >= this.recording.inputs.length;
+  }
+
+  // Called once per fixed step, before the step reads input
+  apply(inputHandler) {
+    if (this.isFinished()) return;
+
+    const [mask, steps] = this.recording.inputs[this.runIndex];
+    inputHandler.setReplayState(fromMask(mask, this.recording.actions));
+
+    this.ticks++;
+    this.stepInRun++;
+    if (this.stepInRun >= steps) {
+      this.runIndex++;
+      this.stepInRun = 0;
+    }
+  }
+}
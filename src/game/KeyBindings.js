@@ -0,0 +1,185 @@
+// Key Bindings
+// Maps keyboard keys to game actions. Starts from INPUT.KEYS and layers
+// the player's saved bindings on top.
+
+import { INPUT, STORAGE } from '../config.js';
+import { save, load, remove } from '../utils/storage.js';
+
+// Readable names for keys whose code doesn't make a good label
+const KEY_NAMES = {
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  Space: 'Space',
+  Enter: 'Enter',
+  Tab: 'Tab',
+  Backspace: 'Backspace',
+  ShiftLeft: 'L Shift',
+  ShiftRight: 'R Shift',
+  ControlLeft: 'L Ctrl',
+  ControlRight: 'R Ctrl',
+  AltLeft: 'L Alt',
+  AltRight: 'R Alt',
+  Equal: '=',
+  Minus: '-',
+  NumpadAdd: 'Num +',
+  NumpadSubtract: 'Num -',
+};
+
+// Filled in from the browser's keyboard layout when available, so AZERTY
+// players see "Z" for the key at KeyW's position
+let layoutMap = null;
+if (typeof navigator !== 'undefined' && navigator.keyboard?.getLayoutMap) {
+  navigator.keyboard
+    .getLayoutMap()
+    .then((map) => {
+      layoutMap = map;
+    })
+    .catch(() => {
+      // Not allowed (e.g. in an iframe) - fall back to code names
+    });
+}
+
+/**
+ * Get a display label for a KeyboardEvent.code
+ * @param {string} code - Key code, e.g. 'KeyA'
+ * @returns {string} Label as printed on the player's keyboard where known
+ */
+export function getKeyLabel(code) {
+  if (KEY_NAMES[code]) return KEY_NAMES[code];
+
+  const layoutKey = layoutMap && layoutMap.get(code);
+  if (layoutKey && layoutKey.trim()) return layoutKey.toUpperCase();
+
+  return code.replace(/^(Key|Digit)/, '');
+}
+
+export class KeyBindings {
+  constructor() {
+    this.bindings = KeyBindings.getDefaults();
+    this.loadSavedBindings();
+    this.rebuildLookup();
+  }
+
+  static getDefaults() {
+    return Object.fromEntries(
+      Object.entries(INPUT.KEYS).map(([action, keys]) => [action, [...keys]])
+    );
+  }
+
+  loadSavedBindings() {
+    const saved = load(STORAGE.KEY_BINDINGS_KEY);
+    if (!saved || typeof saved !== 'object') return;
+
+    // Only take actions we still know about, so renamed actions fall back
+    Object.entries(saved).forEach(([action, keys]) => {
+      if (this.bindings[action] && Array.isArray(keys)) {
+        this.bindings[action] = keys
+          .filter((code) => typeof code === 'string')
+          .slice(0, INPUT.MAX_KEYS_PER_ACTION);
+      }
+    });
+  }
+
+  rebuildLookup() {
+    this.actionByKey = new Map();
+    Object.entries(this.bindings).forEach(([action, keys]) => {
+      keys.forEach((code) => this.actionByKey.set(code, action));
+    });
+  }
+
+  getAction(code) {
+    return this.actionByKey.get(code) || null;
+  }
+
+  getKeys(action) {
+    return this.bindings[action] || [];
+  }
+
+  getActions() {
+    return Object.keys(this.bindings);
+  }
+
+  /**
+   * Bind a key to an action slot. A key can only drive one action, so if
+   * another action already uses it the key is moved and that action is
+   * reported back as the conflict.
+   * @param {string} action - Action id
+   * @param {number} slot - Index in the action's key list
+   * @param {string} code - KeyboardEvent.code to bind
+   * @returns {{ok: boolean, conflict: string|null, reason: string|null}}
+   */
+  bind(action, slot, code) {
+    if (!this.bindings[action]) {
+      return { ok: false, conflict: null, reason: `Unknown action: ${action}` };
+    }
+    if (INPUT.RESERVED_KEYS.includes(code)) {
+      return {
+        ok: false,
+        conflict: null,
+        reason: `${getKeyLabel(code)} is reserved`,
+      };
+    }
+
+    const conflict = this.getAction(code);
+    if (conflict && conflict !== action) {
+      this.bindings[conflict] = this.bindings[conflict].filter(
+        (key) => key !== code
+      );
+    }
+
+    const keys = this.bindings[action].filter((key) => key !== code);
+    const index = Math.min(slot, keys.length, INPUT.MAX_KEYS_PER_ACTION - 1);
+    keys[index] = code;
+    this.bindings[action] = keys.slice(0, INPUT.MAX_KEYS_PER_ACTION);
+
+    this.rebuildLookup();
+    this.persist();
+    return {
+      ok: true,
+      conflict: conflict && conflict !== action ? conflict : null,
+      reason: null,
+    };
+  }
+
+  /**
+   * Remove the key in one slot of an action
+   * @param {string} action - Action id
+   * @param {number} slot - Index in the action's key list
+   */
+  unbind(action, slot) {
+    if (!this.bindings[action]) return;
+
+    this.bindings[action] = this.bindings[action].filter((_, i) => i !== slot);
+    this.rebuildLookup();
+    this.persist();
+  }
+
+  // Actions that no key triggers any more (e.g. after a conflict)
+  getUnboundActions() {
+    return this.getActions().filter(
+      (action) => this.bindings[action].length === 0
+    );
+  }
+
+  resetToDefaults() {
+    this.bindings = KeyBindings.getDefaults();
+    this.rebuildLookup();
+    remove(STORAGE.KEY_BINDINGS_KEY);
+  }
+
+  persist() {
+    return save(STORAGE.KEY_BINDINGS_KEY, this.bindings);
+  }
+
+  /**
+   * Human-readable keys for an action, e.g. "← / A"
+   * @param {string} action - Action id
+   * @returns {string} Joined key labels, or "unbound"
+   */
+  describe(action) {
+    const keys = this.getKeys(action);
+    return keys.length > 0 ? keys.map(getKeyLabel).join(' / ') : 'unbound';
+  }
+}
@@ -4,6 +4,8 @@
 import { Bodies } from 'matter-js';
 import { gsap } from 'gsap';
 import { Collectible } from './Collectible.js';
+import { rand } from '../utils/math.js';
+import { MYSTERY_BOX } from '../config.js';
 
 export class MysteryBox {
   constructor(x, y, game, options = {}) {
@@ -19,17 +21,19 @@ export class MysteryBox {
 
     // Mystery box properties
     this.id = this.projectData.id;
-    this.width = 40;
-    this.height = 40;
+    this.width = options.width || MYSTERY_BOX.WIDTH;
+    this.height = options.height || MYSTERY_BOX.HEIGHT;
 
     // Mystery box states: 'inactive' (has ?), 'hit' (empty), 'completed' (shows project name)
     this.state = 'inactive';
     this.hasBeenHit = false;
 
-    // Visual properties
-    this.baseColor = '#8B4513'; // Brown mystery box color
-    this.hitColor = '#654321'; // Darker brown when hit
-    this.completedColor = '#FFD700'; // Gold when completed
+    // Visual properties - variants change the unopened and hit colors
+    const variant =
+      MYSTERY_BOX.VARIANTS[options.variant] || MYSTERY_BOX.VARIANTS.classic;
+    this.baseColor = variant.BASE;
+    this.hitColor = variant.HIT;
+    this.completedColor = MYSTERY_BOX.COLORS.COMPLETED; // Gold when completed
     this.currentColor = this.baseColor;
 
     // Animation properties
@@ -243,13 +247,13 @@ export class MysteryBox {
 
     for (let i = 0; i < numParticles; i++) {
       const angle = (Math.PI * 2 * i) / numParticles;
-      const speed = 2 + Math.random() * 3;
+      const speed = 2 + rand() * 3;
 
       this.particleSystem.createParticle(centerX, centerY, {
         vx: Math.cos(angle) * speed,
         vy: Math.sin(angle) * speed - 1,
-        life: 1000 + Math.random() * 500,
-        size: 3 + Math.random() * 2,
+        life: 1000 + rand() * 500,
+        size: 3 + rand() * 2,
         color: '#FFD700', // Gold particles
         gravity: 0.05,
         friction: 0.98,
@@ -364,6 +368,16 @@ export class MysteryBox {
     }
   }
 
+  // Restore a saved state when the box is rebuilt on world load
+  restoreState(savedState) {
+    this.setState(savedState);
+
+    // A box that was hit but never collected gets its collectible back
+    if (savedState === 'hit') {
+      this.spawnCollectible();
+    }
+  }
+
   // Clean up physics body when mystery box is destroyed
   destroy() {
     if (this.body && this.physics) {
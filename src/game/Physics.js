@@ -1,4 +1,8 @@
 import { Engine, Render, World, Bodies, Body, Events } from 'matter-js';
+import { PHYSICS, PLATFORM } from '../config.js';
+
+// Collides with every category
+const MASK_ALL = 0xffffffff;
 
 export class Physics {
   constructor(canvas, options = {}) {
@@ -46,6 +50,7 @@ export class Physics {
   }
 
   update(delta) {
+    this.updateOneWayPlatforms();
     Engine.update(this.engine, delta);
 
     if (this.debugMode && this.render) {
@@ -65,6 +70,59 @@ export class Physics {
     }
   }
 
+  /**
+   * One-way platforms (body.plugin.oneWay, see Platform.createPlatform)
+   * only hold the player up while the player's feet are above their top,
+   * so the player can jump up through one and land on it. Decided before
+   * each step from where the player is, by taking the player's category
+   * out of the platform's collision filter.
+   */
+  updateOneWayPlatforms() {
+    const player = this.bodies.get('player');
+    if (!player) return;
+
+    this.bodies.forEach((body) => {
+      if (!body.plugin.oneWay) return;
+
+      const top = body.bounds.min.y;
+      const above = player.bounds.max.y <= top + PLATFORM.STANDING_TOLERANCE;
+      // A drop lasts until the player's feet are past the top
+      if (!above) {
+        body.plugin.droppingThrough = false;
+      }
+
+      const solid = above && !body.plugin.droppingThrough;
+      body.collisionFilter.mask = solid
+        ? MASK_ALL
+        : MASK_ALL & ~PHYSICS.PLAYER_CATEGORY;
+    });
+  }
+
+  /**
+   * Let the player fall through the one-way platforms they're standing on
+   * @returns {boolean} True if there was one to drop through
+   */
+  dropThroughOneWayPlatforms() {
+    const player = this.bodies.get('player');
+    if (!player) return false;
+
+    let dropped = false;
+    this.bodies.forEach((body) => {
+      if (!body.plugin.oneWay) return;
+
+      const standingOn =
+        player.bounds.max.x > body.bounds.min.x &&
+        player.bounds.min.x < body.bounds.max.x &&
+        Math.abs(player.bounds.max.y - body.bounds.min.y) <=
+          PLATFORM.STANDING_TOLERANCE;
+      if (standingOn) {
+        body.plugin.droppingThrough = true;
+        dropped = true;
+      }
+    });
+    return dropped;
+  }
+
   // Setup collision events
   onCollisionStart(callback) {
     Events.on(this.engine, 'collisionStart', callback);
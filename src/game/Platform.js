@@ -1,20 +1,270 @@
 // Simple Platform system for JSON-based worlds
-import { Bodies } from 'matter-js';
+import { Bodies, Body } from 'matter-js';
+import { PLATFORM } from '../config.js';
+import { degToRad, rand } from '../utils/math.js';
 
 /**
  * Create a platform physics body
  */
 export function createPlatform(platformData) {
-  const { x, y, width, height } = platformData;
+  const { x, y, width, height, angle = 0, oneWay = false } = platformData;
 
   return Bodies.rectangle(x, y, width, height, {
     label: 'platform',
     isStatic: true,
     friction: 0.8,
     restitution: 0.1,
+    angle: degToRad(angle),
+    // Physics lets the player pass up through one-way platforms
+    plugin: { oneWay },
   });
 }
 
+/**
+ * Attach runtime behavior state to a platform based on its type.
+ * Config fields (all optional):
+ * - moving: path [{x, y}], speed (px/s), loop (bool), range (px)
+ * - rotating: rotationRate (deg/s)
+ * - breakable: breakDelay (ms), respawnDelay (ms)
+ */
+export function setupPlatformBehavior(platform) {
+  const { data } = platform;
+
+  switch (data.type) {
+    case 'moving': {
+      // The platform's own x/y is always the first waypoint
+      const start = { x: data.x, y: data.y };
+      const path =
+        data.path && data.path.length > 0
+          ? data.path
+          : [{ x: data.x + (data.range ?? PLATFORM.MOVING_RANGE), y: data.y }];
+
+      platform.behavior = {
+        waypoints: [start, ...path],
+        speed: data.speed ?? PLATFORM.MOVING_SPEED,
+        loop: data.loop === true,
+        targetIndex: 1,
+        direction: 1,
+      };
+      break;
+    }
+
+    case 'rotating':
+      platform.behavior = {
+        rotationRate: degToRad(data.rotationRate ?? PLATFORM.ROTATION_RATE),
+      };
+      break;
+
+    case 'breakable':
+      platform.behavior = {
+        state: 'solid', // solid, cracking, broken
+        timer: 0,
+        breakDelay: data.breakDelay ?? PLATFORM.BREAK_DELAY,
+        respawnDelay: data.respawnDelay ?? PLATFORM.RESPAWN_DELAY,
+      };
+      break;
+
+    case 'victory':
+      platform.behavior = { celebrated: false };
+      break;
+
+    default:
+      platform.behavior = null;
+  }
+
+  return platform;
+}
+
+/**
+ * Check if the player is standing on top of a platform
+ */
+export function isPlayerStandingOn(platform, player) {
+  if (!player || !player.body) return false;
+
+  const { bounds } = platform.body;
+  const feet = player.body.position.y + player.height / 2;
+  const halfWidth = player.width / 2;
+
+  return (
+    player.x + halfWidth > bounds.min.x &&
+    player.x - halfWidth < bounds.max.x &&
+    Math.abs(feet - bounds.min.y) <= PLATFORM.STANDING_TOLERANCE &&
+    player.body.velocity.y >= -0.5
+  );
+}
+
+/**
+ * Update a platform's behavior for this frame
+ * @param {Object} platform - { body, data, behavior }
+ * @param {number} deltaTime - Milliseconds since last update
+ * @param {Object} context - { player, physics, particleSystem, audioManager }
+ */
+export function updatePlatform(platform, deltaTime, context) {
+  if (!platform.behavior) return;
+
+  switch (platform.data.type) {
+    case 'moving':
+      updateMovingPlatform(platform, deltaTime, context);
+      break;
+    case 'rotating':
+      Body.setAngle(
+        platform.body,
+        platform.body.angle +
+          (platform.behavior.rotationRate * deltaTime) / 1000
+      );
+      break;
+    case 'breakable':
+      updateBreakablePlatform(platform, deltaTime, context);
+      break;
+    case 'victory':
+      updateVictoryPlatform(platform, context);
+      break;
+  }
+}
+
+function updateMovingPlatform(platform, deltaTime, context) {
+  const { body, behavior } = platform;
+  const { player } = context;
+  const target = behavior.waypoints[behavior.targetIndex];
+  const from = { x: body.position.x, y: body.position.y };
+
+  const dx = target.x - from.x;
+  const dy = target.y - from.y;
+  const distance = Math.sqrt(dx * dx + dy * dy);
+  const step = (behavior.speed * deltaTime) / 1000;
+
+  let next;
+  if (distance <= step) {
+    next = { x: target.x, y: target.y };
+    advanceWaypoint(behavior);
+  } else {
+    next = {
+      x: from.x + (dx / distance) * step,
+      y: from.y + (dy / distance) * step,
+    };
+  }
+
+  // Check before moving so the player's feet still line up with the surface
+  const riding = isPlayerStandingOn(platform, player);
+
+  Body.setPosition(body, next);
+
+  // Static bodies don't carry what sits on them, so move the rider ourselves
+  if (riding) {
+    Body.translate(player.body, { x: next.x - from.x, y: next.y - from.y });
+  }
+}
+
+function advanceWaypoint(behavior) {
+  const count = behavior.waypoints.length;
+
+  if (behavior.loop) {
+    behavior.targetIndex = (behavior.targetIndex + 1) % count;
+    return;
+  }
+
+  // Ping-pong back along the path
+  const nextIndex = behavior.targetIndex + behavior.direction;
+  if (nextIndex < 0 || nextIndex >= count) {
+    behavior.direction *= -1;
+  }
+  behavior.targetIndex += behavior.direction;
+}
+
+function updateBreakablePlatform(platform, deltaTime, context) {
+  const { behavior, body, data } = platform;
+  const { player, physics } = context;
+
+  switch (behavior.state) {
+    case 'solid':
+      if (isPlayerStandingOn(platform, player)) {
+        behavior.state = 'cracking';
+        behavior.timer = 0;
+      }
+      break;
+
+    case 'cracking':
+      behavior.timer += deltaTime;
+      if (behavior.timer >= behavior.breakDelay) {
+        physics.removeBody(data.id);
+        behavior.state = 'broken';
+        behavior.timer = 0;
+        createBreakEffect(platform, context.particleSystem);
+      }
+      break;
+
+    case 'broken':
+      behavior.timer += deltaTime;
+      // Don't respawn on top of the player
+      if (
+        behavior.timer >= behavior.respawnDelay &&
+        !isPlayerInside(body, player)
+      ) {
+        physics.addBody(data.id, body);
+        behavior.state = 'solid';
+        behavior.timer = 0;
+      }
+      break;
+  }
+}
+
+function updateVictoryPlatform(platform, context) {
+  const { behavior } = platform;
+  if (behavior.celebrated || !isPlayerStandingOn(platform, context.player)) {
+    return;
+  }
+
+  behavior.celebrated = true;
+
+  if (context.audioManager) {
+    context.audioManager.playMysteryBoxComplete();
+  }
+  if (context.particleSystem) {
+    const { bounds } = platform.body;
+    context.particleSystem.createMagicSparkles(
+      (bounds.min.x + bounds.max.x) / 2,
+      bounds.min.y - 20,
+      bounds.max.x - bounds.min.x
+    );
+  }
+}
+
+function isPlayerInside(body, player) {
+  if (!player || !player.body) return false;
+
+  const { bounds } = body;
+  return (
+    player.x + player.width / 2 > bounds.min.x &&
+    player.x - player.width / 2 < bounds.max.x &&
+    player.y + player.height / 2 > bounds.min.y &&
+    player.y - player.height / 2 < bounds.max.y
+  );
+}
+
+function createBreakEffect(platform, particleSystem) {
+  if (!particleSystem) return;
+
+  const { body, data } = platform;
+  const numParticles = 8;
+
+  for (let i = 0; i < numParticles; i++) {
+    particleSystem.createParticle(
+      body.position.x + (rand() - 0.5) * data.width,
+      body.position.y,
+      {
+        vx: (rand() - 0.5) * 4,
+        vy: -rand() * 3,
+        life: 500 + rand() * 300,
+        size: 3 + rand() * 3,
+        color: PLATFORM.DEBRIS_COLOR,
+        gravity: 0.2,
+        friction: 0.98,
+        fadeOut: true,
+      }
+    );
+  }
+}
+
 /**
  * Get platform style based on type and world
  */
@@ -54,13 +304,55 @@ export function getPlatformStyle(type, worldId) {
 /**
  * Draw a platform
  */
-export function drawPlatform(ctx, platform, worldId) {
-  const { body, data } = platform;
+export function drawPlatform(ctx, platform, worldId, debugMode = false) {
+  const { body, data, behavior } = platform;
   const pos = body.position;
   const { width, height, type } = data;
 
+  if (behavior && behavior.state === 'broken') return;
+
+  // Invisible platforms only show up in debug mode
+  const isInvisible = type === 'invisible';
+  if (isInvisible && !debugMode) return;
+
+  // Wobble while a breakable platform is cracking. Driven by its timer
+  // rather than rand(): drawing runs once per frame, not per step, and
+  // mustn't use up the seeded sequence the simulation replays from.
+  const shake =
+    behavior && behavior.state === 'cracking'
+      ? Math.sin(behavior.timer * PLATFORM.BREAK_SHAKE_RATE) *
+        PLATFORM.BREAK_SHAKE
+      : 0;
+
   ctx.save();
-  ctx.fillStyle = getPlatformStyle(type, worldId);
-  ctx.fillRect(pos.x - width / 2, pos.y - height / 2, width, height);
+  ctx.translate(pos.x + shake, pos.y);
+  ctx.rotate(body.angle);
+
+  if (isInvisible) {
+    ctx.fillStyle = PLATFORM.INVISIBLE_DEBUG_COLOR;
+    ctx.fillRect(-width / 2, -height / 2, width, height);
+    ctx.strokeStyle = '#FF00FF';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    ctx.strokeRect(-width / 2, -height / 2, width, height);
+  } else {
+    ctx.fillStyle = getPlatformStyle(type, worldId);
+    ctx.fillRect(-width / 2, -height / 2, width, height);
+  }
+
+  // One-way platforms get a bright top edge and a dashed underside, since
+  // only their top is solid
+  if (data.oneWay) {
+    ctx.fillStyle = PLATFORM.ONE_WAY_EDGE_COLOR;
+    ctx.fillRect(-width / 2, -height / 2, width, 3);
+    ctx.strokeStyle = PLATFORM.ONE_WAY_EDGE_COLOR;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 6]);
+    ctx.beginPath();
+    ctx.moveTo(-width / 2, height / 2);
+    ctx.lineTo(width / 2, height / 2);
+    ctx.stroke();
+  }
+
   ctx.restore();
 }
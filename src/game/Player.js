@@ -1,4 +1,12 @@
 import { Bodies, Body } from 'matter-js';
+import { AnimationFrame } from '../utils/animation.js';
+import { lerp } from '../utils/math.js';
+import { SpriteSheet } from '../rendering/SpriteSheet.js';
+import playerAtlas from '../data/sprites/player.json';
+import { ENEMY, PHYSICS } from '../config.js';
+
+// Airborne long enough to count as a landing (ignores ground-contact jitter)
+const LAND_AIR_TIME = 150; // ms
 
 export class Player {
   constructor(x, y, physics, particleSystem = null) {
@@ -15,6 +23,8 @@ export class Player {
       frictionAir: 0.005,
       restitution: 0,
       chamfer: { radius: 4 },
+      // Its own category so one-way platforms can let it through
+      collisionFilter: { category: PHYSICS.PLAYER_CATEGORY },
     });
 
     // Add to physics world
@@ -22,12 +32,17 @@ export class Player {
 
     // Prevent rotation so the player doesn't snag on edges
     Body.setInertia(this.body, Infinity);
+
+    // Position at the start of the current fixed step, for interpolation
+    this.previousPosition = { x, y };
     // Movement properties
     this.speed = 0.02;
     this.jumpVelocity = -7.5; // Reduced by half from -15
     this.isGrounded = false;
     this.jumpCooldown = 0;
     this.maxJumpCooldown = 200; // ms
+    this.groundCheckTimer = 0; // ms until checkGroundedStatus looks again
+    this.groundCheckDelay = 30; // ms
 
     // Double jump properties
     this.jumpsRemaining = 2;
@@ -35,12 +50,21 @@ export class Player {
 
     // Animation properties
     this.facing = 1; // 1 for right, -1 for left
-    this.animationState = 'idle'; // idle, walking, jumping
+    this.animationState = null; // idle, walk, jump, double-jump, fall, land, death
     this.animationFrame = 0;
-    this.animationSpeed = 0.15;
-    this.animationTimer = 0;
-
-    // For drawing simple rectangle (will be replaced with sprites later)
+    this.animation = new AnimationFrame();
+    this.airAnimation = null; // jump or double-jump, set when leaving the ground
+    this.airTime = 0;
+    this.isMoving = false;
+    this.isDead = false;
+
+    // Sprites, with a per-world costume (see setCostume)
+    this.sprite = new SpriteSheet(playerAtlas);
+    this.costume = 'default';
+    this.sprite.loadCostume(this.costume);
+    this.setAnimation('idle');
+
+    // Drawn as a plain rectangle until the sprite sheet loads
     this.color = '#FF6B6B';
 
     // Setup collision detection
@@ -127,6 +151,14 @@ export class Player {
       this.jumpCooldown -= deltaTime;
     }
 
+    // Finish a ground check started when a platform contact ended
+    if (this.groundCheckTimer > 0) {
+      this.groundCheckTimer -= deltaTime;
+      if (this.groundCheckTimer <= 0 && this.body.velocity.y > 0.8) {
+        this.isGrounded = false;
+      }
+    }
+
     // Handle input
     this.handleInput(inputHandler);
 
@@ -140,23 +172,29 @@ export class Player {
   handleInput(inputHandler) {
     const currentVelocity = this.body.velocity;
 
+    // No control while the death animation plays
+    if (this.isDead) {
+      this.isMoving = false;
+      return;
+    }
+
     // Horizontal movement using forces
     if (inputHandler.isPressed('left')) {
       Body.applyForce(this.body, this.body.position, { x: -0.003, y: 0 });
       this.facing = -1;
-      this.animationState = this.isGrounded ? 'walking' : 'jumping';
+      this.isMoving = true;
     } else if (inputHandler.isPressed('right')) {
       Body.applyForce(this.body, this.body.position, { x: 0.003, y: 0 });
       this.facing = 1;
-      this.animationState = this.isGrounded ? 'walking' : 'jumping';
+      this.isMoving = true;
     } else {
+      this.isMoving = false;
       // Apply lighter friction when no input - let natural physics handle stopping
       if (this.isGrounded) {
         Body.setVelocity(this.body, {
           x: currentVelocity.x * 0.92,
           y: currentVelocity.y,
         });
-        this.animationState = 'idle';
       }
     }
 
@@ -168,68 +206,136 @@ export class Player {
       });
     }
 
+    // Down drops through a one-way platform
+    if (
+      inputHandler.isPressed('down') &&
+      this.physics.dropThroughOneWayPlatforms()
+    ) {
+      this.isGrounded = false;
+    }
+
     // Jumping (now with double jump!)
     if (
-      (inputHandler.isPressed('up') || inputHandler.isPressed('space')) &&
+      inputHandler.isPressed('jump') &&
       this.jumpsRemaining > 0 &&
       this.jumpCooldown <= 0
     ) {
-      Body.setVelocity(this.body, {
-        x: currentVelocity.x,
-        y: this.jumpVelocity,
-      });
+      this.jump();
+    }
+  }
 
-      // Create particle effects
-      if (this.particleSystem) {
-        if (this.jumpsRemaining === 2) {
-          // First jump from ground - create dust cloud at feet level
-          this.particleSystem.createJumpDust(
-            this.body.position.x,
-            this.body.position.y + this.height / 2 - 5,
-            this.facing
-          );
-        } else {
-          // Double jump in air - create puff effect
-          this.particleSystem.createDoubleJumpPuff(
-            this.body.position.x,
-            this.body.position.y
-          );
-        }
-      }
+  /**
+   * Launch upward, spending one of the player's jumps
+   * @param {number} [velocityY] - Vertical velocity, a normal jump by default
+   */
+  jump(velocityY = this.jumpVelocity) {
+    Body.setVelocity(this.body, {
+      x: this.body.velocity.x,
+      y: velocityY,
+    });
 
-      this.jumpsRemaining--;
-      this.isGrounded = false;
-      this.jumpCooldown = this.maxJumpCooldown;
-      this.animationState = 'jumping';
+    // Create particle effects
+    if (this.particleSystem) {
+      if (this.jumpsRemaining === 2) {
+        // First jump from ground - create dust cloud at feet level
+        this.particleSystem.createJumpDust(
+          this.body.position.x,
+          this.body.position.y + this.height / 2 - 5,
+          this.facing
+        );
+      } else {
+        // Double jump in air - create puff effect
+        this.particleSystem.createDoubleJumpPuff(
+          this.body.position.x,
+          this.body.position.y
+        );
+      }
     }
+
+    this.airAnimation =
+      this.jumpsRemaining === this.maxJumps ? 'jump' : 'double-jump';
+    this.jumpsRemaining--;
+    this.isGrounded = false;
+    this.jumpCooldown = this.maxJumpCooldown;
+  }
+
+  // Spring off a stomped enemy. Jumps are refilled first, so the bounce
+  // plays like a jump off the ground and the double jump is still there.
+  bounce() {
+    this.jumpsRemaining = this.maxJumps;
+    this.jump(this.jumpVelocity * ENEMY.STOMP_BOUNCE);
   }
 
   updateAnimation(deltaTime) {
-    this.animationTimer += deltaTime;
+    const nextState = this.getAnimationState();
+    if (nextState !== this.animationState) {
+      this.setAnimation(nextState);
+    }
 
-    if (this.animationTimer >= this.animationSpeed * 1000) {
-      this.animationFrame++;
-      this.animationTimer = 0;
+    this.animation.update(deltaTime);
+    this.animationFrame = this.animation.currentFrame;
 
-      // Reset frame based on animation type
-      const maxFrames = this.getMaxFrames();
-      if (this.animationFrame >= maxFrames) {
-        this.animationFrame = 0;
-      }
+    // Track time off the ground so short contact flickers don't count as landings
+    if (this.isGrounded) {
+      this.airTime = 0;
+      this.airAnimation = null;
+    } else {
+      this.airTime += deltaTime;
     }
   }
 
-  getMaxFrames() {
-    switch (this.animationState) {
-      case 'idle':
-        return 4;
-      case 'walking':
-        return 6;
-      case 'jumping':
-        return 1;
-      default:
-        return 1;
+  // Pick the animation that matches what the player is doing
+  getAnimationState() {
+    if (this.isDead) return 'death';
+
+    const { x: vx, y: vy } = this.body.velocity;
+
+    if (!this.isGrounded) {
+      if (this.airAnimation === 'double-jump' && vy < 2) return 'double-jump';
+      if (this.airAnimation === 'jump' && vy < 0.5) return 'jump';
+      return 'fall';
+    }
+
+    if (this.airTime > LAND_AIR_TIME) return 'land';
+    if (this.animationState === 'land' && this.animation.isPlaying) {
+      return 'land';
     }
+
+    return this.isMoving || Math.abs(vx) > 0.5 ? 'walk' : 'idle';
+  }
+
+  // Switch to an animation from the atlas and start it from frame 0
+  setAnimation(name) {
+    const animation = this.sprite.getAnimation(name);
+    if (!animation) return;
+
+    this.animationState = name;
+    this.animation.frameDuration = animation.frameDuration;
+    this.animation.loop = animation.loop;
+    this.animation.setFrameCount(animation.frames.length);
+    this.animation.reset();
+    this.animation.play();
+    this.animationFrame = 0;
+  }
+
+  /**
+   * Dress the player for a world. Unknown costumes fall back to the default.
+   * @param {string} costume - Costume name from the sprite atlas
+   */
+  setCostume(costume = 'default') {
+    if (!this.sprite.hasCostume(costume)) {
+      console.warn(`Unknown player costume "${costume}", using default`);
+      costume = 'default';
+    }
+
+    this.costume = costume;
+    this.sprite.loadCostume(costume);
+  }
+
+  // Play the death animation until respawn() is called
+  die() {
+    this.isDead = true;
+    this.setAnimation('death');
   }
 
   checkGrounded() {
@@ -246,64 +352,75 @@ export class Player {
 
   checkGroundedStatus() {
     // This method checks if the player is still touching ground after collision ends
-    // For now, we'll set a small delay to check if player is falling
-    setTimeout(() => {
-      if (this.body.velocity.y > 0.8) {
-        this.isGrounded = false;
-      }
-    }, 30);
+    // Wait a moment of game time (see update) to see if the player is falling
+    this.groundCheckTimer = this.groundCheckDelay;
   }
 
-  draw(ctx) {
-    const pos = this.body.position;
-
-    ctx.save();
+  // Called by Game before each fixed step
+  savePreviousPosition() {
+    this.previousPosition.x = this.body.position.x;
+    this.previousPosition.y = this.body.position.y;
+  }
 
-    // Draw player as rectangle for now (sprites will be added later)
-    ctx.fillStyle = this.color;
+  /**
+   * Where to draw the player between two fixed steps
+   * @param {number} alpha - 0 = previous step, 1 = current step
+   * @returns {{x: number, y: number}} Interpolated position
+   */
+  getRenderPosition(alpha = 1) {
+    const pos = this.body.position;
+    return {
+      x: lerp(this.previousPosition.x, pos.x, alpha),
+      y: lerp(this.previousPosition.y, pos.y, alpha),
+    };
+  }
 
-    // Apply facing direction
-    if (this.facing === -1) {
-      ctx.scale(-1, 1);
-      ctx.fillRect(
-        -pos.x - this.width / 2,
-        pos.y - this.height / 2,
-        this.width,
-        this.height
-      );
-    } else {
-      ctx.fillRect(
-        pos.x - this.width / 2,
-        pos.y - this.height / 2,
-        this.width,
-        this.height
+  draw(ctx, alpha = 1) {
+    const pos = this.getRenderPosition(alpha);
+    const animation = this.sprite.getAnimation(this.animationState);
+    const frameName = animation && animation.frames[this.animationFrame];
+
+    // Fall back to the costume's default sheet while a new one loads
+    const drawn =
+      this.sprite.drawFrame(
+        ctx,
+        this.costume,
+        frameName,
+        pos.x,
+        pos.y,
+        this.facing === -1
+      ) ||
+      this.sprite.drawFrame(
+        ctx,
+        'default',
+        frameName,
+        pos.x,
+        pos.y,
+        this.facing === -1
       );
+
+    if (!drawn) {
+      this.drawPlaceholder(ctx, pos);
     }
+  }
+
+  // Simple rectangle with eyes, used until the sprite sheet has loaded
+  drawPlaceholder(ctx, pos = this.body.position) {
+    ctx.save();
+    ctx.fillStyle = this.color;
+    ctx.fillRect(
+      pos.x - this.width / 2,
+      pos.y - this.height / 2,
+      this.width,
+      this.height
+    );
 
-    // Draw simple face
     ctx.fillStyle = 'white';
     const eyeSize = 4;
-    const eyeOffsetX = this.facing === 1 ? 8 : -8;
-    const eyeOffsetY = -10;
-
-    if (this.facing === -1) {
-      ctx.fillRect(-pos.x + eyeOffsetX, pos.y + eyeOffsetY, eyeSize, eyeSize);
-      ctx.fillRect(
-        -pos.x + eyeOffsetX + 10,
-        pos.y + eyeOffsetY,
-        eyeSize,
-        eyeSize
-      );
-    } else {
-      ctx.fillRect(pos.x + eyeOffsetX, pos.y + eyeOffsetY, eyeSize, eyeSize);
-      ctx.fillRect(
-        pos.x + eyeOffsetX + 10,
-        pos.y + eyeOffsetY,
-        eyeSize,
-        eyeSize
-      );
-    }
-
+    const eyeX = pos.x + (this.facing === 1 ? 8 : -8 - eyeSize);
+    const eyeY = pos.y - 10;
+    ctx.fillRect(eyeX, eyeY, eyeSize, eyeSize);
+    ctx.fillRect(eyeX + this.facing * 10, eyeY, eyeSize, eyeSize);
     ctx.restore();
   }
 
@@ -320,6 +437,11 @@ export class Player {
   setPosition(x, y) {
     Body.setPosition(this.body, { x, y });
     Body.setVelocity(this.body, { x: 0, y: 0 });
+    this.savePreviousPosition(); // Teleport, don't slide
+  }
+
+  setVelocity(vx, vy) {
+    Body.setVelocity(this.body, { x: vx, y: vy });
   }
 
   // Respawn player at specific position with full state reset
@@ -327,16 +449,19 @@ export class Player {
     // Reset position and velocity
     Body.setPosition(this.body, { x, y });
     Body.setVelocity(this.body, { x: 0, y: 0 });
+    this.savePreviousPosition();
 
     // Reset player state
     this.isGrounded = false;
     this.jumpsRemaining = this.maxJumps;
     this.jumpCooldown = 0;
+    this.groundCheckTimer = 0;
 
     // Reset animation
-    this.animationState = 'idle';
-    this.animationFrame = 0;
-    this.animationTimer = 0;
+    this.isDead = false;
+    this.airAnimation = null;
+    this.airTime = 0;
+    this.setAnimation('idle');
     this.facing = 1;
   }
 }
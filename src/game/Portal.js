@@ -0,0 +1,77 @@
+// Portal entity for the portal network
+// Stepping into a portal opens the portal menu (rendering/PortalMenu.js)
+// to pick a linked world. Unlike doors it never transitions on its own.
+
+export class Portal {
+  constructor(x, y, worldId, portalData) {
+    this.x = x;
+    this.y = y;
+    this.worldId = worldId;
+    this.name = portalData.name;
+    this.color = portalData.themeColor;
+
+    this.width = 60;
+    this.height = 90;
+
+    // Whether the player is standing in it, so the menu opens once per visit
+    this.playerInside = false;
+    this.swirl = 0;
+
+    console.log(`Created portal "${this.name}" at (${x}, ${y})`);
+  }
+
+  update(deltaTime) {
+    this.swirl += deltaTime * 0.003;
+  }
+
+  draw(ctx) {
+    const centerX = this.x + this.width / 2;
+    const centerY = this.y + this.height / 2;
+
+    ctx.save();
+
+    // Stone arch
+    ctx.fillStyle = '#4A4A4A';
+    ctx.beginPath();
+    ctx.ellipse(
+      centerX,
+      centerY,
+      this.width / 2 + 6,
+      this.height / 2 + 6,
+      0,
+      0,
+      Math.PI * 2
+    );
+    ctx.fill();
+
+    // Swirling rings, brighter while the player is inside
+    ctx.shadowColor = this.color;
+    ctx.shadowBlur = this.playerInside ? 30 : 15;
+    for (let ring = 0; ring < 4; ring++) {
+      const t = (this.swirl + ring / 4) % 1;
+      ctx.globalAlpha = 1 - t * 0.7;
+      ctx.fillStyle = ring % 2 === 0 ? this.color : '#FFFFFF';
+      ctx.beginPath();
+      ctx.ellipse(
+        centerX,
+        centerY,
+        (this.width / 2) * (1 - t * 0.8),
+        (this.height / 2) * (1 - t * 0.8),
+        0,
+        0,
+        Math.PI * 2
+      );
+      ctx.fill();
+    }
+    ctx.globalAlpha = 1;
+    ctx.shadowBlur = 0;
+
+    // Name above the arch
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.font = '10px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText(this.name.toUpperCase(), centerX, this.y - 15);
+
+    ctx.restore();
+  }
+}
@@ -1,4 +1,5 @@
 import { Game } from './game/Game.js';
+import { ListView } from './rendering/ListView.js';
 
 // Check for dev mode and handle maintenance overlay
 function handleMaintenanceMode() {
@@ -22,30 +23,60 @@ function initGame() {
   }
 
   try {
-    // Create and start the game
-    game = new Game(canvas);
+    // Create and start the game. ?seed=123 makes particles and other
+    // randomness repeat exactly, for tests and bug reports.
+    const seed = new URLSearchParams(window.location.search).get('seed');
+    game = new Game(canvas, {
+      seed: seed !== null && seed !== '' ? Number(seed) : undefined,
+    });
 
     // Expose game globally for testing and debugging
     window.game = game;
 
     console.log('🎮 Portfolio Mario Game Initialized!');
+    const keys = game.inputHandler.bindings;
     console.log(
-      'Controls: Arrow Keys/WASD to move, Space/Up for double jump, F1 for debug'
+      `Controls: ${keys.describe('left')} ${keys.describe('right')} to move, ${keys.describe('jump')} for double jump, ${keys.describe('debug')} for debug`
     );
   } catch (error) {
     console.error('❌ Error initializing game:', error);
   }
 }
 
+// The list view needs no canvas. ?view=list shows it without starting the
+// game, and it opens by itself if the game couldn't start.
+function initListView(listOnly) {
+  const listView = game ? game.listView : new ListView();
+
+  const skipLink = document.getElementById('skip-to-list');
+  if (skipLink) {
+    skipLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      listView.show();
+    });
+  }
+
+  if (listOnly || !game || window.location.hash === '#portfolio-list') {
+    listView.show();
+  }
+}
+
+function init() {
+  const listOnly =
+    new URLSearchParams(window.location.search).get('view') === 'list';
+
+  handleMaintenanceMode();
+  if (!listOnly) {
+    initGame();
+  }
+  initListView(listOnly);
+}
+
 // Wait for DOM to be fully loaded
 if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => {
-    handleMaintenanceMode();
-    initGame();
-  });
+  document.addEventListener('DOMContentLoaded', init);
 } else {
-  handleMaintenanceMode();
-  initGame();
+  init();
 }
 
 // Handle page cleanup
@@ -1,4 +1,6 @@
 import { Howl, Howler } from 'howler';
+import { STORAGE } from '../config.js';
+import { save, load } from '../utils/storage.js';
 
 export class Audio {
   constructor() {
@@ -8,6 +10,7 @@ export class Audio {
     this.musicVolume = 0.5;
     this.muted = false;
     this.initialized = false;
+    this.loadSettings();
 
     // Audio context management for browser policies
     this.audioContextUnlocked = false;
@@ -153,6 +156,18 @@ export class Audio {
       this.generateMysteryBoxCompleteDataURL()
     );
 
+    // Checkpoint flag raised
+    this.loadSoundEffect(
+      'checkpoint',
+      this.generateToneDataURL(1046.5, 0.35, 0.3, 'triangle')
+    );
+
+    // Enemy stomped
+    this.loadSoundEffect(
+      'stomp',
+      this.generateToneDataURL(220, 0.15, 0.4, 'square')
+    );
+
     this.initialized = true;
   }
 
@@ -555,6 +570,14 @@ export class Audio {
     this.playSound('mysteryBoxComplete');
   }
 
+  playCheckpoint() {
+    this.playSound('checkpoint');
+  }
+
+  playStomp() {
+    this.playSound('stomp');
+  }
+
   // Music control
   startBackgroundMusic() {
     if (!this.music || this.muted) {
@@ -615,6 +638,31 @@ export class Audio {
     }
   }
 
+  // Volumes and mute from the pause menu survive reloads
+  loadSettings() {
+    const settings = load(STORAGE.AUDIO_SETTINGS_KEY);
+    if (!settings || typeof settings !== 'object') return;
+
+    if (Number.isFinite(settings.sfxVolume)) {
+      this.sfxVolume = Math.max(0, Math.min(1, settings.sfxVolume));
+    }
+    if (Number.isFinite(settings.musicVolume)) {
+      this.musicVolume = Math.max(0, Math.min(1, settings.musicVolume));
+    }
+    if (settings.muted === true) {
+      this.muted = true;
+      Howler.mute(true);
+    }
+  }
+
+  saveSettings() {
+    save(STORAGE.AUDIO_SETTINGS_KEY, {
+      sfxVolume: this.sfxVolume,
+      musicVolume: this.musicVolume,
+      muted: this.muted,
+    });
+  }
+
   // Volume controls
   setSFXVolume(volume) {
     this.sfxVolume = Math.max(0, Math.min(1, volume));
@@ -623,6 +671,7 @@ export class Audio {
     this.sounds.forEach((sound) => {
       sound.volume(this.sfxVolume);
     });
+    this.saveSettings();
   }
 
   setMusicVolume(volume) {
@@ -631,6 +680,7 @@ export class Audio {
     if (this.music) {
       this.music.volume(this.musicVolume);
     }
+    this.saveSettings();
   }
 
   getSFXVolume() {
@@ -648,6 +698,7 @@ export class Audio {
 
   setMuted(muted) {
     this.muted = muted;
+    this.saveSettings();
 
     if (muted) {
       Howler.mute(true);
@@ -0,0 +1,369 @@
+// Controls Screen
+// In-game overlay for rebinding keys. Click a key slot, press the new key.
+// Esc cancels, Backspace/Delete clears the slot.
+
+import { INPUT } from '../config.js';
+import { getKeyLabel } from '../game/KeyBindings.js';
+
+export class ControlsScreen {
+  constructor(game) {
+    this.game = game;
+    this.inputHandler = game.inputHandler;
+    this.bindings = game.inputHandler.bindings;
+    this.overlay = null;
+    this.isShowing = false;
+    this.listening = null; // { action, slot } while waiting for a key
+    this.pausedGame = false;
+    this.returnFocus = null; // e.g. the pause menu's Controls button
+  }
+
+  create() {
+    this.overlay = document.createElement('div');
+    this.overlay.id = 'controls-screen';
+    this.overlay.className = 'controls-screen';
+    this.overlay.setAttribute('role', 'dialog');
+    this.overlay.setAttribute('aria-modal', 'true');
+    this.overlay.setAttribute('aria-labelledby', 'controls-screen-title');
+    this.overlay.innerHTML = `
+      <div class="controls-screen-content">
+        <h2 id="controls-screen-title" class="controls-screen-title">Controls</h2>
+        <p class="controls-screen-hint">
+          Click a key to change it, then press the new key.
+          Esc cancels, Backspace clears.
+        </p>
+        <table class="controls-screen-table">
+          <tbody></tbody>
+        </table>
+        <p class="controls-screen-status" role="status" aria-live="polite"></p>
+        <div class="controls-screen-actions">
+          <button type="button" class="controls-screen-reset">Reset to defaults</button>
+          <button type="button" class="controls-screen-done">Done</button>
+        </div>
+      </div>
+    `;
+
+    this.overlay
+      .querySelector('.controls-screen-reset')
+      .addEventListener('click', () => {
+        this.inputHandler.cancelCapture();
+        this.listening = null;
+        this.bindings.resetToDefaults();
+        this.render();
+        this.setStatus('Controls reset to defaults');
+      });
+    this.overlay
+      .querySelector('.controls-screen-done')
+      .addEventListener('click', () => this.hide());
+
+    // Key slots are rebuilt on every render, so delegate clicks
+    this.overlay
+      .querySelector('.controls-screen-table')
+      .addEventListener('click', (e) => {
+        const button = e.target.closest('.controls-screen-key');
+        if (button) {
+          this.startListening(
+            button.dataset.action,
+            Number(button.dataset.slot)
+          );
+        }
+      });
+
+    // Esc closes the screen when we're not waiting for a key
+    // (a captured Esc arrives here already handled)
+    document.addEventListener('keydown', (e) => {
+      if (e.code === 'Escape' && this.isShowing && !e.defaultPrevented) {
+        e.preventDefault();
+        this.hide();
+      }
+    });
+
+    document.body.appendChild(this.overlay);
+    this.addStyles();
+  }
+
+  addStyles() {
+    const style = document.createElement('style');
+    style.textContent = `
+      .controls-screen {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.85);
+        display: none;
+        justify-content: center;
+        align-items: center;
+        z-index: 10000;
+        font-family: monospace;
+      }
+
+      .controls-screen.visible {
+        display: flex;
+      }
+
+      .controls-screen-content {
+        background: #1a1a1a;
+        border: 2px solid #FFD700;
+        border-radius: 10px;
+        color: white;
+        max-height: 85vh;
+        overflow-y: auto;
+        padding: 24px 30px;
+      }
+
+      .controls-screen-title {
+        color: #FFD700;
+        font-size: 20px;
+        margin: 0 0 8px;
+      }
+
+      .controls-screen-hint {
+        margin: 0 0 16px;
+        opacity: 0.7;
+      }
+
+      .controls-screen-table {
+        border-collapse: collapse;
+        width: 100%;
+      }
+
+      .controls-screen-table th {
+        font-weight: normal;
+        padding: 4px 16px 4px 0;
+        text-align: left;
+      }
+
+      .controls-screen-table td {
+        padding: 4px;
+      }
+
+      .controls-screen-table tr.unbound th {
+        color: #FF6B6B;
+      }
+
+      .controls-screen-key {
+        background: #333;
+        border: 1px solid #666;
+        border-radius: 5px;
+        color: white;
+        cursor: pointer;
+        font-family: monospace;
+        min-width: 72px;
+        padding: 6px 10px;
+      }
+
+      .controls-screen-key.empty {
+        color: #888;
+      }
+
+      .controls-screen-key.listening {
+        border-color: #FFD700;
+        color: #FFD700;
+      }
+
+      .controls-screen-key:hover,
+      .controls-screen-key:focus-visible {
+        background: #444;
+      }
+
+      .controls-screen-status {
+        color: #FFAA00;
+        min-height: 1.2em;
+        margin: 12px 0;
+      }
+
+      .controls-screen-actions {
+        display: flex;
+        gap: 10px;
+        justify-content: flex-end;
+      }
+
+      .controls-screen-actions button {
+        background: #333;
+        border: 1px solid #666;
+        border-radius: 5px;
+        color: white;
+        cursor: pointer;
+        font-family: monospace;
+        padding: 8px 16px;
+      }
+
+      .controls-screen-actions button:hover {
+        background: #444;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  // Build one row per action with a button per key slot
+  render() {
+    const tbody = this.overlay.querySelector('tbody');
+    tbody.innerHTML = '';
+
+    Object.entries(INPUT.ACTION_LABELS).forEach(([action, label]) => {
+      const keys = this.bindings.getKeys(action);
+      const row = document.createElement('tr');
+      row.classList.toggle('unbound', keys.length === 0);
+
+      const heading = document.createElement('th');
+      heading.scope = 'row';
+      heading.textContent = label;
+      row.appendChild(heading);
+
+      // Existing keys plus one empty slot to add another
+      const slots = Math.min(keys.length + 1, INPUT.MAX_KEYS_PER_ACTION);
+      for (let slot = 0; slot < slots; slot++) {
+        const cell = document.createElement('td');
+        const button = document.createElement('button');
+        const code = keys[slot];
+        const isListening =
+          this.listening &&
+          this.listening.action === action &&
+          this.listening.slot === slot;
+
+        button.type = 'button';
+        button.className = 'controls-screen-key';
+        button.dataset.action = action;
+        button.dataset.slot = slot;
+        button.classList.toggle('empty', !code);
+        button.classList.toggle('listening', Boolean(isListening));
+        button.textContent = isListening
+          ? 'Press key…'
+          : code
+            ? getKeyLabel(code)
+            : '+';
+        button.setAttribute(
+          'aria-label',
+          code
+            ? `${label}: ${getKeyLabel(code)}. Press to change`
+            : `Add a key for ${label}`
+        );
+        cell.appendChild(button);
+        row.appendChild(cell);
+      }
+
+      tbody.appendChild(row);
+    });
+  }
+
+  startListening(action, slot) {
+    this.listening = { action, slot };
+    this.render();
+    this.setStatus(`Press a key for ${INPUT.ACTION_LABELS[action]}`);
+
+    this.inputHandler.captureNextKey((code) => {
+      this.listening = null;
+
+      if (code === 'Escape') {
+        this.setStatus('Cancelled');
+      } else if (code === 'Backspace' || code === 'Delete') {
+        this.bindings.unbind(action, slot);
+        this.setStatus(`Cleared a key from ${INPUT.ACTION_LABELS[action]}`);
+      } else {
+        const result = this.bindings.bind(action, slot, code);
+        if (!result.ok) {
+          this.setStatus(result.reason);
+        } else if (result.conflict) {
+          this.setStatus(
+            `${getKeyLabel(code)} was used by ${INPUT.ACTION_LABELS[result.conflict]} - moved to ${INPUT.ACTION_LABELS[action]}`
+          );
+        } else {
+          this.setStatus(
+            `${INPUT.ACTION_LABELS[action]}: ${getKeyLabel(code)}`
+          );
+        }
+      }
+
+      this.render();
+      this.warnAboutUnboundActions();
+      this.focusSlot(action, slot);
+    });
+  }
+
+  // Conflicts can leave an action with no keys - make sure that's visible
+  warnAboutUnboundActions() {
+    const unbound = this.bindings
+      .getUnboundActions()
+      .filter((action) => INPUT.ACTION_LABELS[action]);
+    if (unbound.length > 0) {
+      const names = unbound.map((action) => INPUT.ACTION_LABELS[action]);
+      this.setStatus(
+        `${this.overlay.querySelector('.controls-screen-status').textContent} (no key: ${names.join(', ')})`
+      );
+    }
+  }
+
+  focusSlot(action, slot) {
+    const button =
+      this.overlay.querySelector(
+        `.controls-screen-key[data-action="${action}"][data-slot="${slot}"]`
+      ) ||
+      this.overlay.querySelector(
+        `.controls-screen-key[data-action="${action}"]`
+      );
+    if (button) button.focus();
+  }
+
+  setStatus(message) {
+    this.overlay.querySelector('.controls-screen-status').textContent = message;
+  }
+
+  show() {
+    if (!this.overlay) {
+      this.create();
+    }
+
+    this.render();
+    this.setStatus('');
+    this.returnFocus = document.activeElement;
+    this.overlay.classList.add('visible');
+    this.isShowing = true;
+    this.inputHandler.setEnabled(false, this);
+
+    // Freeze gameplay while rebinding
+    if (this.game.state === 'playing') {
+      this.game.pause();
+      this.pausedGame = true;
+    }
+
+    const firstKey = this.overlay.querySelector('.controls-screen-key');
+    if (firstKey) firstKey.focus();
+  }
+
+  hide() {
+    if (!this.overlay) return;
+
+    this.inputHandler.cancelCapture();
+    this.listening = null;
+    this.overlay.classList.remove('visible');
+    this.isShowing = false;
+    this.inputHandler.setEnabled(true, this);
+
+    if (this.pausedGame) {
+      this.game.resume();
+      this.pausedGame = false;
+    }
+
+    if (this.returnFocus && this.returnFocus.focus) {
+      this.returnFocus.focus();
+    }
+    this.returnFocus = null;
+  }
+
+  toggle() {
+    if (this.isShowing) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  destroy() {
+    if (this.overlay) {
+      this.overlay.remove();
+      this.overlay = null;
+    }
+    this.isShowing = false;
+  }
+}
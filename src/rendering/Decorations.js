@@ -0,0 +1,142 @@
+// Decoration Registry
+// Every module in src/rendering/decorations is a decoration type that world
+// configs can place by name. A type module default-exports:
+// {
+//   type: 'tech-pillar',          // Name used in config.json "decorations"
+//   layer: 'background',          // 'background' (behind platforms) or 'foreground'
+//   bounds: { x, y, width, height }, // Drawn area relative to the anchor x/y
+//   parallax: 1,                  // Optional: 1 moves with the world, < 1 lags behind
+//   update(state, deltaTime, config), // Optional: advance per-instance animation state
+//   draw(ctx, x, y, { config, state, time }),
+// }
+
+const typeModules = import.meta.glob('./decorations/*.js', {
+  eager: true,
+  import: 'default',
+});
+
+const decorationTypes = new Map();
+const warnedTypes = new Set();
+
+/**
+ * Register a decoration type
+ * @param {Object} definition - Decoration type definition (see above)
+ */
+export function registerDecoration(definition) {
+  if (!definition || !definition.type || !definition.draw) {
+    console.warn('Decoration definitions need a type and a draw function');
+    return;
+  }
+
+  decorationTypes.set(definition.type, {
+    layer: 'background',
+    bounds: { x: 0, y: 0, width: 0, height: 0 },
+    parallax: 1,
+    ...definition,
+  });
+}
+
+Object.values(typeModules).forEach(registerDecoration);
+
+/**
+ * Look up a decoration type
+ * @param {string} type - Decoration type name
+ * @returns {Object|null} Definition, or null if no module registered it
+ */
+export function getDecoration(type) {
+  return decorationTypes.get(type) || null;
+}
+
+/**
+ * List every registered decoration type name
+ * @returns {string[]} Type names
+ */
+export function getDecorationTypes() {
+  return Array.from(decorationTypes.keys());
+}
+
+/**
+ * Turn config entries into drawable decorations. Unknown types are
+ * reported once and dropped so a typo doesn't fail silently.
+ * @param {Object[]} decorations - Entries from a world config
+ * @param {string} worldId - World the decorations belong to (for warnings)
+ * @returns {Object[]} Instances: { config, definition, state }
+ */
+export function createDecorations(decorations, worldId) {
+  return decorations.flatMap((config) => {
+    const definition = getDecoration(config.type);
+
+    if (!definition) {
+      if (!warnedTypes.has(config.type)) {
+        warnedTypes.add(config.type);
+        console.warn(
+          `Unknown decoration type "${config.type}" in world "${worldId}". ` +
+            `Add src/rendering/decorations/${config.type}.js to define it.`
+        );
+      }
+      return [];
+    }
+
+    return [{ config, definition, state: {} }];
+  });
+}
+
+/**
+ * Advance animated decorations
+ * @param {Object[]} instances - From createDecorations
+ * @param {number} deltaTime - Milliseconds since last update
+ */
+export function updateDecorations(instances, deltaTime) {
+  instances.forEach(({ config, definition, state }) => {
+    if (definition.update) {
+      definition.update(state, deltaTime, config);
+    }
+  });
+}
+
+/**
+ * Draw every decoration on one layer (in world space)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object[]} instances - From createDecorations
+ * @param {string} layer - 'background' or 'foreground'
+ * @param {Object} options - { camera, time }
+ */
+export function drawDecorations(ctx, instances, layer, options = {}) {
+  const { camera, time = 0 } = options;
+
+  instances.forEach(({ config, definition, state }) => {
+    const layerName = config.layer || definition.layer;
+    if (layerName !== layer) return;
+
+    // Parallax shifts the anchor by how far the camera has travelled
+    const parallax = config.parallax ?? definition.parallax;
+    const x = config.x + (camera ? camera.x * (1 - parallax) : 0);
+    const y = config.y + (camera ? camera.y * (1 - parallax) : 0);
+
+    const { bounds } = definition;
+    if (camera && bounds.width > 0 && !isInView(camera, x, y, bounds)) {
+      return;
+    }
+
+    ctx.save();
+    definition.draw(ctx, x, y, { config, state, time });
+    ctx.restore();
+  });
+}
+
+// Camera.isVisible ignores zoom, so work out the zoomed view rectangle here
+function isInView(camera, x, y, bounds) {
+  const { width, height } = camera.canvas;
+  const zoom = camera.zoom || 1;
+  const viewWidth = width / zoom;
+  const viewHeight = height / zoom;
+  const viewX = camera.x + (width - viewWidth) / 2;
+  const viewY = camera.y + (height - viewHeight) / 2;
+
+  return !(
+    x + bounds.x + bounds.width < viewX ||
+    x + bounds.x > viewX + viewWidth ||
+    y + bounds.y + bounds.height < viewY ||
+    y + bounds.y > viewY + viewHeight
+  );
+}
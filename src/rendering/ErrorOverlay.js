@@ -0,0 +1,165 @@
+// Error Overlay
+// Shows data/config errors in-game instead of leaving a blank world
+
+export class ErrorOverlay {
+  constructor() {
+    this.overlay = null;
+    this.isShowing = false;
+  }
+
+  create() {
+    this.overlay = document.createElement('div');
+    this.overlay.id = 'error-overlay';
+    this.overlay.className = 'error-overlay';
+    this.overlay.setAttribute('role', 'alertdialog');
+    this.overlay.setAttribute('aria-labelledby', 'error-overlay-title');
+    this.overlay.innerHTML = `
+      <div class="error-overlay-content">
+        <h2 id="error-overlay-title" class="error-overlay-title"></h2>
+        <p class="error-overlay-file"></p>
+        <ul class="error-overlay-list"></ul>
+        <div class="error-overlay-actions">
+          <button type="button" class="error-overlay-reload">Reload</button>
+          <button type="button" class="error-overlay-dismiss">Dismiss</button>
+        </div>
+      </div>
+    `;
+
+    this.overlay
+      .querySelector('.error-overlay-reload')
+      .addEventListener('click', () => window.location.reload());
+    this.overlay
+      .querySelector('.error-overlay-dismiss')
+      .addEventListener('click', () => this.hide());
+
+    document.body.appendChild(this.overlay);
+    this.addStyles();
+  }
+
+  addStyles() {
+    const style = document.createElement('style');
+    style.textContent = `
+      .error-overlay {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.85);
+        display: none;
+        justify-content: center;
+        align-items: center;
+        z-index: 10001;
+        font-family: monospace;
+      }
+
+      .error-overlay.visible {
+        display: flex;
+      }
+
+      .error-overlay-content {
+        background: #1a1a1a;
+        border: 2px solid #FF4444;
+        border-radius: 10px;
+        color: white;
+        max-width: 720px;
+        max-height: 80vh;
+        overflow-y: auto;
+        padding: 24px 30px;
+      }
+
+      .error-overlay-title {
+        color: #FF6B6B;
+        font-size: 20px;
+        margin: 0 0 10px;
+      }
+
+      .error-overlay-file {
+        color: #FFAA00;
+        margin: 0 0 15px;
+        word-break: break-all;
+      }
+
+      .error-overlay-list {
+        margin: 0 0 20px;
+        padding-left: 20px;
+        line-height: 1.6;
+      }
+
+      .error-overlay-list code {
+        color: #66E6FF;
+      }
+
+      .error-overlay-actions {
+        display: flex;
+        gap: 10px;
+        justify-content: flex-end;
+      }
+
+      .error-overlay-actions button {
+        background: #333;
+        border: 1px solid #666;
+        border-radius: 5px;
+        color: white;
+        cursor: pointer;
+        font-family: monospace;
+        padding: 8px 16px;
+      }
+
+      .error-overlay-actions button:hover {
+        background: #444;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  /**
+   * Show an error. ConfigValidationErrors list every bad field;
+   * anything else just shows its message.
+   * @param {Error} error - Error to display
+   * @param {string} title - Heading for the overlay
+   */
+  show(error, title = 'Something went wrong loading the game') {
+    if (!this.overlay) {
+      this.create();
+    }
+
+    this.overlay.querySelector('.error-overlay-title').textContent = title;
+    this.overlay.querySelector('.error-overlay-file').textContent =
+      error.filePath || '';
+
+    // Build list items with textContent - error text comes from data files
+    const list = this.overlay.querySelector('.error-overlay-list');
+    list.innerHTML = '';
+    const errors = error.errors || [{ path: '', message: error.message }];
+    errors.forEach(({ path, message }) => {
+      const item = document.createElement('li');
+      if (path) {
+        const field = document.createElement('code');
+        field.textContent = path;
+        item.appendChild(field);
+        item.appendChild(document.createTextNode(' '));
+      }
+      item.appendChild(document.createTextNode(message));
+      list.appendChild(item);
+    });
+
+    this.overlay.classList.add('visible');
+    this.isShowing = true;
+  }
+
+  hide() {
+    if (this.overlay) {
+      this.overlay.classList.remove('visible');
+      this.isShowing = false;
+    }
+  }
+
+  destroy() {
+    if (this.overlay) {
+      this.overlay.remove();
+      this.overlay = null;
+    }
+    this.isShowing = false;
+  }
+}
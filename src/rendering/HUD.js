@@ -0,0 +1,276 @@
+// HUD
+// Screen-space layer drawn over the world: current world name, boxes
+// completed in it, icons for the items collected there, a minimap, control
+// hints and a queue of notifications. Fades out after a while without input.
+
+import { UI } from '../config.js';
+import { PixelText } from './PixelText.js';
+import { Minimap } from './Minimap.js';
+import { WorldRegistry } from '../world/WorldRegistry.js';
+import { WorldManager } from '../world/ProjectData.js';
+import { getSafeAreaInsets, isTouchDevice } from '../utils/responsive.js';
+
+const TOAST_COLORS = {
+  info: UI.COLORS.PRIMARY,
+  warning: UI.COLORS.WARNING,
+  error: UI.COLORS.ERROR,
+};
+
+export class HUD {
+  constructor(game) {
+    this.game = game;
+    this.pixelText = new PixelText();
+    this.minimap = new Minimap(game);
+    this.toasts = []; // { message, type, remaining } - first few are on screen
+    this.icons = new Map(); // collectible type -> { image, loaded }
+    this.idleTime = 0;
+    this.opacity = 1;
+    this.worldId = null;
+    this.showHints = !isTouchDevice();
+    this.insets = getSafeAreaInsets();
+  }
+
+  // Safe-area insets change with orientation
+  resize() {
+    this.insets = getSafeAreaInsets();
+  }
+
+  /**
+   * Queue a short message at the top of the screen
+   * @param {string} message - Text to show
+   * @param {string} [type='info'] - 'info', 'warning' or 'error'
+   */
+  showNotification(message, type = 'info') {
+    this.toasts.push({
+      message: String(message),
+      type,
+      remaining: UI.HUD.TOAST_DURATION,
+    });
+
+    // Drop the oldest waiting messages rather than falling behind
+    const { MAX_VISIBLE_TOASTS, MAX_QUEUED_TOASTS } = UI.HUD;
+    const excess = this.toasts.length - MAX_VISIBLE_TOASTS - MAX_QUEUED_TOASTS;
+    if (excess > 0) {
+      this.toasts.splice(MAX_VISIBLE_TOASTS, excess);
+    }
+
+    this.wake();
+  }
+
+  // Bring the HUD back and restart the idle timer
+  wake() {
+    this.idleTime = 0;
+  }
+
+  /**
+   * Called once per animation frame, including while paused
+   * @param {number} deltaTime - Real ms since the last frame
+   * @param {boolean} active - Whether the player is giving any input
+   */
+  update(deltaTime, active) {
+    const worldId = this.game.worldTransitionManager.getCurrentWorldId();
+    if (worldId !== this.worldId) {
+      this.worldId = worldId;
+      this.wake();
+    }
+
+    if (active || this.game.state !== 'playing') {
+      this.wake();
+    } else {
+      this.idleTime += deltaTime;
+    }
+
+    // Count down the notifications that are on screen
+    this.toasts.slice(0, UI.HUD.MAX_VISIBLE_TOASTS).forEach((toast) => {
+      toast.remaining -= deltaTime;
+    });
+    this.toasts = this.toasts.filter((toast) => toast.remaining > 0);
+
+    const target = this.idleTime < UI.HUD.IDLE_HIDE_DELAY ? 1 : 0;
+    const step = deltaTime / UI.HUD.FADE_DURATION;
+    this.opacity =
+      target > this.opacity
+        ? Math.min(target, this.opacity + step)
+        : Math.max(target, this.opacity - step);
+  }
+
+  draw(ctx) {
+    ctx.save();
+
+    if (this.opacity > 0) {
+      ctx.globalAlpha = this.opacity;
+      this.drawWorldStatus(ctx);
+      this.drawMinimap(ctx);
+      if (this.showHints) {
+        this.drawHints(ctx);
+      }
+    }
+
+    // Notifications ignore the idle fade
+    ctx.globalAlpha = 1;
+    this.drawToasts(ctx);
+
+    ctx.restore();
+  }
+
+  // Pixel text with a drop shadow so it reads on any background
+  drawText(ctx, text, x, y, scale, color) {
+    const offset = Math.max(1, Math.round(10 * scale * 0.5));
+    this.pixelText.drawSpriteText(
+      ctx,
+      text,
+      x + offset,
+      y + offset,
+      scale,
+      '#000000'
+    );
+    this.pixelText.drawSpriteText(ctx, text, x, y, scale, color);
+  }
+
+  drawWorldStatus(ctx) {
+    if (!this.worldId) return;
+
+    const { MARGIN, TITLE_SCALE, TEXT_SCALE, ICON_SIZE } = UI.HUD;
+    const x = MARGIN + this.insets.left;
+    let y = MARGIN + this.insets.top;
+
+    this.drawText(
+      ctx,
+      WorldRegistry.getDisplayName(this.worldId),
+      x,
+      y,
+      TITLE_SCALE,
+      WorldRegistry.getThemeColor(this.worldId)
+    );
+    y += this.pixelText.getTextHeight(10 * TITLE_SCALE) + 10;
+
+    const stats = this.game.mysteryBoxStateManager.getStats(this.worldId);
+    if (stats.total === 0) return;
+
+    this.drawText(
+      ctx,
+      `Boxes ${stats.completed}/${stats.total}`,
+      x,
+      y,
+      TEXT_SCALE,
+      UI.COLORS.PRIMARY
+    );
+    y += this.pixelText.getTextHeight(10 * TEXT_SCALE) + 10;
+
+    // One slot per project: its item once collected, an empty frame before
+    WorldManager.getProjectsByWorld(this.worldId).forEach((project, i) => {
+      const iconX = x + i * (ICON_SIZE + 6);
+      const collected =
+        this.game.mysteryBoxStateManager.getState(project.id) === 'completed';
+
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+      ctx.fillRect(iconX, y, ICON_SIZE, ICON_SIZE);
+
+      if (collected) {
+        this.drawIcon(ctx, project.collectible, iconX, y, ICON_SIZE);
+      } else {
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(iconX + 0.5, y + 0.5, ICON_SIZE - 1, ICON_SIZE - 1);
+      }
+    });
+  }
+
+  // Top-right corner, below the debug status when that's on
+  drawMinimap(ctx) {
+    const { MARGIN } = UI.HUD;
+    const debugOffset = this.game.debugMode ? 70 : 0;
+
+    this.minimap.draw(
+      ctx,
+      MARGIN + this.insets.top + debugOffset,
+      this.game.canvas.width - MARGIN - this.insets.right
+    );
+  }
+
+  drawIcon(ctx, collectibleType, x, y, size) {
+    const icon = collectibleType ? this.getIcon(collectibleType) : null;
+
+    if (icon && icon.loaded) {
+      ctx.drawImage(icon.image, x, y, size, size);
+    } else {
+      // No sprite (or still loading) - a plain gold token
+      ctx.fillStyle = '#FFD700';
+      ctx.fillRect(x + 4, y + 4, size - 8, size - 8);
+    }
+  }
+
+  getIcon(collectibleType) {
+    if (!this.icons.has(collectibleType)) {
+      const icon = { image: new Image(), loaded: false };
+      icon.image.onload = () => {
+        icon.loaded = true;
+      };
+      icon.image.src = `/images/collectibles/${collectibleType}.png`;
+      this.icons.set(collectibleType, icon);
+    }
+    return this.icons.get(collectibleType);
+  }
+
+  // Key hints along the bottom, built from the player's bindings
+  drawHints(ctx) {
+    const keys = this.game.inputHandler.bindings;
+    const x = UI.HUD.MARGIN + this.insets.left;
+    const bottom = this.game.canvas.height - UI.HUD.MARGIN - this.insets.bottom;
+
+    ctx.font = UI.FONTS.MAIN;
+    ctx.fillStyle = UI.COLORS.PRIMARY;
+    ctx.shadowColor = '#000000';
+    ctx.shadowBlur = 3;
+    ctx.fillText(
+      `${keys.describe('left')} ${keys.describe('right')}: Move | ${keys.describe('jump')}: Double Jump | Esc / ${keys.describe('pause')}: Pause`,
+      x,
+      bottom - 20
+    );
+    ctx.fillText(
+      `${keys.describe('mute')}: Mute | ${keys.describe('volumeUp')} ${keys.describe('volumeDown')}: Volume | ${keys.describe('controls')}: Controls | ${keys.describe('inventory')}: Inventory | ${keys.describe('map')}: Map | ${keys.describe('debug')}: Debug`,
+      x,
+      bottom
+    );
+    ctx.shadowBlur = 0;
+  }
+
+  drawToasts(ctx) {
+    const { MARGIN, TEXT_SCALE, MAX_VISIBLE_TOASTS } = UI.HUD;
+    const maxWidth = this.game.canvas.width - MARGIN * 4;
+    let y = MARGIN + this.insets.top;
+
+    this.toasts.slice(0, MAX_VISIBLE_TOASTS).forEach((toast) => {
+      // Shrink long messages to fit narrow screens
+      let scale = TEXT_SCALE;
+      const width = this.pixelText.measureSpriteText(toast.message, scale);
+      if (width > maxWidth) {
+        scale *= maxWidth / width;
+      }
+      const textWidth = this.pixelText.measureSpriteText(toast.message, scale);
+      const textHeight = this.pixelText.getTextHeight(10 * scale);
+      const padding = 10;
+      const x = (this.game.canvas.width - textWidth) / 2;
+
+      // Fade the last 300ms
+      ctx.globalAlpha = Math.min(1, toast.remaining / 300);
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+      ctx.fillRect(
+        x - padding,
+        y,
+        textWidth + padding * 2,
+        textHeight + padding * 2
+      );
+      this.pixelText.drawSpriteText(
+        ctx,
+        toast.message,
+        x,
+        y + padding,
+        scale,
+        TOAST_COLORS[toast.type] || TOAST_COLORS.info
+      );
+
+      y += textHeight + padding * 2 + 6;
+    });
+  }
+}
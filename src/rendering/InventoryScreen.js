@@ -0,0 +1,320 @@
+// Inventory Screen
+// Grid of every project's collectible. Found items show where and when they
+// were collected, and clicking one reopens that project's modal. Items not
+// found yet are shown as locked slots so there's something left to explore.
+
+import { ProjectManager } from '../world/ProjectData.js';
+import { WorldRegistry } from '../world/WorldRegistry.js';
+import { getInventory } from '../world/SaveData.js';
+
+export class InventoryScreen {
+  constructor(game) {
+    this.game = game;
+    this.overlay = null;
+    this.isShowing = false;
+    this.pausedGame = false;
+    this.returnFocus = null;
+  }
+
+  create() {
+    this.overlay = document.createElement('div');
+    this.overlay.id = 'inventory-screen';
+    this.overlay.className = 'inventory-screen';
+    this.overlay.setAttribute('role', 'dialog');
+    this.overlay.setAttribute('aria-modal', 'true');
+    this.overlay.setAttribute('aria-labelledby', 'inventory-screen-title');
+    this.overlay.innerHTML = `
+      <div class="inventory-screen-content">
+        <h2 id="inventory-screen-title" class="inventory-screen-title">Inventory</h2>
+        <p class="inventory-screen-count"></p>
+        <ul class="inventory-screen-grid"></ul>
+        <div class="inventory-screen-actions">
+          <button type="button" class="inventory-screen-done">Done</button>
+        </div>
+      </div>
+    `;
+
+    this.overlay
+      .querySelector('.inventory-screen-done')
+      .addEventListener('click', () => this.hide());
+
+    // Slots are rebuilt on every render, so delegate clicks
+    this.overlay
+      .querySelector('.inventory-screen-grid')
+      .addEventListener('click', (e) => {
+        const slot = e.target.closest('.inventory-screen-item');
+        if (slot && !slot.disabled) {
+          this.openProject(slot.dataset.project);
+        }
+      });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.code === 'Escape' && this.isShowing && !e.defaultPrevented) {
+        e.preventDefault();
+        this.hide();
+      }
+    });
+
+    document.body.appendChild(this.overlay);
+    this.addStyles();
+  }
+
+  addStyles() {
+    const style = document.createElement('style');
+    style.textContent = `
+      .inventory-screen {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.85);
+        display: none;
+        justify-content: center;
+        align-items: center;
+        z-index: 10000;
+        font-family: monospace;
+      }
+
+      .inventory-screen.visible {
+        display: flex;
+      }
+
+      .inventory-screen-content {
+        background: #1a1a1a;
+        border: 2px solid #FFD700;
+        border-radius: 10px;
+        color: white;
+        max-height: 85vh;
+        max-width: min(640px, 90vw);
+        overflow-y: auto;
+        padding: 24px 30px;
+      }
+
+      .inventory-screen-title {
+        color: #FFD700;
+        font-size: 20px;
+        margin: 0 0 8px;
+      }
+
+      .inventory-screen-count {
+        margin: 0 0 16px;
+        opacity: 0.7;
+      }
+
+      .inventory-screen-grid {
+        display: grid;
+        gap: 10px;
+        grid-template-columns: repeat(auto-fill, minmax(130px, 1fr));
+        list-style: none;
+        margin: 0;
+        padding: 0;
+      }
+
+      .inventory-screen-item {
+        align-items: center;
+        background: #333;
+        border: 1px solid #666;
+        border-radius: 5px;
+        color: white;
+        cursor: pointer;
+        display: flex;
+        flex-direction: column;
+        font-family: monospace;
+        gap: 4px;
+        height: 100%;
+        padding: 10px 8px;
+        width: 100%;
+      }
+
+      .inventory-screen-item:hover,
+      .inventory-screen-item:focus-visible {
+        background: #444;
+        border-color: #FFD700;
+      }
+
+      .inventory-screen-item:disabled {
+        border-style: dashed;
+        cursor: default;
+        opacity: 0.5;
+      }
+
+      .inventory-screen-item img,
+      .inventory-screen-unknown {
+        height: 48px;
+        image-rendering: pixelated;
+        width: 48px;
+      }
+
+      .inventory-screen-unknown {
+        color: #888;
+        font-size: 32px;
+        line-height: 48px;
+      }
+
+      .inventory-screen-name {
+        font-weight: bold;
+      }
+
+      .inventory-screen-detail {
+        font-size: 11px;
+        opacity: 0.7;
+      }
+
+      .inventory-screen-actions {
+        display: flex;
+        justify-content: flex-end;
+        margin-top: 16px;
+      }
+
+      .inventory-screen-actions button {
+        background: #333;
+        border: 1px solid #666;
+        border-radius: 5px;
+        color: white;
+        cursor: pointer;
+        font-family: monospace;
+        padding: 8px 16px;
+      }
+
+      .inventory-screen-actions button:hover {
+        background: #444;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  // One slot per project with a collectible, in world order
+  render() {
+    const found = new Map(getInventory().map((item) => [item.projectId, item]));
+    const projects = ProjectManager.getAllProjects().filter(
+      (project) => project.collectible
+    );
+    const grid = this.overlay.querySelector('.inventory-screen-grid');
+    grid.innerHTML = '';
+
+    projects.forEach((project) => {
+      const item = found.get(project.id);
+      const worldName = WorldRegistry.getDisplayName(project.world);
+      const cell = document.createElement('li');
+      const button = document.createElement('button');
+
+      button.type = 'button';
+      button.className = 'inventory-screen-item';
+      button.dataset.project = project.id;
+
+      if (item) {
+        const icon = document.createElement('img');
+        icon.src = `/images/collectibles/${item.collectible}.png`;
+        icon.alt = '';
+        // Not every collectible has art yet
+        icon.onerror = () => icon.remove();
+        button.appendChild(icon);
+
+        button.appendChild(this.createText('name', project.title));
+        button.appendChild(this.createText('detail', worldName));
+        if (item.collectedAt) {
+          button.appendChild(
+            this.createText(
+              'detail',
+              new Date(item.collectedAt).toLocaleDateString()
+            )
+          );
+        }
+        button.setAttribute(
+          'aria-label',
+          `${project.title}, found in ${worldName}. Open project`
+        );
+      } else {
+        button.disabled = true;
+        button.appendChild(this.createText('unknown', '?'));
+        button.appendChild(this.createText('detail', worldName));
+        button.setAttribute('aria-label', `Not found yet, in ${worldName}`);
+      }
+
+      cell.appendChild(button);
+      grid.appendChild(cell);
+    });
+
+    this.overlay.querySelector('.inventory-screen-count').textContent =
+      `${found.size} of ${projects.length} items found`;
+  }
+
+  createText(kind, text) {
+    const span = document.createElement('span');
+    span.className = `inventory-screen-${kind}`;
+    span.textContent = text;
+    return span;
+  }
+
+  openProject(projectId) {
+    const project = ProjectManager.getProjectById(projectId);
+    if (!project) return;
+
+    // Close every menu first so the modal pauses a running game
+    this.returnFocus = null;
+    this.hide();
+    if (this.game.pauseMenu.isShowing) {
+      this.game.pauseMenu.hide();
+    }
+
+    this.game.projectModal.show(project, this.game, {
+      collectibleType: project.collectible,
+    });
+  }
+
+  show() {
+    if (!this.overlay) {
+      this.create();
+    }
+
+    this.render();
+    this.returnFocus = document.activeElement;
+    this.overlay.classList.add('visible');
+    this.isShowing = true;
+    this.game.inputHandler.releaseAll();
+
+    if (this.game.state === 'playing') {
+      this.game.pause();
+      this.pausedGame = true;
+    }
+
+    const first =
+      this.overlay.querySelector('.inventory-screen-item:not(:disabled)') ||
+      this.overlay.querySelector('.inventory-screen-done');
+    first.focus();
+  }
+
+  hide() {
+    if (!this.overlay) return;
+
+    this.overlay.classList.remove('visible');
+    this.isShowing = false;
+
+    if (this.pausedGame) {
+      this.game.resume();
+      this.pausedGame = false;
+    }
+
+    if (this.returnFocus && this.returnFocus.focus) {
+      this.returnFocus.focus();
+    }
+    this.returnFocus = null;
+  }
+
+  toggle() {
+    if (this.isShowing) {
+      this.hide();
+    } else if (!(this.game.projectModal && this.game.projectModal.isVisible)) {
+      this.show();
+    }
+  }
+
+  destroy() {
+    if (this.overlay) {
+      this.overlay.remove();
+      this.overlay = null;
+    }
+    this.isShowing = false;
+  }
+}
@@ -0,0 +1,411 @@
+// List View
+// Plain, keyboard- and screen-reader-friendly page with every world and
+// project, for anyone who can't or doesn't want to platform to each mystery
+// box. Reached from the skip link, the pause menu or ?view=list, and works
+// without a game at all (canvas disabled or failed to start).
+
+import { ProjectManager } from '../world/ProjectData.js';
+import { WorldRegistry } from '../world/WorldRegistry.js';
+import { renderProjectContent } from './Modal.js';
+
+export class ListView {
+  /**
+   * @param {Game|null} game - Running game, or null when there isn't one
+   */
+  constructor(game = null) {
+    this.game = game;
+    this.overlay = null;
+    this.isShowing = false;
+    this.pausedGame = false;
+    this.returnFocus = null;
+  }
+
+  create() {
+    this.overlay = document.createElement('div');
+    this.overlay.id = 'portfolio-list';
+    this.overlay.className = 'list-view';
+    this.overlay.setAttribute('role', 'dialog');
+    this.overlay.setAttribute('aria-modal', 'true');
+    this.overlay.setAttribute('aria-labelledby', 'list-view-title');
+    this.overlay.innerHTML = `
+      <div class="list-view-page">
+        <header class="list-view-header">
+          <h1 id="list-view-title" class="list-view-title" tabindex="-1">Beau's Portfolio</h1>
+          <p class="list-view-intro">
+            Every project from the game, grouped by world.
+          </p>
+          <div class="list-view-actions"></div>
+        </header>
+        <nav class="list-view-toc" aria-label="Worlds">
+          <h2>Worlds</h2>
+          <ul></ul>
+        </nav>
+        <div class="list-view-worlds"></div>
+      </div>
+    `;
+
+    this.overlay
+      .querySelector('.list-view-actions')
+      .appendChild(this.createExitAction());
+
+    // Project buttons are rendered with the list, so delegate clicks
+    this.overlay
+      .querySelector('.list-view-worlds')
+      .addEventListener('click', (e) => {
+        const button = e.target.closest('[data-play-project]');
+        if (button) {
+          this.playProject(button.dataset.playProject);
+        }
+      });
+
+    document.addEventListener('keydown', (e) => {
+      if (
+        e.code === 'Escape' &&
+        this.isShowing &&
+        this.game &&
+        !e.defaultPrevented
+      ) {
+        e.preventDefault();
+        this.hide();
+      }
+    });
+
+    document.body.appendChild(this.overlay);
+    this.addStyles();
+    this.render();
+  }
+
+  // Back to the running game, or a link that starts one
+  createExitAction() {
+    if (this.game) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'list-view-button';
+      button.textContent = 'Back to game';
+      button.addEventListener('click', () => this.hide());
+      return button;
+    }
+
+    const url = new URL(window.location.href);
+    url.searchParams.delete('view');
+    url.hash = '';
+
+    const link = document.createElement('a');
+    link.className = 'list-view-button';
+    link.href = url.toString();
+    link.textContent = 'Play the game instead';
+    return link;
+  }
+
+  addStyles() {
+    const style = document.createElement('style');
+    style.textContent = `
+      .list-view {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: #1a1a1a;
+        color: #ddd;
+        display: none;
+        overflow-y: auto;
+        z-index: 10000;
+        font-family: monospace;
+        line-height: 1.6;
+      }
+
+      .list-view.visible {
+        display: block;
+      }
+
+      .list-view-page {
+        margin: 0 auto;
+        max-width: 760px;
+        padding: 32px 20px 60px;
+      }
+
+      .list-view-title {
+        color: #FFD700;
+        font-size: 28px;
+        margin: 0 0 8px;
+      }
+
+      .list-view-title:focus {
+        outline: none;
+      }
+
+      .list-view-intro {
+        margin: 0 0 16px;
+      }
+
+      .list-view-button {
+        background: #333;
+        border: 1px solid #666;
+        border-radius: 5px;
+        color: white;
+        cursor: pointer;
+        display: inline-block;
+        font-family: monospace;
+        font-size: 14px;
+        padding: 8px 16px;
+        text-decoration: none;
+      }
+
+      .list-view-button:hover,
+      .list-view-button:focus-visible {
+        background: #444;
+        border-color: #FFD700;
+      }
+
+      .list-view-toc {
+        border-bottom: 1px solid #444;
+        border-top: 1px solid #444;
+        margin: 24px 0;
+        padding: 8px 0 16px;
+      }
+
+      .list-view-toc h2 {
+        color: #fff;
+        font-size: 18px;
+      }
+
+      .list-view a {
+        color: #4A9EFF;
+      }
+
+      .list-view-world {
+        margin-bottom: 40px;
+      }
+
+      .list-view-world > h2 {
+        border-bottom: 2px solid var(--world-color, #666);
+        color: #fff;
+        padding-bottom: 4px;
+      }
+
+      .list-view-project {
+        background: rgba(255, 255, 255, 0.03);
+        border-left: 4px solid var(--world-color, #666);
+        border-radius: 0 8px 8px 0;
+        margin: 20px 0;
+        padding: 12px 20px;
+      }
+
+      .list-view-project > h3 {
+        color: #fff;
+        margin: 0;
+      }
+
+      .list-view-subtitle {
+        margin: 0 0 8px;
+        opacity: 0.8;
+      }
+
+      .list-view-content img {
+        border-radius: 8px;
+        height: auto;
+        max-width: 100%;
+      }
+
+      .list-view-content blockquote {
+        border-left: 4px solid #4A9EFF;
+        margin: 15px 0;
+        padding: 5px 15px;
+      }
+
+      .list-view-content pre {
+        background: rgba(0, 0, 0, 0.4);
+        border-radius: 8px;
+        overflow-x: auto;
+        padding: 12px 15px;
+      }
+
+      .list-view-content table {
+        border-collapse: collapse;
+        width: 100%;
+      }
+
+      .list-view-content th,
+      .list-view-content td {
+        border: 1px solid #444;
+        padding: 6px 10px;
+      }
+
+      .list-view-content .project-embed iframe {
+        aspect-ratio: 16 / 9;
+        border: 0;
+        border-radius: 8px;
+        width: 100%;
+      }
+
+      @media (prefers-reduced-motion: no-preference) {
+        .list-view {
+          scroll-behavior: smooth;
+        }
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  // Worlds in registry order (hub first), each with its projects. Worlds
+  // without projects are left out.
+  render() {
+    const projectsByWorld = new Map();
+    ProjectManager.getAllProjects().forEach((project) => {
+      if (!projectsByWorld.has(project.world)) {
+        projectsByWorld.set(project.world, []);
+      }
+      projectsByWorld.get(project.world).push(project);
+    });
+
+    const toc = this.overlay.querySelector('.list-view-toc ul');
+    const worlds = this.overlay.querySelector('.list-view-worlds');
+    toc.innerHTML = '';
+    worlds.innerHTML = '';
+
+    WorldRegistry.getAllWorlds().forEach((world) => {
+      const projects = projectsByWorld.get(world.id);
+      if (!projects) return;
+
+      const sectionId = `list-view-world-${world.id}`;
+      const tocItem = document.createElement('li');
+      const tocLink = document.createElement('a');
+      tocLink.href = `#${sectionId}`;
+      tocLink.textContent = `${world.name} (${projects.length})`;
+      tocItem.appendChild(tocLink);
+      toc.appendChild(tocItem);
+
+      const section = document.createElement('section');
+      section.id = sectionId;
+      section.className = 'list-view-world';
+      section.style.setProperty('--world-color', world.themeColor);
+      section.setAttribute('aria-labelledby', `${sectionId}-title`);
+
+      const heading = document.createElement('h2');
+      heading.id = `${sectionId}-title`;
+      heading.textContent = world.name;
+      section.appendChild(heading);
+
+      if (world.description) {
+        const description = document.createElement('p');
+        description.textContent = world.description;
+        section.appendChild(description);
+      }
+
+      projects.forEach((project) => {
+        section.appendChild(this.createProject(project));
+      });
+
+      worlds.appendChild(section);
+    });
+  }
+
+  createProject(project) {
+    const article = document.createElement('article');
+    article.className = 'list-view-project';
+    article.id = `list-view-project-${project.id}`;
+    article.setAttribute('aria-labelledby', `${article.id}-title`);
+
+    const title = document.createElement('h3');
+    title.id = `${article.id}-title`;
+    title.textContent = project.title;
+    article.appendChild(title);
+
+    if (project.subtitle) {
+      const subtitle = document.createElement('p');
+      subtitle.className = 'list-view-subtitle';
+      subtitle.textContent = project.subtitle;
+      article.appendChild(subtitle);
+    }
+
+    // Same renderer and sanitizer as the in-game modal
+    const content = document.createElement('div');
+    content.className = 'list-view-content';
+    renderProjectContent(project, content);
+    article.appendChild(content);
+
+    if (this.game) {
+      const play = document.createElement('button');
+      play.type = 'button';
+      play.className = 'list-view-button';
+      play.dataset.playProject = project.id;
+      play.textContent = 'Find it in the game';
+      play.setAttribute('aria-label', `Find ${project.title} in the game`);
+      article.appendChild(play);
+    }
+
+    return article;
+  }
+
+  // Jump to the project's mystery box, the same way a ?project= link does
+  playProject(projectId) {
+    // Close every menu first so the modal pauses a running game
+    this.returnFocus = null;
+    this.hide();
+    if (this.game.pauseMenu.isShowing) {
+      this.game.pauseMenu.hide();
+    }
+
+    this.game.worldTransitionManager.openProjectFromUrl(projectId);
+  }
+
+  show() {
+    if (!this.overlay) {
+      this.create();
+    }
+
+    this.returnFocus = document.activeElement;
+    this.overlay.classList.add('visible');
+    this.isShowing = true;
+
+    if (this.game) {
+      // Keys belong to the page's links and buttons while it's open
+      this.game.inputHandler.setEnabled(false, this);
+      if (this.game.state === 'playing') {
+        this.game.pause();
+        this.pausedGame = true;
+      }
+    }
+
+    // Screen readers start reading from the page title
+    this.overlay.scrollTop = 0;
+    this.overlay.querySelector('.list-view-title').focus();
+  }
+
+  hide() {
+    if (!this.overlay) return;
+
+    this.overlay.classList.remove('visible');
+    this.isShowing = false;
+
+    if (this.game) {
+      this.game.inputHandler.setEnabled(true, this);
+    }
+    if (this.pausedGame) {
+      this.game.resume();
+      this.pausedGame = false;
+    }
+
+    if (this.returnFocus && this.returnFocus.focus) {
+      this.returnFocus.focus();
+    }
+    this.returnFocus = null;
+  }
+
+  toggle() {
+    if (this.isShowing) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  destroy() {
+    if (this.overlay) {
+      this.overlay.remove();
+      this.overlay = null;
+    }
+    this.isShowing = false;
+  }
+}
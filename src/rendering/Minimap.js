@@ -0,0 +1,185 @@
+// Minimap
+// Small overview of the loaded world in the HUD's top-right corner:
+// platforms, mystery boxes colored by state, doors, the player and the
+// camera's view. drawWorldLayout() is shared with the world map screen,
+// which draws every world the same way from its config.
+
+import { UI } from '../config.js';
+import { isDoorDiscovered } from '../world/SaveData.js';
+
+const { MINIMAP } = UI;
+const DOOR_WIDTH = 60;
+const DOOR_HEIGHT = 80;
+
+/**
+ * Draw a world layout scaled into a rectangle.
+ * Layout: { width, groundLevel, platforms: [{ x, y, width, height }],
+ * boxes: [{ x, y, width, height, state }],
+ * doors: [{ x, y, color, discovered }], player?: { x, y },
+ * view?: { x, y, width, height } }, all in world coordinates with x/y at
+ * the top-left.
+ * @param {CanvasRenderingContext2D} ctx - Context to draw into
+ * @param {Object} layout - What to draw
+ * @param {{x: number, y: number, width: number, height: number}} rect - Where
+ */
+export function drawWorldLayout(ctx, layout, rect) {
+  // Fit the occupied height rather than the full (mostly empty) sky
+  const tops = [
+    ...layout.platforms.map((platform) => platform.y),
+    ...layout.doors.map((door) => door.y),
+    ...layout.boxes.map((box) => box.y),
+  ];
+  const top = Math.min(layout.groundLevel, ...tops) - 20;
+  const bottom = layout.groundLevel + 20;
+  const scaleX = rect.width / layout.width;
+  const scaleY = rect.height / (bottom - top);
+  const toX = (x) => rect.x + x * scaleX;
+  const toY = (y) => rect.y + (y - top) * scaleY;
+
+  ctx.save();
+
+  ctx.fillStyle = MINIMAP.COLORS.BACKGROUND;
+  ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+
+  // Nothing spills out of the frame, e.g. a player falling off the world
+  ctx.beginPath();
+  ctx.rect(rect.x, rect.y, rect.width, rect.height);
+  ctx.clip();
+
+  ctx.fillStyle = MINIMAP.COLORS.PLATFORM;
+  layout.platforms.forEach((platform) => {
+    ctx.fillRect(
+      toX(platform.x),
+      toY(platform.y),
+      Math.max(1, platform.width * scaleX),
+      Math.max(1, platform.height * scaleY)
+    );
+  });
+
+  layout.doors.forEach((door) => {
+    ctx.globalAlpha = door.discovered ? 1 : 0.35;
+    ctx.fillStyle = door.color;
+    ctx.fillRect(
+      toX(door.x),
+      toY(door.y),
+      Math.max(3, DOOR_WIDTH * scaleX),
+      Math.max(4, DOOR_HEIGHT * scaleY)
+    );
+  });
+  ctx.globalAlpha = 1;
+
+  layout.boxes.forEach((box) => {
+    ctx.fillStyle = MINIMAP.COLORS[box.state] || MINIMAP.COLORS.inactive;
+    ctx.fillRect(
+      toX(box.x + box.width / 2) - MINIMAP.BOX_SIZE / 2,
+      toY(box.y + box.height / 2) - MINIMAP.BOX_SIZE / 2,
+      MINIMAP.BOX_SIZE,
+      MINIMAP.BOX_SIZE
+    );
+  });
+
+  if (layout.view) {
+    ctx.strokeStyle = MINIMAP.COLORS.VIEWPORT;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(
+      Math.round(toX(layout.view.x)) + 0.5,
+      Math.round(toY(layout.view.y)) + 0.5,
+      Math.round(layout.view.width * scaleX),
+      Math.round(layout.view.height * scaleY)
+    );
+  }
+
+  if (layout.player) {
+    ctx.fillStyle = MINIMAP.COLORS.PLAYER;
+    ctx.beginPath();
+    ctx.arc(
+      toX(layout.player.x),
+      toY(layout.player.y),
+      MINIMAP.PLAYER_RADIUS,
+      0,
+      Math.PI * 2
+    );
+    ctx.fill();
+  }
+
+  ctx.restore();
+
+  ctx.strokeStyle = MINIMAP.COLORS.BORDER;
+  ctx.lineWidth = 1;
+  ctx.strokeRect(rect.x + 0.5, rect.y + 0.5, rect.width - 1, rect.height - 1);
+}
+
+export class Minimap {
+  constructor(game) {
+    this.game = game;
+  }
+
+  // Layout of the loaded world as it is right now - moving platforms where
+  // they are, broken ones gone
+  getLayout() {
+    const manager = this.game.worldTransitionManager;
+    const world = manager.getCurrentWorldInstance();
+    if (!world || !world.platforms) return null;
+    const worldId = manager.getCurrentWorldId();
+
+    const { width, groundLevel } = world.getDimensions();
+    const platforms = [];
+    world.platforms.forEach((platform) => {
+      const type = platform.data && platform.data.type;
+      const broken = platform.behavior && platform.behavior.state === 'broken';
+      // Invisible platforms are secrets, broken ones aren't there right now
+      if (type === 'invisible' || broken) return;
+
+      const { min, max } = platform.body.bounds;
+      platforms.push({
+        x: min.x,
+        y: min.y,
+        width: max.x - min.x,
+        height: max.y - min.y,
+      });
+    });
+
+    return {
+      width,
+      groundLevel,
+      platforms,
+      boxes: this.game.mysteryBoxes.map((box) => ({
+        x: box.x,
+        y: box.y,
+        width: box.width,
+        height: box.height,
+        state: box.state,
+      })),
+      doors: (this.game.doors || []).map((door) => ({
+        x: door.x,
+        y: door.y,
+        color: door.color,
+        discovered: isDoorDiscovered(worldId, door.id),
+      })),
+      player: { x: this.game.player.x, y: this.game.player.y },
+      view: this.game.camera.getViewRect(),
+    };
+  }
+
+  /**
+   * Draw in screen space
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {number} top - y of the minimap's top edge
+   * @param {number} right - x of the minimap's right edge
+   */
+  draw(ctx, top, right) {
+    const layout = this.getLayout();
+    if (!layout) return;
+
+    const width = Math.min(
+      MINIMAP.WIDTH,
+      this.game.canvas.width * MINIMAP.MAX_SCREEN_FRACTION
+    );
+    drawWorldLayout(ctx, layout, {
+      x: right - width,
+      y: top,
+      width,
+      height: MINIMAP.HEIGHT,
+    });
+  }
+}
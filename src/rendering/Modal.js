@@ -2,13 +2,59 @@
 // Displays full project information when a collectible is collected
 
 import { gsap } from 'gsap';
-import { isMobile } from '../utils/responsive.js';
+import { isMobile, prefersReducedMotion } from '../utils/responsive.js';
+import { renderMarkdown, getEmbedSrc } from '../utils/markdown.js';
+import { sanitizeHTML } from '../utils/sanitize.js';
+import { ProjectManager } from '../world/ProjectData.js';
+
+// Elements Tab can land on inside the dialog
+const FOCUSABLE =
+  'a[href], button:not([disabled]), iframe, input:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Render a project's writeup into a container: Markdown or HTML, sanitized,
+ * with video embeds mounted. Shared by the modal and the list view.
+ * @param {Object} project - Project from ProjectData
+ * @param {HTMLElement} container - Element to fill
+ */
+export function renderProjectContent(project, container) {
+  // Support both new 'content' field and legacy 'description' field
+  const content =
+    project.content || project.description || 'No content available.';
+  const html =
+    project.contentFormat === 'markdown' ? renderMarkdown(content) : content;
+
+  container.innerHTML = sanitizeHTML(html);
+  mountEmbeds(container);
+}
+
+// Swap Markdown embed placeholders for their players. Done after sanitizing
+// so iframes never have to pass the sanitizer.
+function mountEmbeds(container) {
+  container.querySelectorAll('.project-embed').forEach((placeholder) => {
+    const src = getEmbedSrc(
+      placeholder.dataset.embed,
+      placeholder.dataset.id || ''
+    );
+    if (!src) return; // Keep the fallback link
+
+    const iframe = document.createElement('iframe');
+    iframe.src = src;
+    iframe.title = `${placeholder.dataset.embed} video`;
+    iframe.loading = 'lazy';
+    iframe.allow = 'encrypted-media; picture-in-picture; fullscreen';
+    iframe.referrerPolicy = 'strict-origin-when-cross-origin';
+    placeholder.replaceChildren(iframe);
+  });
+}
 
 export class Modal {
   constructor() {
     this.isVisible = false;
     this.modalElement = null;
     this.currentProject = null;
+    this.isClosing = false;
+    this.returnFocus = null;
 
     this.createModalHTML();
     this.setupEventListeners();
@@ -35,6 +81,9 @@ export class Modal {
     const modal = document.createElement('div');
     modal.id = 'project-modal';
     modal.className = 'project-modal';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-labelledby', 'project-title');
     // Use responsive state manager
 
     modal.style.cssText = `
@@ -57,7 +106,7 @@ export class Modal {
     `;
 
     modal.innerHTML = `
-      <button id="modal-close" style="
+      <button type="button" id="modal-close" aria-label="Close project" style="
         position: absolute;
         top: 15px;
         right: 20px;
@@ -71,19 +120,35 @@ export class Modal {
       ">×</button>
       
       <div id="modal-content">
-        <h2 id="project-title" style="
+        <h2 id="project-title" tabindex="-1" style="
           color: #ccc;
           font-size: 24px;
           margin: 0 0 20px 0;
           text-align: center;
           font-family: monospace;
+          outline: none;
         "></h2>
 
+        <nav id="modal-nav" aria-label="Projects" style="
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 10px;
+          margin: -10px 0 15px 0;
+        ">
+          <button type="button" id="modal-prev" class="modal-nav-button">&larr; Previous</button>
+          <span id="modal-position" aria-live="polite" style="
+            color: #888;
+            font-size: 12px;
+          "></span>
+          <button type="button" id="modal-next" class="modal-nav-button">Next &rarr;</button>
+        </nav>
+
         <div id="project-content" style="
           line-height: 1.6;
           color: #ddd;
           overflow-y: auto;
-          height: calc(100% - 60px);
+          height: calc(100% - 110px);
           padding-right: 10px;
           margin-right: -10px;
           scrollbar-width: none;
@@ -94,6 +159,27 @@ export class Modal {
         #project-content::-webkit-scrollbar {
           display: none;
         }
+        #project-modal button:focus-visible,
+        #project-content a:focus-visible {
+          outline: 2px solid #FFD700;
+          outline-offset: 2px;
+        }
+        .modal-nav-button {
+          background: #333;
+          border: 1px solid #666;
+          border-radius: 5px;
+          color: white;
+          cursor: pointer;
+          font-family: monospace;
+          padding: 6px 12px;
+        }
+        .modal-nav-button:hover {
+          background: #444;
+        }
+        .modal-nav-button:disabled {
+          cursor: default;
+          opacity: 0.4;
+        }
         #project-content img {
           max-width: 100%;
           height: auto;
@@ -122,6 +208,43 @@ export class Modal {
           margin-top: 20px;
           margin-bottom: 10px;
         }
+        #project-content code {
+          background: rgba(255, 255, 255, 0.08);
+          border-radius: 4px;
+          padding: 1px 5px;
+        }
+        #project-content pre {
+          background: rgba(0, 0, 0, 0.4);
+          border-radius: 8px;
+          overflow-x: auto;
+          padding: 12px 15px;
+        }
+        #project-content pre code {
+          background: none;
+          padding: 0;
+        }
+        #project-content table {
+          border-collapse: collapse;
+          margin: 15px 0;
+          width: 100%;
+        }
+        #project-content th, #project-content td {
+          border: 1px solid #444;
+          padding: 6px 10px;
+        }
+        #project-content th {
+          background: rgba(255, 255, 255, 0.05);
+          color: #fff;
+        }
+        #project-content .project-embed {
+          margin: 15px 0;
+        }
+        #project-content .project-embed iframe {
+          aspect-ratio: 16 / 9;
+          border: 0;
+          border-radius: 8px;
+          width: 100%;
+        }
       </style>
       </div>
     `;
@@ -149,10 +272,23 @@ export class Modal {
       this.hide(currentGame);
     });
 
-    // Close with Escape key
+    // Previous / next project
+    document.getElementById('modal-prev').addEventListener('click', () => {
+      this.showAdjacentProject(-1);
+    });
+    document.getElementById('modal-next').addEventListener('click', () => {
+      this.showAdjacentProject(1);
+    });
+
+    // Close with Escape, keep Tab inside the dialog
     document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && this.isVisible) {
+      if (!this.isVisible || this.isClosing) return;
+
+      if (e.key === 'Escape' && !e.defaultPrevented) {
+        e.preventDefault();
         this.hide(currentGame);
+      } else if (e.key === 'Tab') {
+        this.trapFocus(e);
       }
     });
 
@@ -165,10 +301,12 @@ export class Modal {
   show(projectData, game = null, collectibleData = null) {
     if (this.isVisible) return;
 
+    this.returnFocus = document.activeElement;
     this.currentProject = projectData;
     this.currentGame = game; // Store game reference
     this.currentCollectible = collectibleData; // Store collectible data
     this.populateModal(projectData);
+    this.updateNavigation();
 
     // Add collectible sprite to modal if available
     this.addCollectibleSprite();
@@ -181,35 +319,50 @@ export class Modal {
     this.isVisible = true;
     this.modalElement.style.display = 'block';
 
+    // Put the project in the address bar so the link can be shared
+    if (game && game.worldTransitionManager) {
+      game.worldTransitionManager.setProjectUrl(projectData);
+    }
+
     // Pause the game and zoom camera on player and enter modal mode if game reference is provided
     if (game && game.camera && game.player) {
       game.pause(); // Pause game updates and input
+      game.inputHandler.setEnabled(false, this); // Keys go to the dialog
       game.camera.zoomToPlayerWithModal(1.5, 0.8); // 1.5x zoom, 0.8s duration, positioned in left half
     }
 
-    // Animate overlay fade in
-    gsap.to(this.modalElement, {
-      opacity: 1,
-      duration: 0.4,
-      ease: 'power2.out',
-    });
+    if (prefersReducedMotion()) {
+      // No slide or stagger, just show it
+      gsap.set(this.modalElement, { opacity: 1 });
+      gsap.set(this.modal, { x: 0, opacity: 1 });
+    } else {
+      // Animate overlay fade in
+      gsap.to(this.modalElement, {
+        opacity: 1,
+        duration: 0.4,
+        ease: 'power2.out',
+      });
 
-    // Animate in - slide from right
-    gsap.to(this.modal, {
-      x: 0,
-      opacity: 1,
-      duration: 0.6,
-      ease: 'power3.out',
-    });
+      // Animate in - slide from right
+      gsap.to(this.modal, {
+        x: 0,
+        opacity: 1,
+        duration: 0.6,
+        ease: 'power3.out',
+      });
 
-    gsap.from('#modal-content > *', {
-      x: 50,
-      opacity: 0,
-      duration: 0.7,
-      stagger: 0.08,
-      ease: 'power2.out',
-      delay: 0.3,
-    });
+      gsap.from('#modal-content > *', {
+        x: 50,
+        opacity: 0,
+        duration: 0.7,
+        stagger: 0.08,
+        ease: 'power2.out',
+        delay: 0.3,
+      });
+    }
+
+    // Screen readers start at the project title
+    document.getElementById('project-title').focus({ preventScroll: true });
 
     console.log('Showing project modal for:', projectData.title);
   }
@@ -302,6 +455,8 @@ export class Modal {
     // Add canvas to modal overlay (not modal itself)
     this.modalElement.appendChild(canvas);
 
+    if (prefersReducedMotion()) return;
+
     // Animate the collectible sprite in
     gsap.fromTo(
       canvas,
@@ -338,80 +493,166 @@ export class Modal {
     if (collectibleSprite) {
       collectibleSprite.remove();
     }
-    if (!this.isVisible) return;
+    if (!this.isVisible || this.isClosing) return;
+    this.isClosing = true;
+
+    if (game && game.worldTransitionManager) {
+      game.worldTransitionManager.clearProjectUrl();
+    }
+
+    const reduceMotion = prefersReducedMotion();
 
     // Resume game and zoom camera back out and exit modal mode if game reference is provided
     if (game && game.camera) {
       game.resume(); // Resume game updates and input
-      game.camera.zoomOutFromModal(0.5); // 0.5s duration to zoom back out and exit modal mode
+      game.inputHandler.setEnabled(true, this);
+      game.camera.zoomOutFromModal(reduceMotion ? 0 : 0.5); // Zoom back out (instantly with reduced motion) and exit modal mode
     }
 
-    // Animate overlay fade out
-    gsap.to(this.modalElement, {
-      opacity: 0,
-      duration: 0.3,
-      ease: 'power2.in',
-    });
+    this.restoreFocus(game);
 
-    // Animate out - slide to right
-    gsap.to(this.modal, {
-      x: '100%',
-      opacity: 0,
-      duration: 0.4,
-      ease: 'power2.in',
-      onComplete: () => {
-        this.modalElement.style.display = 'none';
-        this.isVisible = false;
-        // Reset position for next time
-        gsap.set(this.modal, { x: '100%' });
-      },
-    });
+    const finishHide = () => {
+      this.modalElement.style.display = 'none';
+      this.isVisible = false;
+      this.isClosing = false;
+      // Reset position for next time
+      gsap.set(this.modal, { x: '100%' });
+    };
+
+    if (reduceMotion) {
+      gsap.set(this.modalElement, { opacity: 0 });
+      gsap.set(this.modal, { opacity: 0 });
+      finishHide();
+    } else {
+      // Animate overlay fade out
+      gsap.to(this.modalElement, {
+        opacity: 0,
+        duration: 0.3,
+        ease: 'power2.in',
+      });
+
+      // Animate out - slide to right
+      gsap.to(this.modal, {
+        x: '100%',
+        opacity: 0,
+        duration: 0.4,
+        ease: 'power2.in',
+        onComplete: finishHide,
+      });
+    }
 
     console.log('Hiding project modal');
   }
 
+  // Back to whatever had focus before the modal opened, or the game canvas
+  // when that was nothing in particular (opened by a mystery box)
+  restoreFocus(game) {
+    const previous = this.returnFocus;
+    this.returnFocus = null;
+
+    if (
+      previous &&
+      previous !== document.body &&
+      previous.isConnected &&
+      previous.focus
+    ) {
+      previous.focus();
+    } else if (game && game.canvas) {
+      game.canvas.focus({ preventScroll: true });
+    }
+  }
+
+  // Wrap Tab and Shift+Tab around the dialog's focusable elements
+  trapFocus(e) {
+    const focusable = Array.from(this.modal.querySelectorAll(FOCUSABLE));
+    if (focusable.length === 0) {
+      e.preventDefault();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+    const outside = !this.modal.contains(active);
+
+    if (e.shiftKey && (active === first || outside)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (active === last || outside)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  // Previous/next follow projects.json order across all worlds
+  getProjectIndex() {
+    if (!this.currentProject) return -1;
+    return ProjectManager.getAllProjects().findIndex(
+      (project) => project.id === this.currentProject.id
+    );
+  }
+
+  updateNavigation() {
+    const projects = ProjectManager.getAllProjects();
+    const index = this.getProjectIndex();
+    const prev = index > 0 ? projects[index - 1] : null;
+    const next = index !== -1 ? projects[index + 1] : null;
+    const prevButton = document.getElementById('modal-prev');
+    const nextButton = document.getElementById('modal-next');
+
+    prevButton.disabled = !prev;
+    prevButton.setAttribute(
+      'aria-label',
+      prev ? `Previous project: ${prev.title}` : 'No previous project'
+    );
+    nextButton.disabled = !next;
+    nextButton.setAttribute(
+      'aria-label',
+      next ? `Next project: ${next.title}` : 'No next project'
+    );
+
+    document.getElementById('modal-position').textContent =
+      index !== -1 ? `Project ${index + 1} of ${projects.length}` : '';
+  }
+
+  showAdjacentProject(step) {
+    const index = this.getProjectIndex();
+    if (index === -1) return;
+
+    const project = ProjectManager.getAllProjects()[index + step];
+    if (!project) return;
+
+    this.currentProject = project;
+    this.currentCollectible = project.collectible
+      ? { collectibleType: project.collectible }
+      : null;
+    this.populateModal(project);
+    this.updateNavigation();
+    this.addCollectibleSprite();
+    document.getElementById('project-content').scrollTop = 0;
+
+    const game = this.currentGame;
+    if (game && game.worldTransitionManager) {
+      game.worldTransitionManager.setProjectUrl(project, { replace: true });
+    }
+
+    // At the first or last project the pressed button is now disabled
+    if (document.activeElement && document.activeElement.disabled) {
+      document.getElementById('project-title').focus();
+    }
+  }
+
   populateModal(project) {
     // Title
     document.getElementById('project-title').textContent = project.title;
 
-    // Rich content - support both new 'content' field and legacy 'description' field
-    const contentContainer = document.getElementById('project-content');
-    const content =
-      project.content || project.description || 'No content available.';
-
-    // For now, treat content as HTML (in the future, could add markdown parsing)
-    // Basic XSS protection - sanitize dangerous elements
-    const sanitizedContent = this.sanitizeHTML(content);
-    contentContainer.innerHTML = sanitizedContent;
+    renderProjectContent(project, document.getElementById('project-content'));
   }
 
-  // Basic HTML sanitization to prevent XSS attacks
+  // Allowlist sanitization (utils/sanitize.js) - project content may come
+  // from outside contributors
   sanitizeHTML(html) {
-    // Create a temporary div to parse the HTML
-    const temp = document.createElement('div');
-    temp.innerHTML = html;
-
-    // Remove potentially dangerous elements and attributes
-    const dangerousElements = ['script', 'iframe', 'object', 'embed', 'form'];
-    dangerousElements.forEach((tag) => {
-      const elements = temp.querySelectorAll(tag);
-      elements.forEach((el) => el.remove());
-    });
-
-    // Remove dangerous attributes
-    const allElements = temp.querySelectorAll('*');
-    allElements.forEach((el) => {
-      // Remove event handlers and dangerous attributes
-      const attrs = el.attributes;
-      for (let i = attrs.length - 1; i >= 0; i--) {
-        const attr = attrs[i];
-        if (attr.name.startsWith('on') || attr.name === 'javascript:') {
-          el.removeAttribute(attr.name);
-        }
-      }
-    });
-
-    return temp.innerHTML;
+    return sanitizeHTML(html);
   }
 
   destroy() {
@@ -1,3 +1,5 @@
+import { rand } from '../utils/math.js';
+
 export class Particle {
   constructor(x, y, options = {}) {
     this.x = x;
@@ -72,13 +74,13 @@ export class Particles {
     for (let i = 0; i < numParticles; i++) {
       // Spread particles more horizontally, less downward
       const angle = Math.PI * 0.75 + (Math.PI * 0.5 * i) / numParticles; // More horizontal spread
-      const speed = 3 + Math.random() * 2;
-      const size = 4 + Math.random() * 4; // Bigger particles
+      const speed = 3 + rand() * 2;
+      const size = 4 + rand() * 4; // Bigger particles
 
-      const particle = new Particle(x + (Math.random() - 0.5) * 20, y + 15, {
-        vx: Math.cos(angle) * speed * direction + (Math.random() - 0.5) * 3,
+      const particle = new Particle(x + (rand() - 0.5) * 20, y + 15, {
+        vx: Math.cos(angle) * speed * direction + (rand() - 0.5) * 3,
         vy: -Math.abs(Math.sin(angle)) * speed * 0.3, // Less upward velocity
-        life: 400 + Math.random() * 300, // 400-700ms - longer lasting
+        life: 400 + rand() * 300, // 400-700ms - longer lasting
         size: size,
         color: '#F5F5DC', // Beige/cream dust color instead of gray
         gravity: 0.05, // Less gravity so they float more
@@ -97,15 +99,15 @@ export class Particles {
     for (let i = 0; i < numParticles; i++) {
       // Same horizontal spread as ground jump
       const angle = Math.PI * 0.75 + (Math.PI * 0.5 * i) / numParticles; // More horizontal spread
-      const speed = 3 + Math.random() * 2;
-      const size = 4 + Math.random() * 4; // Same bigger particles
+      const speed = 3 + rand() * 2;
+      const size = 4 + rand() * 4; // Same bigger particles
 
-      const particle = new Particle(x + (Math.random() - 0.5) * 20, y, {
+      const particle = new Particle(x + (rand() - 0.5) * 20, y, {
         vx:
-          Math.cos(angle) * speed * (Math.random() > 0.5 ? 1 : -1) +
-          (Math.random() - 0.5) * 3,
+          Math.cos(angle) * speed * (rand() > 0.5 ? 1 : -1) +
+          (rand() - 0.5) * 3,
         vy: -Math.abs(Math.sin(angle)) * speed * 0.3, // Same less upward velocity
-        life: 400 + Math.random() * 300, // Same 400-700ms
+        life: 400 + rand() * 300, // Same 400-700ms
         size: size,
         color: '#F5F5DC', // Same beige/cream dust color
         gravity: 0.05, // Same less gravity
@@ -130,13 +132,13 @@ export class Particles {
 
     for (let i = 0; i < numParticles; i++) {
       const particle = new Particle(
-        x + (Math.random() - 0.5) * width,
-        y + (Math.random() - 0.5) * 50,
+        x + (rand() - 0.5) * width,
+        y + (rand() - 0.5) * 50,
         {
-          vx: (Math.random() - 0.5) * 0.5, // Very slow horizontal movement
-          vy: -0.2 + Math.random() * -0.3, // Slow upward drift
-          life: 8000 + Math.random() * 4000, // Long-lasting 8-12 seconds
-          size: 1 + Math.random() * 2, // Small particles
+          vx: (rand() - 0.5) * 0.5, // Very slow horizontal movement
+          vy: -0.2 + rand() * -0.3, // Slow upward drift
+          life: 8000 + rand() * 4000, // Long-lasting 8-12 seconds
+          size: 1 + rand() * 2, // Small particles
           color: '#F5F5DC', // Beige dust
           gravity: -0.001, // Negative gravity for floating effect
           friction: 0.999, // Almost no friction
@@ -154,13 +156,13 @@ export class Particles {
 
     for (let i = 0; i < numParticles; i++) {
       const particle = new Particle(
-        x + (Math.random() - 0.5) * width,
-        y + (Math.random() - 0.5) * 30,
+        x + (rand() - 0.5) * width,
+        y + (rand() - 0.5) * 30,
         {
-          vx: (Math.random() - 0.5) * 1, // Gentle floating
-          vy: -0.3 + Math.random() * -0.5, // Upward drift
-          life: 3000 + Math.random() * 2000, // 3-5 seconds
-          size: 2 + Math.random() * 3, // Small to medium
+          vx: (rand() - 0.5) * 1, // Gentle floating
+          vy: -0.3 + rand() * -0.5, // Upward drift
+          life: 3000 + rand() * 2000, // 3-5 seconds
+          size: 2 + rand() * 3, // Small to medium
           color: '#E6E6FA', // Lavender sparkle
           gravity: -0.002, // Float upward
           friction: 0.998,
@@ -178,13 +180,13 @@ export class Particles {
 
     for (let i = 0; i < numParticles; i++) {
       const particle = new Particle(
-        x + (Math.random() - 0.5) * 200,
-        y + (Math.random() - 0.5) * 100,
+        x + (rand() - 0.5) * 200,
+        y + (rand() - 0.5) * 100,
         {
-          vx: direction * (2 + Math.random() * 3), // Wind direction
-          vy: (Math.random() - 0.5) * 0.5, // Slight vertical variation
-          life: 4000 + Math.random() * 3000, // 4-7 seconds
-          size: 1 + Math.random() * 1.5, // Very small
+          vx: direction * (2 + rand() * 3), // Wind direction
+          vy: (rand() - 0.5) * 0.5, // Slight vertical variation
+          life: 4000 + rand() * 3000, // 4-7 seconds
+          size: 1 + rand() * 1.5, // Very small
           color: '#F0F8FF', // Alice blue (very light)
           gravity: 0,
           friction: 0.999,
@@ -211,40 +213,40 @@ export class Particles {
     const numAreas = 4;
 
     for (let i = 0; i < numAreas; i++) {
-      const x = visibleStartX + (visibleEndX - visibleStartX) * Math.random();
-      const y = cameraY + 200 + Math.random() * 400; // Middle to lower area
+      const x = visibleStartX + (visibleEndX - visibleStartX) * rand();
+      const y = cameraY + 200 + rand() * 400; // Middle to lower area
 
       // Randomly choose effect type based on location
-      const rand = Math.random();
+      const roll = rand();
 
       if (x < 600) {
         // Starting area - gentle dust and occasional sparkles
-        if (rand < 0.7) {
+        if (roll < 0.7) {
           this.createFloatingDust(x, y);
         } else {
           this.createMagicSparkles(x, y - 50);
         }
       } else if (x >= 200 && x <= 1000) {
         // Mystery box area - more magical effects
-        if (rand < 0.4) {
+        if (roll < 0.4) {
           this.createFloatingDust(x, y);
-        } else if (rand < 0.7) {
+        } else if (roll < 0.7) {
           this.createMagicSparkles(x, y - 100);
         } else {
-          this.createWindEffect(x, y, Math.random() > 0.5 ? 1 : -1);
+          this.createWindEffect(x, y, rand() > 0.5 ? 1 : -1);
         }
       } else if (x > 1100 && x < 1600) {
         // Elevated section - wind and floating effects
-        if (rand < 0.5) {
-          this.createWindEffect(x, y - 100, Math.random() > 0.5 ? 1 : -1);
-        } else if (rand < 0.8) {
+        if (roll < 0.5) {
+          this.createWindEffect(x, y - 100, rand() > 0.5 ? 1 : -1);
+        } else if (roll < 0.8) {
           this.createFloatingDust(x, y);
         } else {
           this.createMagicSparkles(x, y - 150);
         }
       } else {
         // Victory area - triumphant sparkles
-        if (rand < 0.6) {
+        if (roll < 0.6) {
           this.createMagicSparkles(x, y - 50);
         } else {
           this.createFloatingDust(x, y);
@@ -253,9 +255,9 @@ export class Particles {
     }
 
     // Occasionally create special atmospheric effects
-    if (Math.random() < 0.1) {
+    if (rand() < 0.1) {
       // 10% chance
-      this.createAtmosphericBeam(cameraX + Math.random() * 800, cameraY + 100);
+      this.createAtmosphericBeam(cameraX + rand() * 800, cameraY + 100);
     }
   }
 
@@ -265,13 +267,13 @@ export class Particles {
 
     for (let i = 0; i < numParticles; i++) {
       const particle = new Particle(
-        x + (Math.random() - 0.5) * 30,
-        y - Math.random() * 200, // Start higher up
+        x + (rand() - 0.5) * 30,
+        y - rand() * 200, // Start higher up
         {
-          vx: (Math.random() - 0.5) * 0.3, // Minimal horizontal movement
-          vy: 0.8 + Math.random() * 0.4, // Downward drift like sunbeam
-          life: 6000 + Math.random() * 3000, // 6-9 seconds
-          size: 2 + Math.random() * 4, // Medium particles
+          vx: (rand() - 0.5) * 0.3, // Minimal horizontal movement
+          vy: 0.8 + rand() * 0.4, // Downward drift like sunbeam
+          life: 6000 + rand() * 3000, // 6-9 seconds
+          size: 2 + rand() * 4, // Medium particles
           color: '#FFFACD', // Lemon chiffon (warm light)
           gravity: 0.001, // Very slight downward pull
           friction: 0.999,
@@ -0,0 +1,370 @@
+// Pause Menu
+// Opened with Esc, P or a gamepad's Start button, and automatically when the
+// tab is hidden or the window loses focus. Holds audio settings, the
+// inventory, world map, list view and restart / return-to-hub /
+// reset-progress actions.
+
+import { WorldRegistry } from '../world/WorldRegistry.js';
+
+export class PauseMenu {
+  constructor(game) {
+    this.game = game;
+    this.overlay = null;
+    this.isShowing = false;
+    this.confirmingReset = false;
+    this.returnFocus = null;
+  }
+
+  create() {
+    this.overlay = document.createElement('div');
+    this.overlay.id = 'pause-menu';
+    this.overlay.className = 'pause-menu';
+    this.overlay.setAttribute('role', 'dialog');
+    this.overlay.setAttribute('aria-modal', 'true');
+    this.overlay.setAttribute('aria-labelledby', 'pause-menu-title');
+    this.overlay.innerHTML = `
+      <div class="pause-menu-content">
+        <h2 id="pause-menu-title" class="pause-menu-title">Paused</h2>
+        <button type="button" class="pause-menu-button" data-action="resume">Resume</button>
+
+        <fieldset class="pause-menu-audio">
+          <legend>Audio</legend>
+          <label>
+            Music
+            <input type="range" min="0" max="100" step="5" data-setting="music">
+          </label>
+          <label>
+            Sound effects
+            <input type="range" min="0" max="100" step="5" data-setting="sfx">
+          </label>
+          <label class="pause-menu-checkbox">
+            <input type="checkbox" data-setting="mute">
+            Mute all
+          </label>
+        </fieldset>
+
+        <button type="button" class="pause-menu-button" data-action="inventory">Inventory</button>
+        <button type="button" class="pause-menu-button" data-action="map">World map</button>
+        <button type="button" class="pause-menu-button" data-action="controls">Controls</button>
+        <button type="button" class="pause-menu-button" data-action="list">List view</button>
+        <button type="button" class="pause-menu-button" data-action="restart">Restart world</button>
+        <button type="button" class="pause-menu-button" data-action="hub"></button>
+        <button type="button" class="pause-menu-button pause-menu-danger" data-action="reset">Reset progress</button>
+        <p class="pause-menu-status" role="status" aria-live="polite"></p>
+      </div>
+    `;
+
+    this.overlay
+      .querySelector('.pause-menu-content')
+      .addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (button && !button.disabled) {
+          this.handleAction(button.dataset.action);
+        }
+      });
+
+    this.overlay.querySelectorAll('[data-setting]').forEach((input) => {
+      input.addEventListener('input', () => this.applySetting(input));
+    });
+
+    // Esc toggles the menu. Skipped while another overlay owns Esc: the
+    // project modal, controls, inventory, map and list views close
+    // themselves. Game input is off while the menu is open, so the pause
+    // binding (P) is handled here too to close it again.
+    document.addEventListener('keydown', (e) => {
+      const closeKey =
+        this.isShowing &&
+        this.game.inputHandler.bindings.getAction(e.code) === 'pause';
+      if ((e.code !== 'Escape' && !closeKey) || e.defaultPrevented) return;
+      if (this.isCoveredByScreen()) return;
+
+      if (this.isShowing) {
+        e.preventDefault();
+        this.hide();
+      } else if (this.canOpen()) {
+        e.preventDefault();
+        this.show();
+      }
+    });
+
+    // Stop the game when the player looks away
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) this.autoPause();
+    });
+    window.addEventListener('blur', () => this.autoPause());
+
+    document.body.appendChild(this.overlay);
+    this.addStyles();
+  }
+
+  addStyles() {
+    const style = document.createElement('style');
+    style.textContent = `
+      .pause-menu {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.7);
+        display: none;
+        justify-content: center;
+        align-items: center;
+        z-index: 9000;
+        font-family: monospace;
+      }
+
+      .pause-menu.visible {
+        display: flex;
+      }
+
+      .pause-menu-content {
+        background: #1a1a1a;
+        border: 2px solid #FFD700;
+        border-radius: 10px;
+        color: white;
+        display: flex;
+        flex-direction: column;
+        gap: 10px;
+        max-height: 85vh;
+        min-width: 260px;
+        overflow-y: auto;
+        padding: 24px 30px;
+      }
+
+      .pause-menu-title {
+        color: #FFD700;
+        font-size: 24px;
+        margin: 0 0 6px;
+        text-align: center;
+      }
+
+      .pause-menu-button {
+        background: #333;
+        border: 1px solid #666;
+        border-radius: 5px;
+        color: white;
+        cursor: pointer;
+        font-family: monospace;
+        font-size: 15px;
+        padding: 10px 16px;
+      }
+
+      .pause-menu-button:hover,
+      .pause-menu-button:focus-visible {
+        background: #444;
+        border-color: #FFD700;
+      }
+
+      .pause-menu-button:disabled {
+        cursor: default;
+        opacity: 0.4;
+      }
+
+      .pause-menu-danger {
+        color: #FF6B6B;
+      }
+
+      .pause-menu-audio {
+        border: 1px solid #444;
+        border-radius: 5px;
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+        margin: 0;
+        padding: 8px 12px 12px;
+      }
+
+      .pause-menu-audio label {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        gap: 12px;
+      }
+
+      .pause-menu-checkbox {
+        justify-content: flex-start !important;
+      }
+
+      .pause-menu-status {
+        color: #FFAA00;
+        margin: 0;
+        min-height: 1.2em;
+        text-align: center;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  // Whether a screen opened from the menu is on top of it
+  isCoveredByScreen() {
+    const { controlsScreen, inventoryScreen, listView, worldMap } = this.game;
+    return Boolean(
+      (controlsScreen && controlsScreen.isShowing) ||
+        (inventoryScreen && inventoryScreen.isShowing) ||
+        (listView && listView.isShowing) ||
+        (worldMap && worldMap.isShowing)
+    );
+  }
+
+  // The menu only opens over normal play, not over another overlay
+  canOpen() {
+    const modal = this.game.projectModal;
+    return (
+      this.game.state === 'playing' &&
+      !(modal && modal.isVisible) &&
+      !this.isCoveredByScreen()
+    );
+  }
+
+  autoPause() {
+    if (!this.isShowing && this.canOpen()) {
+      this.show();
+    }
+  }
+
+  handleAction(action) {
+    switch (action) {
+      case 'resume':
+        this.hide();
+        break;
+      case 'inventory':
+        this.game.inventoryScreen.show();
+        break;
+      case 'map':
+        this.game.worldMap.show();
+        break;
+      case 'controls':
+        this.game.controlsScreen.show();
+        break;
+      case 'list':
+        this.game.listView.show();
+        break;
+      case 'restart':
+        this.hide();
+        this.game.restartWorld();
+        break;
+      case 'hub':
+        this.hide();
+        this.game.returnToHub();
+        break;
+      case 'reset':
+        // Wipes saved progress, so ask for a second click
+        if (!this.confirmingReset) {
+          this.confirmingReset = true;
+          this.setResetLabel();
+          this.setStatus(
+            'This clears all opened boxes, collected items and progress'
+          );
+        } else {
+          this.hide();
+          this.game.resetGameState();
+        }
+        break;
+    }
+  }
+
+  applySetting(input) {
+    const audio = this.game.audioManager;
+
+    switch (input.dataset.setting) {
+      case 'music':
+        audio.setMusicVolume(Number(input.value) / 100);
+        break;
+      case 'sfx':
+        audio.setSFXVolume(Number(input.value) / 100);
+        break;
+      case 'mute':
+        audio.setMuted(input.checked);
+        break;
+    }
+  }
+
+  // Reflect the current game and audio state in the controls
+  refresh() {
+    const audio = this.game.audioManager;
+    const hubId = WorldRegistry.getHubId();
+    const inHub =
+      this.game.worldTransitionManager.getCurrentWorldId() === hubId;
+
+    this.overlay.querySelector('[data-setting="music"]').value = Math.round(
+      audio.getMusicVolume() * 100
+    );
+    this.overlay.querySelector('[data-setting="sfx"]').value = Math.round(
+      audio.getSFXVolume() * 100
+    );
+    this.overlay.querySelector('[data-setting="mute"]').checked =
+      audio.isMuted();
+
+    const hubButton = this.overlay.querySelector('[data-action="hub"]');
+    hubButton.textContent = `Return to ${WorldRegistry.getDisplayName(hubId)}`;
+    hubButton.disabled = inHub;
+
+    this.confirmingReset = false;
+    this.setResetLabel();
+    this.setStatus('');
+  }
+
+  setResetLabel() {
+    this.overlay.querySelector('[data-action="reset"]').textContent = this
+      .confirmingReset
+      ? 'Really reset progress?'
+      : 'Reset progress';
+  }
+
+  setStatus(message) {
+    this.overlay.querySelector('.pause-menu-status').textContent = message;
+  }
+
+  show() {
+    if (!this.overlay) {
+      this.create();
+    }
+
+    this.refresh();
+    this.returnFocus = document.activeElement;
+    this.overlay.classList.add('visible');
+    this.isShowing = true;
+    this.game.inputHandler.setEnabled(false, this);
+
+    if (this.game.state === 'playing') {
+      this.game.pause();
+    }
+
+    this.overlay.querySelector('[data-action="resume"]').focus();
+  }
+
+  hide() {
+    if (!this.overlay) return;
+
+    this.overlay.classList.remove('visible');
+    this.isShowing = false;
+    this.game.inputHandler.setEnabled(true, this);
+
+    if (this.game.state === 'paused') {
+      this.game.resume();
+    }
+
+    if (this.returnFocus && this.returnFocus.focus) {
+      this.returnFocus.focus();
+    }
+    this.returnFocus = null;
+  }
+
+  toggle() {
+    if (this.isShowing) {
+      // A screen opened from the menu has to close first
+      if (!this.isCoveredByScreen()) this.hide();
+    } else if (this.canOpen()) {
+      this.show();
+    }
+  }
+
+  destroy() {
+    if (this.overlay) {
+      this.overlay.remove();
+      this.overlay = null;
+    }
+    this.isShowing = false;
+  }
+}
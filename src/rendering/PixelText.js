@@ -274,6 +274,237 @@ export class PixelText {
         '      ',
         '      ',
       ],
+      // Digits and punctuation for HUD counters and notifications
+      0: [
+        ' 1111 ',
+        '1   11',
+        '1  1 1',
+        '1 1  1',
+        '11   1',
+        '1    1',
+        ' 1111 ',
+        '      ',
+      ],
+      1: [
+        '  11  ',
+        ' 1 1  ',
+        '   1  ',
+        '   1  ',
+        '   1  ',
+        '   1  ',
+        ' 11111',
+        '      ',
+      ],
+      2: [
+        ' 1111 ',
+        '1    1',
+        '     1',
+        '   11 ',
+        '  1   ',
+        ' 1    ',
+        '111111',
+        '      ',
+      ],
+      3: [
+        ' 1111 ',
+        '1    1',
+        '     1',
+        '  111 ',
+        '     1',
+        '1    1',
+        ' 1111 ',
+        '      ',
+      ],
+      4: [
+        '   11 ',
+        '  1 1 ',
+        ' 1  1 ',
+        '1   1 ',
+        '111111',
+        '    1 ',
+        '    1 ',
+        '      ',
+      ],
+      5: [
+        '111111',
+        '1     ',
+        '11111 ',
+        '     1',
+        '     1',
+        '1    1',
+        ' 1111 ',
+        '      ',
+      ],
+      6: [
+        ' 1111 ',
+        '1     ',
+        '1     ',
+        '11111 ',
+        '1    1',
+        '1    1',
+        ' 1111 ',
+        '      ',
+      ],
+      7: [
+        '111111',
+        '     1',
+        '    1 ',
+        '   1  ',
+        '  1   ',
+        '  1   ',
+        '  1   ',
+        '      ',
+      ],
+      8: [
+        ' 1111 ',
+        '1    1',
+        '1    1',
+        ' 1111 ',
+        '1    1',
+        '1    1',
+        ' 1111 ',
+        '      ',
+      ],
+      9: [
+        ' 1111 ',
+        '1    1',
+        '1    1',
+        ' 11111',
+        '     1',
+        '     1',
+        ' 1111 ',
+        '      ',
+      ],
+      '/': [
+        '     1',
+        '    1 ',
+        '   1  ',
+        '  1   ',
+        ' 1    ',
+        '1     ',
+        '      ',
+        '      ',
+      ],
+      ':': [
+        '      ',
+        '  11  ',
+        '  11  ',
+        '      ',
+        '  11  ',
+        '  11  ',
+        '      ',
+        '      ',
+      ],
+      '-': [
+        '      ',
+        '      ',
+        '      ',
+        ' 1111 ',
+        '      ',
+        '      ',
+        '      ',
+        '      ',
+      ],
+      '+': [
+        '      ',
+        '  1   ',
+        '  1   ',
+        '11111 ',
+        '  1   ',
+        '  1   ',
+        '      ',
+        '      ',
+      ],
+      '.': [
+        '      ',
+        '      ',
+        '      ',
+        '      ',
+        '      ',
+        '  11  ',
+        '  11  ',
+        '      ',
+      ],
+      ',': [
+        '      ',
+        '      ',
+        '      ',
+        '      ',
+        '      ',
+        '  11  ',
+        '  11  ',
+        ' 1    ',
+      ],
+      '!': [
+        '  11  ',
+        '  11  ',
+        '  11  ',
+        '  11  ',
+        '  11  ',
+        '      ',
+        '  11  ',
+        '      ',
+      ],
+      '?': [
+        ' 1111 ',
+        '1    1',
+        '    1 ',
+        '   1  ',
+        '   1  ',
+        '      ',
+        '   1  ',
+        '      ',
+      ],
+      "'": [
+        '  11  ',
+        '  11  ',
+        '   1  ',
+        '      ',
+        '      ',
+        '      ',
+        '      ',
+        '      ',
+      ],
+      '%': [
+        '11   1',
+        '11  1 ',
+        '   1  ',
+        '  1   ',
+        ' 1  11',
+        '1   11',
+        '      ',
+        '      ',
+      ],
+      '(': [
+        '   1  ',
+        '  1   ',
+        ' 1    ',
+        ' 1    ',
+        ' 1    ',
+        '  1   ',
+        '   1  ',
+        '      ',
+      ],
+      ')': [
+        '  1   ',
+        '   1  ',
+        '    1 ',
+        '    1 ',
+        '    1 ',
+        '   1  ',
+        '  1   ',
+        '      ',
+      ],
+      '&': [
+        ' 11   ',
+        '1  1  ',
+        ' 11   ',
+        ' 11  1',
+        '1  11 ',
+        '1   1 ',
+        ' 111 1',
+        '      ',
+      ],
     };
 
     // Convert patterns to sprite data
@@ -329,6 +560,16 @@ export class PixelText {
     return currentX - x; // Return total width
   }
 
+  // Width drawSpriteText() will use for the same arguments
+  measureSpriteText(text, scale = 1, spacing = 8) {
+    let width = 0;
+    for (const char of text) {
+      const sprite = this.letterSprites.get(char.toUpperCase());
+      width += ((sprite ? sprite.width : 0) + spacing) * scale;
+    }
+    return width;
+  }
+
   // Get text dimensions for positioning
   getTextWidth(text, blockSize = 8, spacing = 8) {
     return text.length * (6 * blockSize) + (text.length - 1) * spacing;
@@ -0,0 +1,251 @@
+// Portal Menu
+// Opens when the player steps into a portal and lists the worlds it links
+// to. Destinations stay locked until the player has been through a door
+// into that world the normal way.
+
+import { WorldRegistry } from '../world/WorldRegistry.js';
+
+export class PortalMenu {
+  constructor(game) {
+    this.game = game;
+    this.overlay = null;
+    this.portal = null;
+    this.isShowing = false;
+    this.pausedGame = false;
+    this.returnFocus = null;
+  }
+
+  create() {
+    this.overlay = document.createElement('div');
+    this.overlay.id = 'portal-menu';
+    this.overlay.className = 'portal-menu';
+    this.overlay.setAttribute('role', 'dialog');
+    this.overlay.setAttribute('aria-modal', 'true');
+    this.overlay.setAttribute('aria-labelledby', 'portal-menu-title');
+    this.overlay.innerHTML = `
+      <div class="portal-menu-content">
+        <h2 id="portal-menu-title" class="portal-menu-title"></h2>
+        <p class="portal-menu-hint">Where to?</p>
+        <ul class="portal-menu-destinations"></ul>
+        <div class="portal-menu-actions">
+          <button type="button" class="portal-menu-stay">Stay here</button>
+        </div>
+      </div>
+    `;
+
+    this.overlay
+      .querySelector('.portal-menu-stay')
+      .addEventListener('click', () => this.hide());
+
+    // Destinations are rebuilt on every show, so delegate clicks
+    this.overlay
+      .querySelector('.portal-menu-destinations')
+      .addEventListener('click', (e) => {
+        const button = e.target.closest('[data-world]');
+        if (button && !button.disabled) {
+          this.travel(button.dataset.world);
+        }
+      });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.code === 'Escape' && this.isShowing && !e.defaultPrevented) {
+        e.preventDefault();
+        this.hide();
+      }
+    });
+
+    document.body.appendChild(this.overlay);
+    this.addStyles();
+  }
+
+  addStyles() {
+    const style = document.createElement('style');
+    style.textContent = `
+      .portal-menu {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.8);
+        display: none;
+        justify-content: center;
+        align-items: center;
+        z-index: 10000;
+        font-family: monospace;
+      }
+
+      .portal-menu.visible {
+        display: flex;
+      }
+
+      .portal-menu-content {
+        background: #1a1a1a;
+        border: 2px solid var(--portal-color, #FFD700);
+        border-radius: 10px;
+        color: white;
+        max-height: 90vh;
+        max-width: min(420px, 94vw);
+        overflow-y: auto;
+        padding: 24px 30px;
+      }
+
+      .portal-menu-title {
+        color: var(--portal-color, #FFD700);
+        font-size: 20px;
+        margin: 0 0 4px;
+      }
+
+      .portal-menu-hint {
+        margin: 0 0 16px;
+        opacity: 0.7;
+      }
+
+      .portal-menu-destinations {
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+        list-style: none;
+        margin: 0;
+        padding: 0;
+      }
+
+      .portal-menu button {
+        background: #333;
+        border: 1px solid #666;
+        border-radius: 5px;
+        color: white;
+        cursor: pointer;
+        font-family: monospace;
+        padding: 8px 14px;
+        text-align: left;
+        width: 100%;
+      }
+
+      .portal-menu button:hover:not(:disabled),
+      .portal-menu button:focus-visible {
+        background: #444;
+        border-color: #FFD700;
+      }
+
+      .portal-menu button:disabled {
+        cursor: not-allowed;
+        opacity: 0.5;
+      }
+
+      .portal-menu-destination-world {
+        display: block;
+        font-size: 12px;
+        opacity: 0.7;
+      }
+
+      .portal-menu-actions {
+        margin-top: 16px;
+      }
+
+      .portal-menu-actions button {
+        text-align: center;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  render() {
+    const manager = this.game.worldTransitionManager;
+    const hubName = WorldRegistry.getDisplayName(WorldRegistry.getHubId());
+    const list = this.overlay.querySelector('.portal-menu-destinations');
+    list.innerHTML = '';
+
+    this.overlay.querySelector('.portal-menu-title').textContent =
+      this.portal.name;
+    this.overlay
+      .querySelector('.portal-menu-content')
+      .style.setProperty('--portal-color', this.portal.color);
+
+    const destinations = manager.getPortalDestinations(this.portal.worldId);
+    if (destinations.length === 0) {
+      const empty = document.createElement('li');
+      empty.textContent = 'This portal leads nowhere yet';
+      list.appendChild(empty);
+      return;
+    }
+
+    destinations.forEach((destination) => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.dataset.world = destination.worldId;
+      button.disabled = !destination.unlocked;
+      button.textContent = destination.name;
+
+      const world = document.createElement('span');
+      world.className = 'portal-menu-destination-world';
+      world.textContent = destination.unlocked
+        ? destination.worldName
+        : `Locked - enter ${destination.worldName} from ${hubName} first`;
+      button.appendChild(world);
+
+      item.appendChild(button);
+      list.appendChild(item);
+    });
+  }
+
+  travel(worldId) {
+    this.returnFocus = null;
+    this.hide();
+    this.game.worldTransitionManager.travelThroughPortal(worldId);
+  }
+
+  /**
+   * @param {Portal} portal - Portal the player stepped into
+   */
+  show(portal) {
+    if (this.game.projectModal && this.game.projectModal.isVisible) return;
+
+    if (!this.overlay) {
+      this.create();
+    }
+
+    this.portal = portal;
+    this.render();
+    this.returnFocus = document.activeElement;
+    this.overlay.classList.add('visible');
+    this.isShowing = true;
+    this.game.inputHandler.releaseAll();
+
+    if (this.game.state === 'playing') {
+      this.game.pause();
+      this.pausedGame = true;
+    }
+
+    const first =
+      this.overlay.querySelector('[data-world]:not(:disabled)') ||
+      this.overlay.querySelector('.portal-menu-stay');
+    first.focus();
+  }
+
+  hide() {
+    if (!this.overlay) return;
+
+    this.overlay.classList.remove('visible');
+    this.isShowing = false;
+
+    if (this.pausedGame) {
+      this.game.resume();
+      this.pausedGame = false;
+    }
+
+    if (this.returnFocus && this.returnFocus.focus) {
+      this.returnFocus.focus();
+    }
+    this.returnFocus = null;
+  }
+
+  destroy() {
+    if (this.overlay) {
+      this.overlay.remove();
+      this.overlay = null;
+    }
+    this.isShowing = false;
+  }
+}
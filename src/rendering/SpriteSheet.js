@@ -0,0 +1,85 @@
+// Sprite Sheet
+// Draws frames from a JSON atlas. The atlas lists frame rectangles,
+// named animations and one sheet image per costume (all sharing a layout):
+// {
+//   scale: 2,
+//   costumes: { default: '/images/player/default.png', ... },
+//   frames: { 'idle-0': { x, y, w, h }, ... },
+//   animations: { idle: { frames: ['idle-0', ...], frameDuration, loop } }
+// }
+
+export class SpriteSheet {
+  constructor(atlas) {
+    this.atlas = atlas;
+    this.scale = atlas.scale || 1;
+    this.images = new Map(); // costume -> { image, loaded, error }
+  }
+
+  hasCostume(costume) {
+    return Boolean(this.atlas.costumes[costume]);
+  }
+
+  // Start loading a costume sheet (cached, so safe to call repeatedly)
+  loadCostume(costume) {
+    if (this.images.has(costume)) {
+      return this.images.get(costume);
+    }
+
+    const entry = { image: new Image(), loaded: false, error: false };
+    entry.image.onload = () => {
+      entry.loaded = true;
+    };
+    entry.image.onerror = () => {
+      entry.error = true;
+      console.warn(`Failed to load sprite sheet for costume: ${costume}`);
+    };
+    entry.image.src = this.atlas.costumes[costume];
+
+    this.images.set(costume, entry);
+    return entry;
+  }
+
+  getAnimation(name) {
+    return this.atlas.animations[name] || null;
+  }
+
+  /**
+   * Draw one frame centered on a point
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {string} costume - Costume whose sheet to draw from
+   * @param {string} frameName - Key in atlas.frames
+   * @param {number} x - Center x
+   * @param {number} y - Center y
+   * @param {boolean} flipX - Mirror horizontally (for facing left)
+   * @returns {boolean} False if the sheet isn't ready, so callers can fall back
+   */
+  drawFrame(ctx, costume, frameName, x, y, flipX = false) {
+    const entry = this.images.get(costume);
+    const frame = this.atlas.frames[frameName];
+    if (!entry || !entry.loaded || !frame) return false;
+
+    const width = frame.w * this.scale;
+    const height = frame.h * this.scale;
+
+    ctx.save();
+    ctx.imageSmoothingEnabled = false; // Keep pixel art crisp
+    ctx.translate(x, y);
+    if (flipX) {
+      ctx.scale(-1, 1);
+    }
+    ctx.drawImage(
+      entry.image,
+      frame.x,
+      frame.y,
+      frame.w,
+      frame.h,
+      -width / 2,
+      -height / 2,
+      width,
+      height
+    );
+    ctx.restore();
+
+    return true;
+  }
+}
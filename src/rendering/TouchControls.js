@@ -22,6 +22,7 @@ export class VirtualJoystick {
     this.innerRadius = 30; // 60px diameter
     this.deadZone = 10; // Minimum movement to register
     this.maxDistance = 50; // Maximum drag distance
+    this.dropDistance = 30; // Pull down this far to drop through platforms
 
     this.create();
   }
@@ -169,18 +170,23 @@ export class VirtualJoystick {
 
     // Apply dead zone
     if (Math.abs(normalizedX) < this.deadZone / this.maxDistance) {
-      this.inputHandler.keys.left = false;
-      this.inputHandler.keys.right = false;
+      this.setDirection(0);
     } else {
       // Emit movement to input handler
-      if (normalizedX < 0) {
-        this.inputHandler.keys.left = true;
-        this.inputHandler.keys.right = false;
-      } else {
-        this.inputHandler.keys.left = false;
-        this.inputHandler.keys.right = true;
-      }
+      this.setDirection(Math.sign(normalizedX));
     }
+
+    // Pulling down drops through one-way platforms
+    this.setDropping(this.currentY >= this.dropDistance);
+  }
+
+  setDirection(direction) {
+    this.inputHandler.setSourceState('touch', 'left', direction < 0);
+    this.inputHandler.setSourceState('touch', 'right', direction > 0);
+  }
+
+  setDropping(dropping) {
+    this.inputHandler.setSourceState('touch', 'down', dropping);
   }
 
   handleTouchEnd(e) {
@@ -199,8 +205,8 @@ export class VirtualJoystick {
     this.currentY = 0;
 
     // Stop movement
-    this.inputHandler.keys.left = false;
-    this.inputHandler.keys.right = false;
+    this.setDirection(0);
+    this.setDropping(false);
 
     this.touchId = null;
   }
@@ -320,8 +326,8 @@ export class JumpButton {
     this.isPressed = true;
     this.button.classList.add('pressed');
 
-    // Trigger jump (use 'space' key like keyboard)
-    this.inputHandler.keys.space = true;
+    // Trigger jump
+    this.inputHandler.setSourceState('touch', 'jump', true);
 
     // Haptic feedback (if supported)
     if (navigator.vibrate) {
@@ -338,8 +344,8 @@ export class JumpButton {
     this.isPressed = false;
     this.button.classList.remove('pressed');
 
-    // Release jump key (use 'space' key like keyboard)
-    this.inputHandler.keys.space = false;
+    // Release jump
+    this.inputHandler.setSourceState('touch', 'jump', false);
 
     this.touchId = null;
   }
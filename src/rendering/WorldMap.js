@@ -0,0 +1,415 @@
+// World Map
+// Full-screen overview of every world: how many of its boxes are opened, a
+// map of its layout, and fast travel to the doors the player has found.
+// Worlds that haven't been visited yet only show their name.
+
+import { WorldRegistry } from '../world/WorldRegistry.js';
+import { WorldManager } from '../world/ProjectData.js';
+import { getBoxPlacements } from '../world/BoxLayout.js';
+import { isDoorDiscovered, isWorldVisited } from '../world/SaveData.js';
+import { drawWorldLayout } from './Minimap.js';
+
+const LAYOUT_WIDTH = 600;
+const LAYOUT_HEIGHT = 80;
+
+export class WorldMap {
+  constructor(game) {
+    this.game = game;
+    this.overlay = null;
+    this.isShowing = false;
+    this.pausedGame = false;
+    this.returnFocus = null;
+  }
+
+  create() {
+    this.overlay = document.createElement('div');
+    this.overlay.id = 'world-map';
+    this.overlay.className = 'world-map';
+    this.overlay.setAttribute('role', 'dialog');
+    this.overlay.setAttribute('aria-modal', 'true');
+    this.overlay.setAttribute('aria-labelledby', 'world-map-title');
+    this.overlay.innerHTML = `
+      <div class="world-map-content">
+        <h2 id="world-map-title" class="world-map-title">World Map</h2>
+        <p class="world-map-summary"></p>
+        <ul class="world-map-worlds"></ul>
+        <div class="world-map-actions">
+          <button type="button" class="world-map-done">Done</button>
+        </div>
+      </div>
+    `;
+
+    this.overlay
+      .querySelector('.world-map-done')
+      .addEventListener('click', () => this.hide());
+
+    // Worlds are rebuilt on every render, so delegate clicks
+    this.overlay
+      .querySelector('.world-map-worlds')
+      .addEventListener('click', (e) => {
+        const button = e.target.closest('[data-door]');
+        if (button) {
+          this.travel(button.dataset.world, button.dataset.door);
+        }
+      });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.code === 'Escape' && this.isShowing && !e.defaultPrevented) {
+        e.preventDefault();
+        this.hide();
+      }
+    });
+
+    document.body.appendChild(this.overlay);
+    this.addStyles();
+  }
+
+  addStyles() {
+    const style = document.createElement('style');
+    style.textContent = `
+      .world-map {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.85);
+        display: none;
+        justify-content: center;
+        align-items: center;
+        z-index: 10000;
+        font-family: monospace;
+      }
+
+      .world-map.visible {
+        display: flex;
+      }
+
+      .world-map-content {
+        background: #1a1a1a;
+        border: 2px solid #FFD700;
+        border-radius: 10px;
+        color: white;
+        max-height: 90vh;
+        max-width: min(720px, 94vw);
+        overflow-y: auto;
+        padding: 24px 30px;
+      }
+
+      .world-map-title {
+        color: #FFD700;
+        font-size: 20px;
+        margin: 0 0 8px;
+      }
+
+      .world-map-summary {
+        margin: 0 0 16px;
+        opacity: 0.7;
+      }
+
+      .world-map-worlds {
+        display: flex;
+        flex-direction: column;
+        gap: 14px;
+        list-style: none;
+        margin: 0;
+        padding: 0;
+      }
+
+      .world-map-world {
+        background: #262626;
+        border-left: 4px solid var(--world-color, #666);
+        border-radius: 0 6px 6px 0;
+        padding: 10px 14px;
+      }
+
+      .world-map-world.current {
+        background: #303030;
+      }
+
+      .world-map-heading {
+        align-items: baseline;
+        display: flex;
+        gap: 10px;
+        justify-content: space-between;
+      }
+
+      .world-map-heading h3 {
+        font-size: 16px;
+        margin: 0;
+      }
+
+      .world-map-here {
+        color: #FF4136;
+        font-size: 12px;
+      }
+
+      .world-map-stats {
+        font-size: 12px;
+        margin: 4px 0 8px;
+        opacity: 0.8;
+      }
+
+      .world-map-layout {
+        display: block;
+        height: auto;
+        width: 100%;
+      }
+
+      .world-map-travel {
+        align-items: center;
+        display: flex;
+        flex-wrap: wrap;
+        font-size: 12px;
+        gap: 6px;
+        margin-top: 8px;
+      }
+
+      .world-map button {
+        background: #333;
+        border: 1px solid #666;
+        border-radius: 5px;
+        color: white;
+        cursor: pointer;
+        font-family: monospace;
+        padding: 6px 12px;
+      }
+
+      .world-map button:hover,
+      .world-map button:focus-visible {
+        background: #444;
+        border-color: #FFD700;
+      }
+
+      .world-map-actions {
+        display: flex;
+        justify-content: flex-end;
+        margin-top: 16px;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  // Layout of a world straight from its config, with saved box states and
+  // door discoveries. The loaded world uses the minimap's live layout.
+  getLayout(worldId) {
+    if (worldId === this.game.worldTransitionManager.getCurrentWorldId()) {
+      const live = this.game.hud.minimap.getLayout();
+      if (live) return live;
+    }
+
+    const config = WorldRegistry.getConfig(worldId);
+    const boxStates = this.game.mysteryBoxStateManager;
+    const boxConfig = config.mysteryBoxes;
+    const projects = WorldManager.getProjectsByWorld(worldId);
+
+    return {
+      width: config.dimensions.width,
+      groundLevel: config.dimensions.groundLevel,
+      // Config positions are centers
+      platforms: (config.platforms || [])
+        .filter((platform) => platform.type !== 'invisible')
+        .map((platform) => ({
+          x: platform.x - platform.width / 2,
+          y: platform.y - platform.height / 2,
+          width: platform.width,
+          height: platform.height,
+        })),
+      boxes:
+        boxConfig && boxConfig.enabled
+          ? getBoxPlacements(config, projects).map((box, i) => ({
+              ...box,
+              state: boxStates.getState(projects[i].id),
+            }))
+          : [],
+      doors: this.getDoors(worldId),
+    };
+  }
+
+  // Doors in a world's config, with what the game shows on them
+  getDoors(worldId) {
+    const config = WorldRegistry.getConfig(worldId);
+
+    return Object.entries(config.doors || {}).map(([id, door]) => {
+      // Same theming as WorldLoader.createDoors
+      const themeWorldId =
+        door.doorType === 'entry' ? door.targetWorld : worldId;
+      return {
+        id,
+        x: door.x,
+        y: door.y,
+        name: door.name || WorldRegistry.getDisplayName(door.targetWorld),
+        color: door.themeColor || WorldRegistry.getThemeColor(themeWorldId),
+        discovered: isDoorDiscovered(worldId, id),
+      };
+    });
+  }
+
+  render() {
+    const list = this.overlay.querySelector('.world-map-worlds');
+    const currentWorldId = this.game.worldTransitionManager.getCurrentWorldId();
+    const boxStates = this.game.mysteryBoxStateManager;
+    list.innerHTML = '';
+
+    WorldRegistry.getAllWorlds().forEach((world) => {
+      const visited = world.id === currentWorldId || isWorldVisited(world.id);
+      const stats = boxStates.getStats(world.id);
+      const item = document.createElement('li');
+      item.className = 'world-map-world';
+      item.style.setProperty('--world-color', world.themeColor);
+
+      const heading = document.createElement('div');
+      heading.className = 'world-map-heading';
+      heading.appendChild(this.createText('h3', '', world.name));
+      if (world.id === currentWorldId) {
+        item.classList.add('current');
+        heading.appendChild(
+          this.createText('span', 'world-map-here', 'You are here')
+        );
+      }
+      item.appendChild(heading);
+
+      const status = visited ? '' : ' - not visited yet';
+      item.appendChild(
+        this.createText(
+          'p',
+          'world-map-stats',
+          stats.total > 0
+            ? `Boxes ${stats.completed}/${stats.total}${status}`
+            : `No boxes${status}`
+        )
+      );
+
+      if (visited) {
+        item.appendChild(this.createLayout(world, stats));
+        item.appendChild(this.createTravel(world));
+      }
+
+      list.appendChild(item);
+    });
+
+    const overall = boxStates.getStats();
+    this.overlay.querySelector('.world-map-summary').textContent =
+      `${overall.completed} of ${overall.total} boxes opened`;
+  }
+
+  createLayout(world, stats) {
+    const canvas = document.createElement('canvas');
+    canvas.className = 'world-map-layout';
+    canvas.width = LAYOUT_WIDTH;
+    canvas.height = LAYOUT_HEIGHT;
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute(
+      'aria-label',
+      `Map of ${world.name}: ${stats.completed} of ${stats.total} boxes opened`
+    );
+
+    drawWorldLayout(canvas.getContext('2d'), this.getLayout(world.id), {
+      x: 0,
+      y: 0,
+      width: LAYOUT_WIDTH,
+      height: LAYOUT_HEIGHT,
+    });
+    return canvas;
+  }
+
+  // A button per discovered door in the world
+  createTravel(world) {
+    const travel = document.createElement('div');
+    travel.className = 'world-map-travel';
+
+    const doors = this.getDoors(world.id).filter((door) => door.discovered);
+    if (doors.length === 0) {
+      travel.textContent = 'No doors found yet';
+      return travel;
+    }
+
+    travel.appendChild(document.createTextNode('Fast travel:'));
+    doors.forEach((door) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.dataset.world = world.id;
+      button.dataset.door = door.id;
+      button.textContent = door.name;
+      button.setAttribute(
+        'aria-label',
+        `Fast travel to the ${door.name} door in ${world.name}`
+      );
+      travel.appendChild(button);
+    });
+    return travel;
+  }
+
+  createText(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    element.textContent = text;
+    return element;
+  }
+
+  travel(worldId, doorId) {
+    // Close every menu first so the game is running when we arrive
+    this.returnFocus = null;
+    this.hide();
+    if (this.game.pauseMenu.isShowing) {
+      this.game.pauseMenu.hide();
+    }
+
+    this.game.fastTravel(worldId, doorId);
+  }
+
+  show() {
+    if (!this.overlay) {
+      this.create();
+    }
+
+    this.render();
+    this.returnFocus = document.activeElement;
+    this.overlay.classList.add('visible');
+    this.isShowing = true;
+    this.game.inputHandler.releaseAll();
+
+    if (this.game.state === 'playing') {
+      this.game.pause();
+      this.pausedGame = true;
+    }
+
+    const first =
+      this.overlay.querySelector('.world-map-travel button') ||
+      this.overlay.querySelector('.world-map-done');
+    first.focus();
+  }
+
+  hide() {
+    if (!this.overlay) return;
+
+    this.overlay.classList.remove('visible');
+    this.isShowing = false;
+
+    if (this.pausedGame) {
+      this.game.resume();
+      this.pausedGame = false;
+    }
+
+    if (this.returnFocus && this.returnFocus.focus) {
+      this.returnFocus.focus();
+    }
+    this.returnFocus = null;
+  }
+
+  toggle() {
+    if (this.isShowing) {
+      this.hide();
+    } else if (!(this.game.projectModal && this.game.projectModal.isVisible)) {
+      this.show();
+    }
+  }
+
+  destroy() {
+    if (this.overlay) {
+      this.overlay.remove();
+      this.overlay = null;
+    }
+    this.isShowing = false;
+  }
+}
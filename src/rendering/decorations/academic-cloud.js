@@ -0,0 +1,31 @@
+// Georgia Tech: lavender cloud carrying a stack of books
+
+export default {
+  type: 'academic-cloud',
+  layer: 'background',
+  bounds: { x: -50, y: -32, width: 100, height: 65 },
+
+  draw(ctx, x, y) {
+    ctx.fillStyle = '#E6E6FA';
+    ctx.globalAlpha = 0.9;
+
+    ctx.beginPath();
+    ctx.arc(x, y, 32, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.beginPath();
+    ctx.arc(x - 25, y + 8, 25, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.beginPath();
+    ctx.arc(x + 25, y + 8, 25, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.fillStyle = '#4B0082';
+    ctx.font = '16px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText('📚', x, y + 5);
+
+    ctx.globalAlpha = 1.0;
+  },
+};
@@ -0,0 +1,31 @@
+// Georgia Tech: fluted column with a GT crest
+
+export default {
+  type: 'academic-pillar',
+  layer: 'background',
+  bounds: { x: -18, y: -10, width: 36, height: 160 },
+
+  draw(ctx, x, y) {
+    ctx.fillStyle = '#F5F5DC';
+    ctx.fillRect(x - 15, y, 30, 140);
+
+    ctx.fillStyle = '#D3D3D3';
+    ctx.fillRect(x - 18, y + 130, 36, 20);
+    ctx.fillRect(x - 18, y - 10, 36, 20);
+
+    ctx.strokeStyle = '#D3D3D3';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let i = 0; i < 5; i++) {
+      const lineX = x - 12 + i * 6;
+      ctx.moveTo(lineX, y + 10);
+      ctx.lineTo(lineX, y + 120);
+    }
+    ctx.stroke();
+
+    ctx.fillStyle = '#B3A369';
+    ctx.font = 'bold 16px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText('GT', x, y + 75);
+  },
+};
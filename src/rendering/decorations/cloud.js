@@ -0,0 +1,26 @@
+// Jersey Shore: white beach-day cloud
+
+export default {
+  type: 'cloud',
+  layer: 'background',
+  bounds: { x: -55, y: -30, width: 110, height: 60 },
+
+  draw(ctx, x, y) {
+    ctx.fillStyle = '#FFFFFF';
+    ctx.globalAlpha = 0.9;
+
+    ctx.beginPath();
+    ctx.arc(x, y, 28, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.beginPath();
+    ctx.arc(x - 28, y + 8, 22, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.beginPath();
+    ctx.arc(x + 30, y + 8, 22, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.globalAlpha = 1.0;
+  },
+};
@@ -0,0 +1,37 @@
+// Vibe Coding: pixel-art cloud
+
+const PIXEL_SIZE = 8;
+const CLOUD_PIXELS = [
+  [0, 0, 1, 1, 1, 1, 0, 0],
+  [0, 1, 1, 1, 1, 1, 1, 0],
+  [1, 1, 1, 1, 1, 1, 1, 1],
+  [1, 1, 1, 1, 1, 1, 1, 1],
+  [0, 1, 1, 1, 1, 1, 1, 0],
+  [0, 0, 1, 1, 1, 1, 0, 0],
+];
+
+export default {
+  type: 'digital-cloud',
+  layer: 'background',
+  bounds: { x: -32, y: -24, width: 64, height: 48 },
+
+  draw(ctx, x, y) {
+    ctx.fillStyle = '#B0E0E6';
+    ctx.globalAlpha = 0.7;
+
+    CLOUD_PIXELS.forEach((row, rowIndex) => {
+      row.forEach((pixel, colIndex) => {
+        if (pixel) {
+          ctx.fillRect(
+            x - 32 + colIndex * PIXEL_SIZE,
+            y - 24 + rowIndex * PIXEL_SIZE,
+            PIXEL_SIZE,
+            PIXEL_SIZE
+          );
+        }
+      });
+    });
+
+    ctx.globalAlpha = 1.0;
+  },
+};
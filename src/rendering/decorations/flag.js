@@ -0,0 +1,37 @@
+// Jersey Shore: goal flag that waves in the sea breeze.
+// Anchored at the top of the pole.
+
+const POLE_HEIGHT = 100;
+const FLAG_WIDTH = 40;
+const FLAG_HEIGHT = 26;
+const WAVE_SPEED = 0.004; // Radians per ms
+
+export default {
+  type: 'flag',
+  layer: 'background',
+  bounds: { x: -4, y: -8, width: FLAG_WIDTH + 12, height: POLE_HEIGHT + 8 },
+
+  draw(ctx, x, y, { time }) {
+    // Pole and finial
+    ctx.fillStyle = '#C0C0C0';
+    ctx.fillRect(x - 2, y, 4, POLE_HEIGHT);
+    ctx.fillStyle = '#FFD700';
+    ctx.beginPath();
+    ctx.arc(x, y - 2, 5, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Flag cloth, built from strips so it ripples along its length
+    const strips = 8;
+    const stripWidth = FLAG_WIDTH / strips;
+    ctx.fillStyle = '#FF6B6B';
+    for (let i = 0; i < strips; i++) {
+      const wave = Math.sin(time * WAVE_SPEED + i * 0.8) * (i / strips) * 4;
+      ctx.fillRect(
+        x + 2 + i * stripWidth,
+        y + 4 + wave,
+        stripWidth + 0.5,
+        FLAG_HEIGHT
+      );
+    }
+  },
+};
@@ -0,0 +1,26 @@
+// Healthcare: soft pink puff cloud
+
+export default {
+  type: 'health-cloud',
+  layer: 'background',
+  bounds: { x: -50, y: -30, width: 100, height: 60 },
+
+  draw(ctx, x, y) {
+    ctx.fillStyle = '#FFE4E1';
+    ctx.globalAlpha = 0.8;
+
+    ctx.beginPath();
+    ctx.arc(x, y, 30, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.beginPath();
+    ctx.arc(x - 25, y + 5, 25, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.beginPath();
+    ctx.arc(x + 25, y + 5, 25, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.globalAlpha = 1.0;
+  },
+};
@@ -0,0 +1,23 @@
+// Healthcare: white pillar with red crosses
+
+export default {
+  type: 'medical-pillar',
+  layer: 'background',
+  bounds: { x: -13, y: -1, width: 26, height: 152 },
+
+  draw(ctx, x, y) {
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(x - 12, y, 24, 150);
+
+    ctx.strokeStyle = '#CCCCCC';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x - 12, y, 24, 150);
+
+    ctx.fillStyle = '#FF0000';
+    for (let i = 0; i < 3; i++) {
+      const symbolY = y + 30 + i * 40;
+      ctx.fillRect(x - 3, symbolY, 6, 20);
+      ctx.fillRect(x - 10, symbolY + 7, 20, 6);
+    }
+  },
+};
@@ -0,0 +1,21 @@
+// Vibe Coding: server-rack style pillar with glowing cable runs
+
+export default {
+  type: 'tech-pillar',
+  layer: 'background',
+  bounds: { x: -12, y: 0, width: 24, height: 150 },
+
+  draw(ctx, x, y) {
+    ctx.fillStyle = '#708090';
+    ctx.fillRect(x - 12, y, 24, 150);
+
+    ctx.fillStyle = '#2F4F4F';
+    ctx.fillRect(x - 8, y + 20, 16, 20);
+    ctx.fillRect(x - 8, y + 60, 16, 20);
+    ctx.fillRect(x - 8, y + 100, 16, 20);
+
+    ctx.fillStyle = '#00D4FF';
+    ctx.fillRect(x - 10, y + 10, 2, 130);
+    ctx.fillRect(x + 8, y + 10, 2, 130);
+  },
+};
@@ -0,0 +1,23 @@
+// Jersey Shore: boardwalk tree, anchored at the base of the trunk
+
+export default {
+  type: 'tree',
+  layer: 'background',
+  bounds: { x: -40, y: -145, width: 80, height: 145 },
+
+  draw(ctx, x, y) {
+    ctx.fillStyle = '#8B5A2B';
+    ctx.fillRect(x - 8, y - 80, 16, 80);
+
+    ctx.fillStyle = '#2E8B57';
+    ctx.beginPath();
+    ctx.arc(x, y - 105, 35, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.fillStyle = '#3CB371';
+    ctx.beginPath();
+    ctx.arc(x - 18, y - 95, 22, 0, Math.PI * 2);
+    ctx.arc(x + 18, y - 95, 22, 0, Math.PI * 2);
+    ctx.fill();
+  },
+};
@@ -0,0 +1,94 @@
+// Hub trophy room: a display case with a stand for every project's
+// collectible. Items appear on their stand once they're in the inventory.
+// Anchored at the middle of the base.
+
+import { ProjectManager } from '../../world/ProjectData.js';
+import { hasInventoryItem } from '../../world/SaveData.js';
+
+const SLOT_WIDTH = 40;
+const ITEM_SIZE = 28;
+const CASE_HEIGHT = 90;
+const PADDING = 10;
+
+const projects = ProjectManager.getAllProjects().filter(
+  (project) => project.collectible
+);
+const caseWidth = projects.length * SLOT_WIDTH + PADDING * 2;
+const sprites = new Map(); // collectible type -> { image, loaded }
+
+function getSprite(collectibleType) {
+  if (!sprites.has(collectibleType)) {
+    const sprite = { image: new Image(), loaded: false };
+    sprite.image.onload = () => {
+      sprite.loaded = true;
+    };
+    sprite.image.src = `/images/collectibles/${collectibleType}.png`;
+    sprites.set(collectibleType, sprite);
+  }
+  return sprites.get(collectibleType);
+}
+
+export default {
+  type: 'trophy-shelf',
+  layer: 'background',
+  bounds: {
+    x: -caseWidth / 2,
+    y: -CASE_HEIGHT - 24,
+    width: caseWidth,
+    height: CASE_HEIGHT + 24,
+  },
+
+  draw(ctx, x, y, { time }) {
+    const left = x - caseWidth / 2;
+    const top = y - CASE_HEIGHT;
+
+    // Wooden case with a glass back
+    ctx.fillStyle = '#6B4226';
+    ctx.fillRect(left, top, caseWidth, CASE_HEIGHT);
+    ctx.fillStyle = 'rgba(173, 216, 230, 0.35)';
+    ctx.fillRect(left + 6, top + 6, caseWidth - 12, CASE_HEIGHT - 24);
+
+    // Sign
+    ctx.fillStyle = '#FFD700';
+    ctx.font = 'bold 14px monospace';
+    ctx.textAlign = 'center';
+    ctx.fillText('TROPHIES', x, top - 8);
+    ctx.textAlign = 'left';
+
+    projects.forEach((project, i) => {
+      const slotX = left + PADDING + i * SLOT_WIDTH;
+      const standY = y - 24;
+
+      // Stand
+      ctx.fillStyle = '#C0C0C0';
+      ctx.fillRect(slotX + 8, standY, SLOT_WIDTH - 16, 6);
+
+      if (!hasInventoryItem(project.id)) {
+        // Empty spot waiting for its item
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(
+          slotX + (SLOT_WIDTH - ITEM_SIZE) / 2 + 0.5,
+          standY - ITEM_SIZE - 4 + 0.5,
+          ITEM_SIZE - 1,
+          ITEM_SIZE - 1
+        );
+        return;
+      }
+
+      // Earned items float gently, out of step with their neighbours
+      const bob = Math.sin(time * 0.003 + i) * 2;
+      const itemX = slotX + (SLOT_WIDTH - ITEM_SIZE) / 2;
+      const itemY = standY - ITEM_SIZE - 4 + bob;
+      const sprite = getSprite(project.collectible);
+
+      if (sprite.loaded) {
+        ctx.drawImage(sprite.image, itemX, itemY, ITEM_SIZE, ITEM_SIZE);
+      } else {
+        // No art for this item yet - a plain gold token
+        ctx.fillStyle = '#FFD700';
+        ctx.fillRect(itemX + 4, itemY + 4, ITEM_SIZE - 8, ITEM_SIZE - 8);
+      }
+    });
+  },
+};
@@ -0,0 +1,394 @@
+// Markdown to HTML for project content
+// Covers what project writeups need: headings, paragraphs, emphasis, links,
+// images, lists (including "•" bullets), blockquotes, rules, tables, fenced
+// code and fenced embeds. Raw HTML is escaped rather than passed through -
+// projects that need hand-written HTML keep using HTML content instead.
+// The output still goes through the modal's sanitizer before display.
+//
+// Embeds are fences named after a provider, holding the video URL:
+// ```youtube
+// https://www.youtube.com/watch?v=dQw4w9WgXcQ
+// ```
+// They render as a placeholder <div class="project-embed"> with the provider
+// and video id in data attributes; the modal swaps in the player iframe
+// after sanitizing, so the sanitizer never has to allow iframes.
+
+export const EMBED_PROVIDERS = {
+  youtube: {
+    parse: (url) =>
+      (url.match(
+        /(?:youtu\.be\/|youtube(?:-nocookie)?\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/))([\w-]{11})/
+      ) ||
+        url.match(/^([\w-]{11})$/) ||
+        [])[1],
+    src: (id) => `https://www.youtube-nocookie.com/embed/${id}`,
+  },
+  vimeo: {
+    parse: (url) =>
+      (url.match(/^(?:https?:\/\/)?(?:.*vimeo\.com\/)?(\d+)/) || [])[1],
+    src: (id) => `https://player.vimeo.com/video/${id}`,
+  },
+};
+
+/**
+ * Player URL for an embed placeholder
+ * @param {string} provider - Key of EMBED_PROVIDERS
+ * @param {string} id - Video id as parsed from the fence
+ * @returns {string|null} iframe src, or null for unknown providers or ids
+ */
+export function getEmbedSrc(provider, id) {
+  if (!Object.hasOwn(EMBED_PROVIDERS, provider) || !/^[\w-]+$/.test(id)) {
+    return null;
+  }
+  return EMBED_PROVIDERS[provider].src(id);
+}
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (ch) => HTML_ESCAPES[ch]);
+}
+
+// Relative paths, anchors, http(s) and mailto. Anything else (javascript:,
+// data: ...) is dropped.
+function safeUrl(url) {
+  const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+  if (
+    scheme &&
+    !['http', 'https', 'mailto'].includes(scheme[1].toLowerCase())
+  ) {
+    return null;
+  }
+  return url;
+}
+
+const FENCE = /^\s{0,3}(`{3,}|~{3,})\s*([\w-]*)\s*$/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^\s{0,3}>\s?/;
+const LIST_ITEM = /^(\s{0,3})([-*+•]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * Render Markdown to an HTML string
+ * @param {string} source - Markdown text
+ * @returns {string} HTML (unsanitized)
+ */
+export function renderMarkdown(source) {
+  const lines = String(source).replace(/\r\n?/g, '\n').split('\n');
+  return renderBlocks(lines);
+}
+
+function isTableStart(lines, i) {
+  return (
+    lines[i].includes('|') &&
+    i + 1 < lines.length &&
+    lines[i + 1].includes('-') &&
+    TABLE_DIVIDER.test(lines[i + 1])
+  );
+}
+
+// Lines that end a paragraph without a blank line in between. Numbered
+// lists only do so from 1, so a line starting "2024." stays text.
+function startsBlock(lines, i) {
+  const line = lines[i];
+  const item = line.match(LIST_ITEM);
+  return (
+    FENCE.test(line) ||
+    HEADING.test(line) ||
+    RULE.test(line) ||
+    QUOTE.test(line) ||
+    Boolean(item && (!/\d/.test(item[2]) || parseInt(item[2], 10) === 1)) ||
+    isTableStart(lines, i)
+  );
+}
+
+function renderBlocks(lines) {
+  const html = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const body = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        body.push(lines[i]);
+        i++;
+      }
+      i++; // Closing fence
+      html.push(renderFence(fence[2].toLowerCase(), body.join('\n')));
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      const level = heading[1].length;
+      html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      html.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        quoted.push(lines[i].replace(QUOTE, ''));
+        i++;
+      }
+      html.push(`<blockquote>${renderBlocks(quoted)}</blockquote>`);
+      continue;
+    }
+
+    if (isTableStart(lines, i)) {
+      i = renderTable(lines, i, html);
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      i = renderList(lines, i, html);
+      continue;
+    }
+
+    // Paragraph: runs until a blank line or another block
+    const paragraph = [line.trimStart()];
+    i++;
+    while (i < lines.length && lines[i].trim() && !startsBlock(lines, i)) {
+      paragraph.push(lines[i].trimStart());
+      i++;
+    }
+    html.push(`<p>${renderParagraph(paragraph)}</p>`);
+  }
+
+  return html.join('\n');
+}
+
+// Two trailing spaces or a trailing backslash force a line break
+function renderParagraph(lines) {
+  return lines
+    .map((line, i) => {
+      const hardBreak = / {2,}$/.test(line) || /\\$/.test(line);
+      const text = renderInline(line.replace(/\\$/, '').trimEnd());
+      return hardBreak && i < lines.length - 1 ? `${text}<br>` : text;
+    })
+    .join('\n');
+}
+
+function renderFence(lang, body) {
+  const provider = Object.hasOwn(EMBED_PROVIDERS, lang)
+    ? EMBED_PROVIDERS[lang]
+    : null;
+
+  if (provider) {
+    const url = body.trim();
+    const id = provider.parse(url);
+    if (id) {
+      // The link stays as a fallback if the player can't be mounted
+      const href = safeUrl(url) ? escapeHtml(url) : '';
+      return (
+        `<div class="project-embed" data-embed="${lang}" data-id="${escapeHtml(id)}">` +
+        (href ? `<a href="${href}">${href}</a>` : '') +
+        '</div>'
+      );
+    }
+  }
+
+  const langClass = lang ? ` class="language-${lang}"` : '';
+  return `<pre><code${langClass}>${escapeHtml(body)}</code></pre>`;
+}
+
+function splitRow(line) {
+  return line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/(^|[^\\])\|$/, '$1')
+    .split(/(?<!\\)\|/)
+    .map((cell) => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function renderTable(lines, start, html) {
+  const headers = splitRow(lines[start]);
+  const aligns = splitRow(lines[start + 1]).map((cell) => {
+    if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+    if (cell.endsWith(':')) return 'right';
+    if (cell.startsWith(':')) return 'left';
+    return null;
+  });
+
+  const cell = (tag, text, column) => {
+    const align = aligns[column]
+      ? ` style="text-align: ${aligns[column]}"`
+      : '';
+    return `<${tag}${align}>${renderInline(text || '')}</${tag}>`;
+  };
+
+  let i = start + 2;
+  const rows = [];
+  while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+    const cells = splitRow(lines[i]);
+    rows.push(
+      `<tr>${headers.map((_, column) => cell('td', cells[column], column)).join('')}</tr>`
+    );
+    i++;
+  }
+
+  html.push(
+    '<table>' +
+      `<thead><tr>${headers.map((text, column) => cell('th', text, column)).join('')}</tr></thead>` +
+      `<tbody>${rows.join('')}</tbody>` +
+      '</table>'
+  );
+  return i;
+}
+
+function renderList(lines, start, html) {
+  const first = lines[start].match(LIST_ITEM);
+  const ordered = /\d/.test(first[2]);
+  const baseIndent = first[1].length;
+  // Column the item text starts at; continuation lines are dedented to it
+  const contentColumn = first[0].length - first[3].length;
+  const indentOf = (line) => line.match(/^\s*/)[0].length;
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const indent = indentOf(line);
+    const match = line.match(LIST_ITEM);
+
+    if (match && indent <= baseIndent + 1) {
+      if (/\d/.test(match[2]) !== ordered) break; // A different list
+      items.push([match[3]]);
+      i++;
+    } else if (!line.trim()) {
+      // A blank line only continues the list if more of it follows
+      let next = i + 1;
+      while (next < lines.length && !lines[next].trim()) next++;
+      const nextLine = lines[next] || '';
+      const nextItem = nextLine.match(LIST_ITEM);
+      if (
+        (nextItem &&
+          indentOf(nextLine) <= baseIndent + 1 &&
+          /\d/.test(nextItem[2]) === ordered) ||
+        (nextLine.trim() && indentOf(nextLine) >= baseIndent + 2)
+      ) {
+        items[items.length - 1].push('');
+        i++;
+      } else {
+        break;
+      }
+    } else if (indent >= baseIndent + 2) {
+      // Indented lines belong to the current item (text or a nested list)
+      items[items.length - 1].push(line.slice(Math.min(indent, contentColumn)));
+      i++;
+    } else if (startsBlock(lines, i)) {
+      break;
+    } else {
+      // Lazy continuation of the item's text
+      items[items.length - 1].push(line.trim());
+      i++;
+    }
+  }
+
+  const tag = ordered ? 'ol' : 'ul';
+  const startNumber = parseInt(first[2], 10);
+  const startAttr =
+    ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+
+  const body = items.map((itemLines) => {
+    // Leading text stays inline, anything after it renders as blocks
+    let split = 1;
+    while (
+      split < itemLines.length &&
+      itemLines[split].trim() &&
+      !startsBlock(itemLines, split)
+    ) {
+      split++;
+    }
+    const text = renderParagraph(
+      itemLines.slice(0, split).map((line) => line.trimStart())
+    );
+    const rest = renderBlocks(itemLines.slice(split));
+    return `<li>${text}${rest ? `\n${rest}` : ''}</li>`;
+  });
+
+  html.push(`<${tag}${startAttr}>\n${body.join('\n')}\n</${tag}>`);
+  return i;
+}
+
+/**
+ * Render inline Markdown (code, links, images, emphasis) in one line of text
+ * @param {string} text - Markdown text
+ * @returns {string} HTML
+ */
+export function renderInline(text) {
+  // Finished HTML is parked behind placeholders so later passes (escaping,
+  // emphasis) can't touch it
+  const parked = [];
+  const park = (html) => `\uE000${parked.push(html) - 1}\uE001`;
+
+  let out = String(text)
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) =>
+      park(`<code>${escapeHtml(code.trim())}</code>`)
+    )
+    .replace(/\\([\\`*_{}[\]()#+\-.!|~<>])/g, (match, ch) =>
+      park(escapeHtml(ch))
+    )
+    // URLs may hold one level of parentheses, as in Wikipedia links, so a
+    // refused javascript:alert(1) link leaves just its label behind
+    .replace(
+      /!\[([^\]]*)\]\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))+)>?(?:\s+"([^"]*)")?\s*\)/g,
+      (match, alt, url, title) => {
+        if (!safeUrl(url)) return park(escapeHtml(alt));
+        const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+        return park(
+          `<img src="${escapeHtml(url)}" alt="${escapeHtml(alt)}"${titleAttr}>`
+        );
+      }
+    )
+    .replace(
+      /\[([^\]]+)\]\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))+)>?(?:\s+"([^"]*)")?\s*\)/g,
+      (match, label, url, title) => {
+        if (!safeUrl(url)) return label;
+        return park(linkOpen(url, title)) + label + park('</a>');
+      }
+    )
+    .replace(/<((?:https?:\/\/|mailto:)[^\s<>]+)>/g, (match, url) =>
+      park(`${linkOpen(url)}${escapeHtml(url)}</a>`)
+    );
+
+  out = escapeHtml(out)
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+    .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+  return out.replace(/\uE000(\d+)\uE001/g, (match, n) => parked[n]);
+}
+
+// External links open in a new tab, like the hand-written project HTML
+function linkOpen(url, title) {
+  const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+  const external = /^https?:\/\//i.test(url)
+    ? ' target="_blank" rel="noopener noreferrer"'
+    : '';
+  return `<a href="${escapeHtml(url)}"${titleAttr}${external}>`;
+}
@@ -63,6 +63,43 @@ export function distanceSquared(x1, y1, x2, y2) {
   return dx * dx + dy * dy;
 }
 
+/**
+ * Create a seeded pseudo-random generator (mulberry32). The same seed
+ * always gives the same sequence.
+ * @param {number} seed - Any 32-bit integer
+ * @returns {Function} Returns numbers in [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Shared generator for particles and other game randomness
+let nextRandom = Math.random;
+
+/**
+ * Seed the shared generator so a run can be reproduced
+ * @param {number|null} seed - Seed, or null to go back to Math.random
+ */
+export function seedRandom(seed) {
+  nextRandom =
+    seed === null || seed === undefined ? Math.random : createRandom(seed);
+}
+
+/**
+ * Next number from the shared generator
+ * @returns {number} Number in [0, 1)
+ */
+export function rand() {
+  return nextRandom();
+}
+
 /**
  * Generate a random number between min and max
  * @param {number} min - Minimum value
@@ -70,7 +107,7 @@ export function distanceSquared(x1, y1, x2, y2) {
  * @returns {number} Random number
  */
 export function random(min, max) {
-  return Math.random() * (max - min) + min;
+  return rand() * (max - min) + min;
 }
 
 /**
@@ -80,7 +117,7 @@ export function random(min, max) {
  * @returns {number} Random integer
  */
 export function randomInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+  return Math.floor(rand() * (max - min + 1)) + min;
 }
 
 /**
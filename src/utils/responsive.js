@@ -125,6 +125,17 @@ export function shouldForceRotation() {
   return isMobile() && getOrientation() === 'portrait';
 }
 
+/**
+ * Check whether the user asked the OS for less motion
+ * @returns {boolean} True if animations should be skipped
+ */
+export function prefersReducedMotion() {
+  return (
+    typeof window.matchMedia === 'function' &&
+    window.matchMedia('(prefers-reduced-motion: reduce)').matches
+  );
+}
+
 export class ResponsiveManager {
   constructor() {
     this.mobileBreakpoint = 768;
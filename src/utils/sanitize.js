@@ -0,0 +1,283 @@
+// Allowlist HTML sanitizer for project content
+// Project writeups may come from outside contributors, so only known-safe
+// tags, attributes, URL schemes and style properties survive. Everything
+// else is removed: dangerous elements with their contents, unknown
+// elements are unwrapped so their text stays readable.
+
+// Tags kept as-is
+const ALLOWED_TAGS = new Set([
+  'a',
+  'b',
+  'blockquote',
+  'br',
+  'code',
+  'del',
+  'div',
+  'em',
+  'figcaption',
+  'figure',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'hr',
+  'i',
+  'img',
+  'kbd',
+  'li',
+  'mark',
+  'ol',
+  'p',
+  'pre',
+  's',
+  'small',
+  'span',
+  'strong',
+  'sub',
+  'sup',
+  'table',
+  'tbody',
+  'td',
+  'tfoot',
+  'th',
+  'thead',
+  'tr',
+  'u',
+  'ul',
+]);
+
+// Tags removed together with everything inside them
+const DROPPED_TAGS = new Set([
+  'base',
+  'button',
+  'embed',
+  'form',
+  'frame',
+  'frameset',
+  'iframe',
+  'input',
+  'link',
+  'math',
+  'meta',
+  'noscript',
+  'object',
+  'script',
+  'select',
+  'style',
+  'svg',
+  'template',
+  'textarea',
+  'title',
+]);
+
+// Attributes allowed on every kept tag, then per tag
+const GLOBAL_ATTRIBUTES = ['class', 'title', 'style'];
+const TAG_ATTRIBUTES = {
+  a: ['href', 'target', 'rel'],
+  img: ['src', 'alt', 'width', 'height', 'loading'],
+  ol: ['start'],
+  td: ['colspan', 'rowspan'],
+  th: ['colspan', 'rowspan', 'scope'],
+  // Markdown embed placeholders (see utils/markdown.js)
+  div: ['data-embed', 'data-id'],
+};
+
+// Schemes allowed per URL attribute. Relative URLs resolve to the page's
+// own scheme and pass.
+const URL_SCHEMES = {
+  href: ['http:', 'https:', 'mailto:'],
+  src: ['http:', 'https:'],
+};
+
+// Only the classes the Markdown renderer emits. Anything else could borrow
+// the game's own styles, e.g. class="pause-menu visible".
+const ALLOWED_CLASS = /^(language-[\w-]+|project-embed)$/;
+
+const LINK_TARGETS = ['_blank', '_self'];
+const LINK_REL_TOKENS = ['noopener', 'noreferrer', 'nofollow'];
+
+// Inline styles are limited to presentation inside the modal - nothing
+// that can position an element over the page or load a resource
+const ALLOWED_STYLES = new Set([
+  'background',
+  'background-color',
+  'border',
+  'border-radius',
+  'color',
+  'display',
+  'font-size',
+  'font-style',
+  'font-weight',
+  'gap',
+  'height',
+  'line-height',
+  'margin',
+  'margin-bottom',
+  'margin-left',
+  'margin-right',
+  'margin-top',
+  'max-width',
+  'padding',
+  'padding-bottom',
+  'padding-left',
+  'padding-right',
+  'padding-top',
+  'text-align',
+  'text-decoration',
+  'vertical-align',
+  'width',
+]);
+
+// Anything that can fetch a resource or run script, plus comments and
+// escapes that could hide those from this check
+const UNSAFE_STYLE_VALUE =
+  /(url|image|image-set|cross-fade|element|expression)\s*\(|javascript:|@import|\/\*|[\\<>]/i;
+
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+/**
+ * Sanitize an HTML string
+ * @param {string} html - Untrusted HTML
+ * @returns {string} HTML containing only allowlisted markup
+ */
+export function sanitizeHTML(html) {
+  // Template content is inert: nothing loads or runs while we work on it
+  const template = document.createElement('template');
+  template.innerHTML = String(html);
+  sanitizeChildren(template.content);
+  return template.innerHTML;
+}
+
+function sanitizeChildren(parent) {
+  Array.from(parent.childNodes).forEach((node) => {
+    if (node.nodeType === Node.TEXT_NODE) return;
+
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      node.remove(); // Comments, processing instructions
+      return;
+    }
+
+    const tag = node.localName;
+
+    if (DROPPED_TAGS.has(tag) || node.namespaceURI !== HTML_NAMESPACE) {
+      node.remove();
+      return;
+    }
+
+    if (!ALLOWED_TAGS.has(tag)) {
+      // Keep the text, lose the element
+      sanitizeChildren(node);
+      node.replaceWith(...node.childNodes);
+      return;
+    }
+
+    sanitizeAttributes(node, tag);
+    sanitizeChildren(node);
+  });
+}
+
+function sanitizeAttributes(element, tag) {
+  const allowed = [...GLOBAL_ATTRIBUTES, ...(TAG_ATTRIBUTES[tag] || [])];
+
+  Array.from(element.attributes).forEach(({ name, value }) => {
+    if (!allowed.includes(name)) {
+      element.removeAttribute(name);
+      return;
+    }
+
+    if (URL_SCHEMES[name] && !isSafeUrl(value, URL_SCHEMES[name])) {
+      element.removeAttribute(name);
+    } else if (name === 'class') {
+      const classes = value
+        .split(/\s+/)
+        .filter((token) => ALLOWED_CLASS.test(token));
+      if (classes.length > 0) {
+        element.setAttribute('class', classes.join(' '));
+      } else {
+        element.removeAttribute('class');
+      }
+    } else if (name === 'style') {
+      const style = sanitizeStyle(value);
+      if (style) {
+        element.setAttribute('style', style);
+      } else {
+        element.removeAttribute('style');
+      }
+    } else if (name === 'target' && !LINK_TARGETS.includes(value)) {
+      element.removeAttribute('target');
+    }
+  });
+
+  if (tag === 'a') {
+    // Never hand the opened page a handle back to this one
+    const rel = (element.getAttribute('rel') || '')
+      .toLowerCase()
+      .split(/\s+/)
+      .filter((token) => LINK_REL_TOKENS.includes(token));
+    element.setAttribute('rel', [...new Set(['noopener', ...rel])].join(' '));
+  }
+}
+
+/**
+ * @param {string} value - Attribute value
+ * @param {string[]} schemes - Allowed protocols, e.g. ['http:', 'https:']
+ * @returns {boolean} Whether the URL resolves to an allowed scheme
+ */
+function isSafeUrl(value, schemes) {
+  try {
+    // The URL parser strips the tabs, newlines and leading spaces that
+    // browsers ignore, so "java\tscript:" is caught too
+    return schemes.includes(new URL(value, document.baseURI).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Keep only allowlisted declarations with harmless values
+ * @param {string} style - Raw style attribute
+ * @returns {string} Filtered declarations ('' if none are left)
+ */
+function sanitizeStyle(style) {
+  return splitDeclarations(style)
+    .map((declaration) => {
+      const colon = declaration.indexOf(':');
+      if (colon === -1) return null;
+
+      const property = declaration.slice(0, colon).trim().toLowerCase();
+      const value = declaration.slice(colon + 1).trim();
+      if (
+        !ALLOWED_STYLES.has(property) ||
+        !value ||
+        UNSAFE_STYLE_VALUE.test(value)
+      ) {
+        return null;
+      }
+      return `${property}: ${value}`;
+    })
+    .filter(Boolean)
+    .join('; ');
+}
+
+// Split on semicolons outside parentheses, e.g. inside linear-gradient()
+function splitDeclarations(style) {
+  const declarations = [];
+  let depth = 0;
+  let current = '';
+
+  for (const ch of style) {
+    if (ch === '(') depth++;
+    if (ch === ')') depth = Math.max(0, depth - 1);
+    if (ch === ';' && depth === 0) {
+      declarations.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  declarations.push(current);
+
+  return declarations.filter((declaration) => declaration.trim());
+}
@@ -0,0 +1,148 @@
+// Minimal JSON Schema validator for our data files
+// Supports the subset the schemas in src/data/schemas use:
+// type, enum, required, properties, additionalProperties, items,
+// minItems, minimum, maximum, minLength, pattern and local $ref
+
+/**
+ * Validate data against a schema
+ * @param {Object} schema - JSON schema (root, used to resolve $ref)
+ * @param {*} data - Data to validate
+ * @returns {{path: string, message: string}[]} List of errors (empty if valid)
+ */
+export function validateSchema(schema, data) {
+  const errors = [];
+  validateNode(schema, data, '', schema, errors);
+  return errors;
+}
+
+/**
+ * Format a list of schema errors as readable lines
+ * @param {{path: string, message: string}[]} errors - Errors from validateSchema
+ * @param {string} filePath - File the data came from
+ * @returns {string[]} One line per error
+ */
+export function formatSchemaErrors(errors, filePath) {
+  return errors.map(({ path, message }) =>
+    path ? `${filePath}: ${path} ${message}` : `${filePath}: ${message}`
+  );
+}
+
+function validateNode(schema, data, path, root, errors) {
+  if (schema.$ref) {
+    schema = resolveRef(schema.$ref, root);
+  }
+
+  if (schema.type && !matchesType(schema.type, data)) {
+    const expected = [].concat(schema.type).join(' or ');
+    errors.push({
+      path,
+      message: `should be ${expected}, got ${typeOf(data)}`,
+    });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(data)) {
+    errors.push({
+      path,
+      message: `should be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(data)}`,
+    });
+  }
+
+  if (typeof data === 'number') {
+    if (schema.minimum !== undefined && data < schema.minimum) {
+      errors.push({ path, message: `should be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && data > schema.maximum) {
+      errors.push({ path, message: `should be <= ${schema.maximum}` });
+    }
+  }
+
+  if (typeof data === 'string') {
+    if (schema.minLength !== undefined && data.length < schema.minLength) {
+      errors.push({ path, message: `should not be empty` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(data)) {
+      errors.push({
+        path,
+        message: `should match ${schema.pattern}, got ${JSON.stringify(data)}`,
+      });
+    }
+  }
+
+  if (Array.isArray(data)) {
+    if (schema.minItems !== undefined && data.length < schema.minItems) {
+      errors.push({
+        path,
+        message: `should have at least ${schema.minItems} item(s)`,
+      });
+    }
+    if (schema.items) {
+      data.forEach((item, index) => {
+        validateNode(schema.items, item, `${path}[${index}]`, root, errors);
+      });
+    }
+  }
+
+  if (typeOf(data) === 'object') {
+    validateObject(schema, data, path, root, errors);
+  }
+}
+
+function validateObject(schema, data, path, root, errors) {
+  const properties = schema.properties || {};
+
+  (schema.required || []).forEach((key) => {
+    if (data[key] === undefined) {
+      errors.push({ path: joinPath(path, key), message: 'is required' });
+    }
+  });
+
+  Object.keys(data).forEach((key) => {
+    const childPath = joinPath(path, key);
+
+    if (properties[key]) {
+      validateNode(properties[key], data[key], childPath, root, errors);
+    } else if (schema.additionalProperties === false) {
+      errors.push({ path: childPath, message: 'is not a known field' });
+    } else if (typeof schema.additionalProperties === 'object') {
+      validateNode(
+        schema.additionalProperties,
+        data[key],
+        childPath,
+        root,
+        errors
+      );
+    }
+  });
+}
+
+function resolveRef(ref, root) {
+  // Only local refs like "#/definitions/platform" are supported
+  const parts = ref.replace(/^#\//, '').split('/');
+  const resolved = parts.reduce((node, part) => node && node[part], root);
+  if (!resolved) {
+    throw new Error(`Unresolvable schema reference: ${ref}`);
+  }
+  return resolved;
+}
+
+function matchesType(type, data) {
+  return [].concat(type).some((t) => {
+    if (t === 'integer') return Number.isInteger(data);
+    return typeOf(data) === t;
+  });
+}
+
+function typeOf(data) {
+  if (data === null) return 'null';
+  if (Array.isArray(data)) return 'array';
+  return typeof data;
+}
+
+function joinPath(path, key) {
+  const segment = /^[A-Za-z_$][\w$]*$/.test(key)
+    ? key
+    : `[${JSON.stringify(key)}]`;
+  if (!path) return segment;
+  return segment.startsWith('[') ? `${path}${segment}` : `${path}.${segment}`;
+}
@@ -0,0 +1,72 @@
+// Mystery Box Layout
+// Works out where each project's mystery box goes in a world, from the
+// world's mysteryBoxes config and each project's position and box
+// overrides. The loader, the world map and project links all use it so
+// they agree on where a box is.
+//
+// Layouts (mysteryBoxes.layout in the world config):
+// - auto-row: one row from startX, spacing apart, at y (the default)
+// - explicit: each project's own position
+// - grid: rows of `columns` boxes from startX and y, stacking upward by
+//   rowSpacing
+
+import { MYSTERY_BOX } from '../config.js';
+
+export const BOX_LAYOUTS = ['auto-row', 'explicit', 'grid'];
+
+/**
+ * Placement of every project's box in a world
+ * @param {Object} config - World config
+ * @param {Object[]} projects - The world's projects, in order
+ * @returns {Array<{x: number, y: number, width: number, height: number,
+ *   variant: string}>} Top-left position, size and look per project, in
+ *   the same order
+ */
+export function getBoxPlacements(config, projects) {
+  const boxes = config.mysteryBoxes || {};
+  const layout = boxes.layout || 'auto-row';
+  const platforms = new Map(
+    (config.platforms || []).map((platform) => [platform.id, platform])
+  );
+
+  return projects.map((project, index) => {
+    const overrides = project.box || {};
+    const width = overrides.width || MYSTERY_BOX.WIDTH;
+    const height = overrides.height || MYSTERY_BOX.HEIGHT;
+    let { x, y } = getSlot(boxes, layout, project, index);
+
+    // A box on a platform floats at jumping height over its top (platform
+    // positions are centers), and over its middle if nothing else gives x
+    const platform = platforms.get(overrides.platform);
+    if (platform) {
+      const top = platform.y - platform.height / 2;
+      y = top - MYSTERY_BOX.PLATFORM_CLEARANCE - height;
+      if (layout === 'explicit' && !project.position) {
+        x = platform.x - width / 2;
+      }
+    }
+
+    return { x, y, width, height, variant: overrides.variant || 'classic' };
+  });
+}
+
+// Position from the layout alone. Explicit projects without a position
+// fall back to their auto-row slot.
+function getSlot(boxes, layout, project, index) {
+  const { startX = 0, spacing = 0, y = 0 } = boxes;
+
+  if (layout === 'explicit' && project.position) {
+    return { x: project.position.x, y: project.position.y };
+  }
+
+  if (layout === 'grid') {
+    const columns = Math.max(1, boxes.columns || 1);
+    const rowSpacing = boxes.rowSpacing ?? MYSTERY_BOX.GRID_ROW_SPACING;
+    return {
+      x: startX + (index % columns) * spacing,
+      y: y - Math.floor(index / columns) * rowSpacing,
+    };
+  }
+
+  return { x: startX + index * spacing, y };
+}
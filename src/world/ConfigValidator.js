@@ -0,0 +1,82 @@
+// Config Validator
+// Checks world configs and project data against the JSON schemas in
+// src/data/schemas before the game tries to build anything from them
+
+import worldSchema from '../data/schemas/world.schema.json';
+import projectsSchema from '../data/schemas/projects.schema.json';
+import { validateSchema, formatSchemaErrors } from '../utils/schema.js';
+
+export const PROJECTS_DATA_PATH = 'src/data/projects.json';
+
+/**
+ * Error thrown when a data file is missing or doesn't match its schema.
+ * Carries the file path and per-field errors for the error overlay.
+ */
+export class ConfigValidationError extends Error {
+  constructor(filePath, errors) {
+    super(
+      `Invalid data in ${filePath}:\n${formatSchemaErrors(errors, filePath).join('\n')}`
+    );
+    this.name = 'ConfigValidationError';
+    this.filePath = filePath;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Validate a world config.json
+ * @param {Object} config - Parsed config
+ * @param {string} filePath - Where the config was loaded from
+ * @param {string} worldId - World id the config was requested for
+ * @returns {Object} The config, if valid
+ * @throws {ConfigValidationError} If the config is invalid
+ */
+export function validateWorldConfig(config, filePath, worldId = null) {
+  const errors = validateSchema(worldSchema, config);
+
+  // The folder name is the world id used by doors and URLs
+  if (worldId && config && config.id && config.id !== worldId) {
+    errors.push({
+      path: 'id',
+      message: `should match its folder name "${worldId}", got "${config.id}"`,
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigValidationError(filePath, errors);
+  }
+  return config;
+}
+
+/**
+ * Validate the portfolio projects data
+ * @param {Object} data - Parsed projects.json
+ * @param {string} filePath - Where the data was loaded from
+ * @param {string[]} worldIds - Known world ids, to catch projects filed under
+ *   a world that has no folder
+ * @returns {Object} The data, if valid
+ * @throws {ConfigValidationError} If the data is invalid
+ */
+export function validateProjectsData(
+  data,
+  filePath = PROJECTS_DATA_PATH,
+  worldIds = null
+) {
+  const errors = validateSchema(projectsSchema, data);
+
+  if (worldIds && data && data.worlds) {
+    Object.keys(data.worlds).forEach((worldId) => {
+      if (!worldIds.includes(worldId)) {
+        errors.push({
+          path: `worlds[${JSON.stringify(worldId)}]`,
+          message: `has no matching src/data/worlds/${worldId}/config.json`,
+        });
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigValidationError(filePath, errors);
+  }
+  return data;
+}
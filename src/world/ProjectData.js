@@ -2,20 +2,69 @@
 // Each world contains projects that will be linked to mystery boxes in the game
 
 import portfolioData from '../data/projects.json';
+import { getSave, getWorldProgress, persistSave } from './SaveData.js';
+import { WorldRegistry } from './WorldRegistry.js';
+
+// Long-form content can live in src/data/projects/<project id>.md instead
+// of a JSON string
+const markdownFiles = import.meta.glob('../data/projects/*.md', {
+  eager: true,
+  query: '?raw',
+  import: 'default',
+});
+const markdownContent = Object.fromEntries(
+  Object.entries(markdownFiles).map(([path, text]) => [
+    path.split('/').pop().replace(/\.md$/, ''),
+    text,
+  ])
+);
+
+// Raw project data, keyed by world id
+export const PortfolioData = portfolioData;
+
+/**
+ * Pick the project's content and how to render it: a Markdown file wins,
+ * then an explicit contentFormat, then HTML if the content starts with a
+ * tag and Markdown otherwise (plain text renders fine as Markdown)
+ * @param {Object} project - Project from projects.json
+ * @returns {{content: string, contentFormat: string}}
+ */
+function resolveContent(project) {
+  if (markdownContent[project.id] !== undefined) {
+    return { content: markdownContent[project.id], contentFormat: 'markdown' };
+  }
+
+  const content = project.content || project.description || '';
+  const contentFormat =
+    project.contentFormat || (/^\s*</.test(content) ? 'html' : 'markdown');
+  return { content, contentFormat };
+}
 
 // Flatten all projects from all worlds into a single array for backward compatibility
-export const ProjectData = Object.values(portfolioData.worlds).flatMap(
-  (world) =>
+export const ProjectData = Object.entries(portfolioData.worlds).flatMap(
+  ([worldId, world]) =>
     world.projects.map((project) => ({
       ...project,
-      world: world.id,
-      worldName: world.name,
-      worldThemeColor: world.theme_color,
+      ...resolveContent(project),
+      world: worldId,
+      worldName: WorldRegistry.getDisplayName(worldId),
+      worldThemeColor: WorldRegistry.getThemeColor(worldId),
     }))
 );
 
-// Export the worlds data structure
-export const WorldsData = portfolioData.worlds;
+// Every registered world with its projects (empty if it has none yet)
+export const WorldsData = Object.fromEntries(
+  WorldRegistry.getAllWorlds().map((world) => [
+    world.id,
+    {
+      id: world.id,
+      name: world.name,
+      description: world.description,
+      theme_color: world.themeColor,
+      projects: portfolioData.worlds[world.id]?.projects || [],
+    },
+  ])
+);
 
 // Utility functions for working with worlds
 export class WorldManager {
@@ -36,8 +85,7 @@ export class WorldManager {
   }
 
   static getWorldThemeColor(worldId) {
-    const world = this.getWorldById(worldId);
-    return world ? world.theme_color : '#000000';
+    return WorldRegistry.getThemeColor(worldId);
   }
 }
 
@@ -79,6 +127,8 @@ export class ProjectManager {
       title: project.title,
       subtitle: project.subtitle,
       description: project.description,
+      content: project.content,
+      contentFormat: project.contentFormat,
       image: project.image,
       collectible: project.collectible,
       world: project.world,
@@ -87,10 +137,22 @@ export class ProjectManager {
   }
 }
 
-// Simplified mystery box state management (in-memory only)
+// Mystery box state management, persisted per world through SaveData
 export class MysteryBoxStateManager {
   constructor() {
     this.states = new Map();
+    this.loadSavedStates();
+  }
+
+  // Restore states from the saved progress of every world
+  loadSavedStates() {
+    Object.values(getSave().worlds).forEach((worldProgress) => {
+      Object.entries(worldProgress.mysteryBoxes || {}).forEach(
+        ([mysteryBoxId, state]) => {
+          this.states.set(mysteryBoxId, state);
+        }
+      );
+    });
   }
 
   // Get the state of a mystery box
@@ -100,24 +162,36 @@ export class MysteryBoxStateManager {
 
   // Set the state of a mystery box
   setState(mysteryBoxId, state) {
-    if (['inactive', 'hit', 'completed'].includes(state)) {
-      this.states.set(mysteryBoxId, state);
+    if (!['inactive', 'hit', 'completed'].includes(state)) return;
+
+    this.states.set(mysteryBoxId, state);
+
+    // Mystery box ids are project ids, so the project tells us the world
+    const project = ProjectManager.getProjectById(mysteryBoxId);
+    if (project) {
+      getWorldProgress(project.world).mysteryBoxes[mysteryBoxId] = state;
+      persistSave();
     }
   }
 
-  // Get completion statistics
-  getStats() {
+  // Get completion statistics, optionally for a single world
+  getStats(worldId = null) {
+    const projects = worldId
+      ? WorldManager.getProjectsByWorld(worldId)
+      : ProjectManager.getAllProjects();
+
     let inactive = 0,
       hit = 0,
       completed = 0;
 
-    this.states.forEach((state) => {
+    projects.forEach((project) => {
+      const state = this.getState(project.id);
       if (state === 'inactive') inactive++;
       else if (state === 'hit') hit++;
       else if (state === 'completed') completed++;
     });
 
-    const total = Math.max(this.states.size, 1); // At minimum 1 (tutorial)
+    const total = projects.length;
 
     return {
       inactive,
@@ -128,8 +202,12 @@ export class MysteryBoxStateManager {
     };
   }
 
-  // Reset all mystery box states
+  // Reset all mystery box states (in memory and in storage)
   resetAll() {
     this.states.clear();
+    Object.values(getSave().worlds).forEach((worldProgress) => {
+      worldProgress.mysteryBoxes = {};
+    });
+    persistSave();
   }
 }
@@ -0,0 +1,347 @@
+// Versioned save data for player progress
+// Everything lives under one localStorage key:
+// {
+//   version,
+//   worlds: {
+//     [worldId]: {
+//       mysteryBoxes: { [boxId]: state },
+//       visited,
+//       discoveredDoors,
+//       usedDoors,
+//       checkpoint,
+//     },
+//   },
+//   inventory: { [projectId]: { collectible, worldId, collectedAt } },
+// }
+
+import { save, load, remove, backup } from '../utils/storage.js';
+import { STORAGE } from '../config.js';
+import portfolioData from '../data/projects.json';
+
+// Shared in-memory copy so every system writes to the same object
+let currentSave = null;
+
+/**
+ * Create an empty save at the current schema version
+ * @returns {Object} Empty save data
+ */
+export function createEmptySave() {
+  return {
+    version: STORAGE.SAVE_VERSION,
+    worlds: {},
+    inventory: {},
+  };
+}
+
+// Each migration takes data at version N and returns data at version N + 1
+const MIGRATIONS = {
+  // Version 0: flat { [boxId]: state } map from the old checkpoint key
+  0: (data) => {
+    const migrated = { version: 1, worlds: {} };
+    const worldOf = getProjectWorldLookup();
+
+    Object.entries(data.states || {}).forEach(([boxId, state]) => {
+      const worldId = worldOf[boxId];
+      if (!worldId) return; // Project no longer exists
+
+      migrated.worlds[worldId] = migrated.worlds[worldId] || {
+        mysteryBoxes: {},
+      };
+      migrated.worlds[worldId].mysteryBoxes[boxId] = state;
+    });
+
+    return migrated;
+  },
+
+  // Version 1: no inventory. Rebuild it from completed boxes - when they
+  // were collected wasn't recorded, so collectedAt is null
+  1: (data) => {
+    const inventory = {};
+    const projects = getProjectLookup();
+
+    Object.entries(data.worlds || {}).forEach(([worldId, worldProgress]) => {
+      Object.entries(worldProgress.mysteryBoxes || {}).forEach(
+        ([boxId, state]) => {
+          const project = projects[boxId];
+          if (state !== 'completed' || !project || !project.collectible) {
+            return;
+          }
+          inventory[boxId] = {
+            collectible: project.collectible,
+            worldId,
+            collectedAt: null,
+          };
+        }
+      );
+    });
+
+    return { ...data, version: 2, inventory };
+  },
+};
+
+/**
+ * Bring save data of any known version up to the current schema
+ * @param {Object} data - Raw save data
+ * @returns {Object} Save data at STORAGE.SAVE_VERSION
+ */
+export function migrateSave(data) {
+  if (!data || typeof data !== 'object' || typeof data.version !== 'number') {
+    return createEmptySave();
+  }
+
+  let migrated = data;
+  while (migrated.version < STORAGE.SAVE_VERSION) {
+    const migrate = MIGRATIONS[migrated.version];
+    if (!migrate) {
+      console.warn(
+        `No save migration from version ${migrated.version}, starting fresh`
+      );
+      return createEmptySave();
+    }
+    migrated = migrate(migrated);
+  }
+
+  if (migrated.version > STORAGE.SAVE_VERSION) {
+    console.warn(
+      `Save version ${migrated.version} is newer than supported (${STORAGE.SAVE_VERSION}), starting fresh`
+    );
+    return createEmptySave();
+  }
+
+  migrated.worlds = migrated.worlds || {};
+  migrated.inventory = migrated.inventory || {};
+  return migrated;
+}
+
+/**
+ * Read the save from storage, migrating older formats if needed
+ * @returns {Object} Save data at the current version
+ */
+function readSave() {
+  const stored = load(STORAGE.GAME_PROGRESS_KEY);
+  if (stored) {
+    if (stored.version === STORAGE.SAVE_VERSION) {
+      return migrateSave(stored);
+    }
+    return migrateAndPersist(stored);
+  }
+
+  // Fall back to the pre-versioning checkpoint states
+  const legacy = load(STORAGE.CHECKPOINT_STATES_KEY);
+  if (legacy) {
+    const states = Array.isArray(legacy) ? Object.fromEntries(legacy) : legacy;
+    const migrated = migrateAndPersist({ version: 0, states });
+    remove(STORAGE.CHECKPOINT_STATES_KEY);
+    return migrated;
+  }
+
+  return createEmptySave();
+}
+
+function migrateAndPersist(data) {
+  // Keep a copy of the old data in case a migration goes wrong.
+  // Recover with restore(JSON.stringify(load(PROGRESS_BACKUP_KEY)), true)
+  const snapshot = backup([
+    STORAGE.GAME_PROGRESS_KEY,
+    STORAGE.CHECKPOINT_STATES_KEY,
+  ]);
+  if (snapshot) {
+    save(STORAGE.PROGRESS_BACKUP_KEY, JSON.parse(snapshot));
+  }
+
+  const migrated = migrateSave(data);
+  save(STORAGE.GAME_PROGRESS_KEY, migrated);
+  console.log(`Migrated save data to version ${migrated.version}`);
+  return migrated;
+}
+
+/**
+ * Get the current save, loading it from storage on first use
+ * @returns {Object} Save data
+ */
+export function getSave() {
+  if (!currentSave) {
+    currentSave = readSave();
+  }
+  return currentSave;
+}
+
+/**
+ * Get (and create if missing) the progress entry for one world
+ * @param {string} worldId - World ID
+ * @returns {Object} World progress, e.g. { mysteryBoxes: {} }
+ */
+export function getWorldProgress(worldId) {
+  const data = getSave();
+  if (!data.worlds[worldId]) {
+    data.worlds[worldId] = { mysteryBoxes: {} };
+  }
+  return data.worlds[worldId];
+}
+
+/**
+ * Record a collected item. Items are only added once, so collectedAt
+ * keeps the first time it was found.
+ * @param {Object} project - Project the collectible belongs to
+ * @returns {boolean} True if the item is new to the inventory
+ */
+export function addToInventory(project) {
+  const { inventory } = getSave();
+  if (!project.collectible || inventory[project.id]) return false;
+
+  inventory[project.id] = {
+    collectible: project.collectible,
+    worldId: project.world,
+    collectedAt: Date.now(),
+  };
+  persistSave();
+  return true;
+}
+
+/**
+ * List collected items, oldest first
+ * @returns {Object[]} { projectId, collectible, worldId, collectedAt }
+ */
+export function getInventory() {
+  return Object.entries(getSave().inventory)
+    .map(([projectId, item]) => ({ projectId, ...item }))
+    .sort((a, b) => (a.collectedAt || 0) - (b.collectedAt || 0));
+}
+
+/**
+ * @param {string} projectId - Project ID
+ * @returns {boolean} Whether that project's collectible has been collected
+ */
+export function hasInventoryItem(projectId) {
+  return Boolean(getSave().inventory[projectId]);
+}
+
+/**
+ * Remember that the player has been to a world
+ * @param {string} worldId - World ID
+ * @returns {boolean} True on the first visit
+ */
+export function markWorldVisited(worldId) {
+  const progress = getWorldProgress(worldId);
+  if (progress.visited) return false;
+
+  progress.visited = true;
+  persistSave();
+  return true;
+}
+
+/**
+ * @param {string} worldId - World ID
+ * @returns {boolean} Whether the player has been to that world
+ */
+export function isWorldVisited(worldId) {
+  return Boolean(getSave().worlds[worldId]?.visited);
+}
+
+/**
+ * Record a door the player has seen, making it a fast-travel stop
+ * @param {string} worldId - World the door is in
+ * @param {string} doorId - Key of the door in the world's config
+ * @returns {boolean} True if the door is newly discovered
+ */
+export function discoverDoor(worldId, doorId) {
+  if (isDoorDiscovered(worldId, doorId)) return false;
+
+  const progress = getWorldProgress(worldId);
+  progress.discoveredDoors = [...(progress.discoveredDoors || []), doorId];
+  persistSave();
+  return true;
+}
+
+/**
+ * @param {string} worldId - World the door is in
+ * @param {string} doorId - Key of the door in the world's config
+ * @returns {boolean} Whether the player has seen that door
+ */
+export function isDoorDiscovered(worldId, doorId) {
+  const doors = getSave().worlds[worldId]?.discoveredDoors;
+  return Boolean(doors && doors.includes(doorId));
+}
+
+/**
+ * Record a door the player has walked through. Portals to a world unlock
+ * once any door leading there has been used.
+ * @param {string} worldId - World the door is in
+ * @param {string} doorId - Key of the door in the world's config
+ * @returns {boolean} True if the door hadn't been used before
+ */
+export function markDoorUsed(worldId, doorId) {
+  if (isDoorUsed(worldId, doorId)) return false;
+
+  const progress = getWorldProgress(worldId);
+  progress.usedDoors = [...(progress.usedDoors || []), doorId];
+  persistSave();
+  return true;
+}
+
+/**
+ * @param {string} worldId - World the door is in
+ * @param {string} doorId - Key of the door in the world's config
+ * @returns {boolean} Whether the player has walked through that door
+ */
+export function isDoorUsed(worldId, doorId) {
+  const doors = getSave().worlds[worldId]?.usedDoors;
+  return Boolean(doors && doors.includes(doorId));
+}
+
+/**
+ * Make a checkpoint flag the world's respawn point
+ * @param {string} worldId - World the flag is in
+ * @param {string} checkpointId - Id of the flag in the world's config
+ */
+export function setActiveCheckpoint(worldId, checkpointId) {
+  getWorldProgress(worldId).checkpoint = checkpointId;
+  persistSave();
+}
+
+/**
+ * @param {string} worldId - World ID
+ * @returns {string|null} Id of the world's active checkpoint flag, if any
+ */
+export function getActiveCheckpoint(worldId) {
+  return getSave().worlds[worldId]?.checkpoint || null;
+}
+
+/**
+ * Write the current save to storage
+ * @returns {boolean} Success status
+ */
+export function persistSave() {
+  return save(STORAGE.GAME_PROGRESS_KEY, getSave());
+}
+
+/**
+ * Wipe all saved progress
+ */
+export function clearSave() {
+  currentSave = createEmptySave();
+  remove(STORAGE.GAME_PROGRESS_KEY);
+  remove(STORAGE.CHECKPOINT_STATES_KEY);
+}
+
+// Map of project id -> world id, read straight from the project data
+function getProjectWorldLookup() {
+  const lookup = {};
+  Object.entries(portfolioData.worlds).forEach(([worldId, world]) => {
+    world.projects.forEach((project) => {
+      lookup[project.id] = worldId;
+    });
+  });
+  return lookup;
+}
+
+// Map of project id -> raw project data
+function getProjectLookup() {
+  const lookup = {};
+  Object.values(portfolioData.worlds).forEach((world) => {
+    world.projects.forEach((project) => {
+      lookup[project.id] = project;
+    });
+  });
+  return lookup;
+}
@@ -1,10 +1,28 @@
-// WorldLoader - Loads world configurations from JSON
+// WorldLoader - Builds worlds from their JSON configurations
 // Replaces individual world classes with data-driven approach
 
 import { Bodies } from 'matter-js';
 import { WorldManager as WorldDataManager } from './ProjectData.js';
-import { createPlatform, drawPlatform } from '../game/Platform.js';
+import { WorldRegistry } from './WorldRegistry.js';
+import { getBoxPlacements } from './BoxLayout.js';
+import { getActiveCheckpoint } from './SaveData.js';
+import {
+  createPlatform,
+  drawPlatform,
+  setupPlatformBehavior,
+  updatePlatform,
+} from '../game/Platform.js';
+import { drawHazard, getKillY } from '../game/Hazard.js';
 import { Background } from '../rendering/Background.js';
+import {
+  createDecorations,
+  drawDecorations,
+  updateDecorations,
+} from '../rendering/Decorations.js';
+import {
+  validateWorldConfig,
+  ConfigValidationError,
+} from './ConfigValidator.js';
 
 export class WorldLoader {
   /**
@@ -15,21 +33,19 @@ export class WorldLoader {
    * @returns {Object} World instance with all necessary methods
    */
   static async loadWorld(worldId, physics, worldTransitionManager) {
-    // Load world-specific config from its own directory
-    const configPath = `/src/data/worlds/${worldId}/config.json`;
-    let config;
-
-    try {
-      const response = await fetch(configPath);
-      if (!response.ok) {
-        throw new Error(`Failed to load world config: ${response.statusText}`);
-      }
-      config = await response.json();
-    } catch (error) {
-      console.error(`Error loading world ${worldId}:`, error);
-      throw new Error(`World configuration not found for: ${worldId}`);
+    // World configs are bundled at build time by the registry
+    const configPath = WorldRegistry.getConfigPath(worldId);
+    const config = WorldRegistry.getConfig(worldId);
+
+    if (!config) {
+      throw new ConfigValidationError(configPath, [
+        { path: '', message: `does not exist (no world named "${worldId}")` },
+      ]);
     }
 
+    // Catch typos before they turn into a blank world
+    validateWorldConfig(config, configPath, worldId);
+
     console.log(`Loading world: ${config.name} (${worldId})`);
 
     // Load background from JSON config
@@ -50,41 +66,64 @@ export class WorldLoader {
       worldTransitionManager,
       platforms: new Map(),
       boundaries: new Map(),
-      decorativeElements: config.decorations || [],
+      hazards: config.hazards || [], // Spikes, water, lava (see Hazard.js)
+      decorations: createDecorations(config.decorations || [], worldId),
+      time: 0, // Milliseconds since load, drives decoration animation
       projects: WorldDataManager.getProjectsByWorld(worldId),
       background, // Add background to world
+      debugMode: worldTransitionManager.game.debugMode || false,
 
       // World API methods
       getDimensions: function () {
         return this.config.dimensions;
       },
 
-      draw: function (ctx) {
-        this.drawDecorations(ctx, 'background');
+      // Falling below this kills the player
+      getKillY: function () {
+        return getKillY(this.config);
+      },
+
+      draw: function (ctx, camera) {
+        this.drawDecorations(ctx, 'background', camera);
         this.drawPlatforms(ctx);
-        this.drawDecorations(ctx, 'foreground');
+        this.hazards.forEach((hazard) => drawHazard(ctx, hazard, this.time));
+        this.drawDecorations(ctx, 'foreground', camera);
       },
 
       drawPlatforms: function (ctx) {
         this.platforms.forEach((platform) => {
-          drawPlatform(ctx, platform, worldId);
+          drawPlatform(ctx, platform, worldId, this.debugMode);
         });
       },
 
-      drawDecorations: function (ctx, layer) {
-        this.decorativeElements.forEach((decoration) => {
-          const { type, x, y } = decoration;
+      // Drive moving, rotating, breakable and victory platforms,
+      // plus any animated decorations
+      update: function (deltaTime) {
+        this.time += deltaTime;
+        updateDecorations(this.decorations, deltaTime);
 
-          const isBackground = WorldLoader.isBackgroundDecoration(type);
+        const game = this.worldTransitionManager.game;
+        const context = {
+          player: game.player,
+          physics: this.physics,
+          particleSystem: game.particleSystem,
+          audioManager: game.audioManager,
+        };
 
-          if (
-            (layer === 'background' && isBackground) ||
-            (layer === 'foreground' && !isBackground)
-          ) {
-            ctx.save();
-            WorldLoader.drawDecoration(ctx, type, x, y, this);
-            ctx.restore();
-          }
+        this.platforms.forEach((platform) => {
+          updatePlatform(platform, deltaTime, context);
+        });
+      },
+
+      // Toggled by Game.toggleDebug to reveal invisible platforms
+      setDebugMode: function (enabled) {
+        this.debugMode = enabled;
+      },
+
+      drawDecorations: function (ctx, layer, camera) {
+        drawDecorations(ctx, this.decorations, layer, {
+          camera,
+          time: this.time,
         });
       },
 
@@ -120,6 +159,21 @@ export class WorldLoader {
       await WorldLoader.createDoors(world);
     }
 
+    // Create portal
+    if (config.portal) {
+      await WorldLoader.createPortal(world);
+    }
+
+    // Create checkpoint flags
+    if (config.checkpoints) {
+      await WorldLoader.createCheckpoints(world);
+    }
+
+    // Create enemies
+    if (config.enemies) {
+      await WorldLoader.createEnemies(world);
+    }
+
     console.log(
       `${config.name} loaded with ${world.projects.length} projects`
     );
@@ -131,16 +185,11 @@ export class WorldLoader {
    * Create a platform in the world
    */
   static createPlatform(world, platformData) {
-    const { id, x, y, width, height, type } = platformData;
-
-    const body = Bodies.rectangle(x, y, width, height, {
-      label: 'platform',
-      isStatic: true,
-      friction: 0.8,
-      restitution: 0.1,
-    });
+    const { id } = platformData;
+    const body = createPlatform(platformData);
+    const platform = setupPlatformBehavior({ body, data: platformData });
 
-    world.platforms.set(id, { body, data: platformData });
+    world.platforms.set(id, platform);
     world.physics.addBody(id, body);
   }
 
@@ -148,13 +197,15 @@ export class WorldLoader {
    * Create world boundaries (walls, ceiling, floor)
    */
   static createBoundaries(world) {
-    const { width, height, groundLevel } = world.config.dimensions;
+    const { width, height } = world.config.dimensions;
+    // The floor sits below the kill plane so a fall always ends in death
+    const floorY = world.getKillY() + 200;
 
     const boundaries = [
       { id: 'left', x: -50, y: height / 2, w: 100, h: height },
       { id: 'right', x: width + 50, y: height / 2, w: 100, h: height },
       { id: 'top', x: width / 2, y: -50, w: width * 2, h: 100 },
-      { id: 'bottom', x: width / 2, y: groundLevel + 400, w: width * 2, h: 100 },
+      { id: 'bottom', x: width / 2, y: floorY, w: width * 2, h: 100 },
     ];
 
     boundaries.forEach(({ id, x, y, w, h }) => {
@@ -170,26 +221,37 @@ export class WorldLoader {
   }
 
   /**
-   * Create mystery boxes from project data
+   * Create mystery boxes from project data, placed by the world's box
+   * layout (see BoxLayout.js)
    */
   static async createMysteryBoxes(world) {
     const { MysteryBox } = await import('../game/MysteryBox.js');
-    const { startX, spacing, y } = world.config.mysteryBoxes;
+    const game = world.worldTransitionManager.game;
+    const placements = getBoxPlacements(world.config, world.projects);
 
     world.projects.forEach((project, index) => {
-      const xPos = startX + index * spacing;
+      const { x, y, width, height, variant } = placements[index];
 
       const mysteryBox = new MysteryBox(
-        xPos,
+        x,
         y,
         world.worldTransitionManager.game,
         {
           collectible: project.collectible,
           audioManager: world.worldTransitionManager.game.audioManager,
           project: project,
+          width,
+          height,
+          variant,
         }
       );
 
+      // Bring back progress from previous sessions
+      const savedState = game.mysteryBoxStateManager.getState(project.id);
+      if (savedState !== 'inactive') {
+        mysteryBox.restoreState(savedState);
+      }
+
       world.worldTransitionManager.game.mysteryBoxes =
         world.worldTransitionManager.game.mysteryBoxes || [];
       world.worldTransitionManager.game.mysteryBoxes.push(mysteryBox);
@@ -214,11 +276,16 @@ export class WorldLoader {
     Object.entries(doors).forEach(([doorKey, doorConfig]) => {
       const { x, y, targetWorld, doorType, themeColor, name } = doorConfig;
 
+      // Entry doors take on the look of the world they lead to,
+      // exit doors the look of the world they're in
+      const themeWorldId = doorType === 'entry' ? targetWorld : world.id;
+
       const door = new Door(x, y, world.worldTransitionManager, {
+        id: doorKey,
         targetWorld,
         doorType,
-        themeColor,
-        name,
+        themeColor: themeColor || WorldRegistry.getThemeColor(themeWorldId),
+        name: name || WorldRegistry.getDisplayName(targetWorld),
         spawnPoint: doorConfig.spawnPoint,
       });
 
@@ -227,6 +294,65 @@ export class WorldLoader {
     });
   }
 
+  /**
+   * Create the world's portal network stop
+   */
+  static async createPortal(world) {
+    const { Portal } = await import('../game/Portal.js');
+    const { x, y, name, themeColor } = world.config.portal;
+    const { game } = world.worldTransitionManager;
+
+    game.portals = game.portals || [];
+    game.portals.push(
+      new Portal(x, y, world.id, {
+        name,
+        themeColor: themeColor || WorldRegistry.getThemeColor(world.id),
+      })
+    );
+  }
+
+  /**
+   * Create checkpoint flags, raising the one saved as the world's respawn
+   * point
+   */
+  static async createCheckpoints(world) {
+    const { CheckpointFlag } = await import('../game/CheckpointFlag.js');
+    const { game } = world.worldTransitionManager;
+    const activeId = getActiveCheckpoint(world.id);
+    const themeColor = WorldRegistry.getThemeColor(world.id);
+
+    game.checkpoints = game.checkpoints || [];
+    world.config.checkpoints.forEach((checkpointData) => {
+      const { id, x, y } = checkpointData;
+      const flag = new CheckpointFlag(x, y, world.id, { id, themeColor });
+      if (id === activeId) {
+        flag.activate({ animate: false });
+      }
+      game.checkpoints.push(flag);
+    });
+  }
+
+  /**
+   * Create the world's patrolling enemies, each on its platform
+   */
+  static async createEnemies(world) {
+    const { Enemy } = await import('../game/Enemy.js');
+    const { game } = world.worldTransitionManager;
+    const platforms = new Map(
+      world.config.platforms.map((platform) => [platform.id, platform])
+    );
+
+    game.enemies = game.enemies || [];
+    world.config.enemies.forEach((enemyData) => {
+      const platform = platforms.get(enemyData.platform);
+      if (!platform) {
+        console.warn(`Enemy platform "${enemyData.platform}" not found`);
+        return;
+      }
+      game.enemies.push(new Enemy(enemyData, platform, world.id));
+    });
+  }
+
   /**
    * Set platform visual style based on type and world
    */
@@ -324,192 +450,4 @@ export class WorldLoader {
         break;
     }
   }
-
-  /**
-   * Check if a decoration type should be drawn in background layer
-   */
-  static isBackgroundDecoration(type) {
-    const backgroundTypes = [
-      'digital-cloud',
-      'tech-pillar',
-      'health-cloud',
-      'medical-pillar',
-      'academic-cloud',
-      'academic-pillar',
-    ];
-    return backgroundTypes.includes(type);
-  }
-
-  /**
-   * Draw a decoration element
-   */
-  static drawDecoration(ctx, type, x, y, world) {
-    const worldId = world.id;
-
-    // World-specific decoration rendering
-    switch (type) {
-      // Vibe Coding decorations
-      case 'tech-pillar':
-        WorldLoader.drawTechPillar(ctx, x, y);
-        break;
-      case 'digital-cloud':
-        WorldLoader.drawDigitalCloud(ctx, x, y);
-        break;
-
-      // Healthcare decorations
-      case 'medical-pillar':
-        WorldLoader.drawMedicalPillar(ctx, x, y);
-        break;
-      case 'health-cloud':
-        WorldLoader.drawHealthCloud(ctx, x, y);
-        break;
-
-      // Georgia Tech decorations
-      case 'academic-pillar':
-        WorldLoader.drawAcademicPillar(ctx, x, y);
-        break;
-      case 'academic-cloud':
-        WorldLoader.drawAcademicCloud(ctx, x, y);
-        break;
-    }
-  }
-
-  // ========================================
-  // Vibe Coding Decoration Renderers
-  // ========================================
-
-  static drawTechPillar(ctx, x, y) {
-    ctx.fillStyle = '#708090';
-    ctx.fillRect(x - 12, y, 24, 150);
-
-    ctx.fillStyle = '#2F4F4F';
-    ctx.fillRect(x - 8, y + 20, 16, 20);
-    ctx.fillRect(x - 8, y + 60, 16, 20);
-    ctx.fillRect(x - 8, y + 100, 16, 20);
-
-    ctx.fillStyle = '#00D4FF';
-    ctx.fillRect(x - 10, y + 10, 2, 130);
-    ctx.fillRect(x + 8, y + 10, 2, 130);
-  }
-
-  static drawDigitalCloud(ctx, x, y) {
-    ctx.fillStyle = '#B0E0E6';
-    ctx.globalAlpha = 0.7;
-
-    const pixelSize = 8;
-    const cloudData = [
-      [0, 0, 1, 1, 1, 1, 0, 0],
-      [0, 1, 1, 1, 1, 1, 1, 0],
-      [1, 1, 1, 1, 1, 1, 1, 1],
-      [1, 1, 1, 1, 1, 1, 1, 1],
-      [0, 1, 1, 1, 1, 1, 1, 0],
-      [0, 0, 1, 1, 1, 1, 0, 0],
-    ];
-
-    cloudData.forEach((row, rowIndex) => {
-      row.forEach((pixel, colIndex) => {
-        if (pixel) {
-          ctx.fillRect(
-            x - 32 + colIndex * pixelSize,
-            y - 24 + rowIndex * pixelSize,
-            pixelSize,
-            pixelSize
-          );
-        }
-      });
-    });
-
-    ctx.globalAlpha = 1.0;
-  }
-
-  // ========================================
-  // Healthcare Decoration Renderers
-  // ========================================
-
-  static drawMedicalPillar(ctx, x, y) {
-    ctx.fillStyle = '#FFFFFF';
-    ctx.fillRect(x - 12, y, 24, 150);
-
-    ctx.strokeStyle = '#CCCCCC';
-    ctx.lineWidth = 2;
-    ctx.strokeRect(x - 12, y, 24, 150);
-
-    ctx.fillStyle = '#FF0000';
-    for (let i = 0; i < 3; i++) {
-      const symbolY = y + 30 + i * 40;
-      ctx.fillRect(x - 3, symbolY, 6, 20);
-      ctx.fillRect(x - 10, symbolY + 7, 20, 6);
-    }
-  }
-
-  static drawHealthCloud(ctx, x, y) {
-    ctx.fillStyle = '#FFE4E1';
-    ctx.globalAlpha = 0.8;
-
-    ctx.beginPath();
-    ctx.arc(x, y, 30, 0, Math.PI * 2);
-    ctx.fill();
-
-    ctx.beginPath();
-    ctx.arc(x - 25, y + 5, 25, 0, Math.PI * 2);
-    ctx.fill();
-
-    ctx.beginPath();
-    ctx.arc(x + 25, y + 5, 25, 0, Math.PI * 2);
-    ctx.fill();
-
-    ctx.globalAlpha = 1.0;
-  }
-
-  // ========================================
-  // Georgia Tech Decoration Renderers
-  // ========================================
-
-  static drawAcademicPillar(ctx, x, y) {
-    ctx.fillStyle = '#F5F5DC';
-    ctx.fillRect(x - 15, y, 30, 140);
-
-    ctx.fillStyle = '#D3D3D3';
-    ctx.fillRect(x - 18, y + 130, 36, 20);
-    ctx.fillRect(x - 18, y - 10, 36, 20);
-
-    ctx.strokeStyle = '#D3D3D3';
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    for (let i = 0; i < 5; i++) {
-      const lineX = x - 12 + i * 6;
-      ctx.moveTo(lineX, y + 10);
-      ctx.lineTo(lineX, y + 120);
-    }
-    ctx.stroke();
-
-    ctx.fillStyle = '#B3A369';
-    ctx.font = 'bold 16px Arial';
-    ctx.textAlign = 'center';
-    ctx.fillText('GT', x, y + 75);
-  }
-
-  static drawAcademicCloud(ctx, x, y) {
-    ctx.fillStyle = '#E6E6FA';
-    ctx.globalAlpha = 0.9;
-
-    ctx.beginPath();
-    ctx.arc(x, y, 32, 0, Math.PI * 2);
-    ctx.fill();
-
-    ctx.beginPath();
-    ctx.arc(x - 25, y + 8, 25, 0, Math.PI * 2);
-    ctx.fill();
-
-    ctx.beginPath();
-    ctx.arc(x + 25, y + 8, 25, 0, Math.PI * 2);
-    ctx.fill();
-
-    ctx.fillStyle = '#4B0082';
-    ctx.font = '16px Arial';
-    ctx.textAlign = 'center';
-    ctx.fillText('📚', x, y + 5);
-
-    ctx.globalAlpha = 1.0;
-  }
 }
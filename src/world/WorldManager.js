@@ -1,13 +1,27 @@
 // World Transition Manager
 // Handles world state, transitions, and player position management
 
-import { WorldManager as WorldDataManager } from './ProjectData.js';
+import {
+  WorldManager as WorldDataManager,
+  ProjectManager,
+} from './ProjectData.js';
 import { WorldLoader } from './WorldLoader.js';
+import { WorldRegistry } from './WorldRegistry.js';
+import { getBoxPlacements } from './BoxLayout.js';
+import { isTouchDevice, prefersReducedMotion } from '../utils/responsive.js';
+import {
+  discoverDoor,
+  isDoorDiscovered,
+  isDoorUsed,
+  markWorldVisited,
+  setActiveCheckpoint,
+} from './SaveData.js';
+import { GAME } from '../config.js';
 
 export class WorldManager {
   constructor(game) {
     this.game = game;
-    this.currentWorldId = 'jersey-shore';
+    this.currentWorldId = WorldRegistry.getHubId();
     this.currentWorld = null;
     this.worlds = new Map();
     this.playerPositions = new Map();
@@ -19,8 +33,13 @@ export class WorldManager {
     this.transitionCallback = null;
     this.initialLevelCleared = false; // Flag to prevent multiple clears
 
+    // Project currently shown in the address bar (?project=), and whether
+    // we pushed that history entry ourselves
+    this.projectInUrl = null;
+    this.pushedProjectEntry = false;
+
     // Initialize main hub position tracking
-    this.playerPositions.set('jersey-shore', { x: 200, y: 350 });
+    this.playerPositions.set(WorldRegistry.getHubId(), { x: 200, y: 350 });
 
     // Initialize URL routing
     this.initializeUrlRouting();
@@ -76,20 +95,28 @@ export class WorldManager {
 
     // Load world using WorldLoader (JSON-driven)
     const WorldLoader = await import('./WorldLoader.js');
-    this.currentWorld = await WorldLoader.WorldLoader.loadWorld(
-      worldId,
-      this.game.physics,
-      this
-    );
+    try {
+      this.currentWorld = await WorldLoader.WorldLoader.loadWorld(
+        worldId,
+        this.game.physics,
+        this
+      );
+    } catch (error) {
+      // Show bad configs in-game rather than leaving a blank world
+      if (this.game.errorOverlay) {
+        this.game.errorOverlay.show(error, `Couldn't load world "${worldId}"`);
+      }
+      throw error;
+    }
 
     // Use JSON spawn point if no position provided
-    if (!spawnPosition && this.currentWorld.config.spawnPoint) {
-      const { isTouchDevice } = await import('../utils/responsive.js');
-      const sp = this.currentWorld.config.spawnPoint;
-      const spawnY = isTouchDevice() && sp.mobileY ? sp.mobileY : sp.y;
-      spawnPosition = { x: sp.x, y: spawnY };
+    if (!spawnPosition) {
+      spawnPosition = this.getWorldSpawnPoint(worldId);
     }
 
+    // Falling below the world's kill plane kills the player
+    this.game.deathY = this.currentWorld.getKillY();
+
     // Position player if provided
     if (this.game.player && spawnPosition) {
       this.game.player.setPosition(spawnPosition.x, spawnPosition.y);
@@ -121,6 +148,13 @@ export class WorldManager {
       }
     }
 
+    markWorldVisited(worldId);
+
+    // Dress the player for this world
+    if (this.game.player) {
+      this.game.player.setCostume(this.currentWorld.config.playerCostume);
+    }
+
     // Update camera boundaries
     if (this.game.camera) {
       const dimensions = this.currentWorld.getDimensions();
@@ -136,6 +170,17 @@ export class WorldManager {
     return this.currentWorld;
   }
 
+  // A world's configured spawn point, with the touch-device height if it
+  // has one
+  getWorldSpawnPoint(worldId) {
+    const config = WorldRegistry.getConfig(worldId);
+    const sp = config && config.spawnPoint;
+    if (!sp) return null;
+
+    const spawnY = isTouchDevice() && sp.mobileY ? sp.mobileY : sp.y;
+    return { x: sp.x, y: spawnY };
+  }
+
   // Clear only the initial Level (not currentWorld)
   clearInitialLevel() {
     if (
@@ -190,6 +235,11 @@ export class WorldManager {
       });
       this.game.doors = [];
     }
+
+    // Clear portals, checkpoint flags and enemies (no physics bodies)
+    this.game.portals = [];
+    this.game.checkpoints = [];
+    this.game.enemies = [];
   }
 
 
@@ -202,6 +252,8 @@ export class WorldManager {
   checkDoorCollisions(player) {
     if (!this.game.doors || this.isTransitioning) return;
 
+    const view = this.game.camera.getViewRect();
+
     this.game.doors.forEach((door) => {
       // Check proximity for hover effects
       door.checkPlayerProximity(player);
@@ -221,12 +273,142 @@ export class WorldManager {
         height: door.height,
       };
 
+      // Once a door has been on screen it's a fast-travel stop
+      if (
+        this.isColliding(view, doorBounds) &&
+        !isDoorDiscovered(this.currentWorldId, door.id)
+      ) {
+        discoverDoor(this.currentWorldId, door.id);
+        this.game.hud.showNotification(
+          `Found door: ${door.transitionData.name}`
+        );
+      }
+
       if (this.isColliding(playerBounds, doorBounds)) {
         door.onPlayerCollision(player);
       }
     });
   }
 
+  // Open the portal menu when the player steps into a portal. It opens
+  // once per visit, so closing it while standing inside doesn't reopen it.
+  checkPortalCollisions(player) {
+    if (!this.game.portals || this.isTransitioning) return;
+
+    const playerBounds = {
+      x: player.x - 16,
+      y: player.y - 16,
+      width: 32,
+      height: 32,
+    };
+
+    this.game.portals.forEach((portal) => {
+      const inside = this.isColliding(playerBounds, {
+        x: portal.x,
+        y: portal.y,
+        width: portal.width,
+        height: portal.height,
+      });
+
+      if (inside && !portal.playerInside) {
+        this.game.portalMenu.show(portal);
+      }
+      portal.playerInside = inside;
+    });
+  }
+
+  // Touching a flag that isn't raised makes it the world's respawn point
+  checkCheckpointCollisions(player) {
+    if (!this.game.checkpoints || this.isTransitioning || player.isDead) {
+      return;
+    }
+
+    const playerBounds = {
+      x: player.x - 16,
+      y: player.y - 16,
+      width: 32,
+      height: 32,
+    };
+
+    this.game.checkpoints.forEach((flag) => {
+      if (flag.active || !this.isColliding(playerBounds, flag)) return;
+
+      // One raised flag per world
+      this.game.checkpoints.forEach((other) => other.deactivate());
+      flag.activate({ animate: !prefersReducedMotion() });
+      setActiveCheckpoint(this.currentWorldId, flag.id);
+
+      this.game.audioManager.playCheckpoint();
+      flag.createRaiseEffect(this.game.particleSystem);
+      this.game.hud.showNotification('Checkpoint reached');
+    });
+  }
+
+  /**
+   * Worlds reachable from a world's portal. Links are two-way, so a world
+   * also reaches every portal that lists it.
+   * @param {string} worldId - World the portal is in
+   * @returns {Array<{worldId: string, name: string, worldName: string,
+   *   unlocked: boolean}>} Destinations in registry order
+   */
+  getPortalDestinations(worldId) {
+    const config = WorldRegistry.getConfig(worldId);
+    if (!config || !config.portal) return [];
+    const links = config.portal.links || [];
+
+    return WorldRegistry.getAllWorlds()
+      .filter(({ id }) => {
+        if (id === worldId) return false;
+        const portal = WorldRegistry.getConfig(id).portal;
+        if (!portal) return false;
+        return links.includes(id) || (portal.links || []).includes(worldId);
+      })
+      .map(({ id, name }) => ({
+        worldId: id,
+        name: WorldRegistry.getConfig(id).portal.name,
+        worldName: name,
+        unlocked: this.isPortalUnlocked(id),
+      }));
+  }
+
+  // A portal destination opens up once the player has walked through any
+  // door leading to that world
+  isPortalUnlocked(worldId) {
+    return WorldRegistry.getAllWorlds().some(({ id }) =>
+      Object.entries(WorldRegistry.getConfig(id).doors || {}).some(
+        ([doorId, door]) =>
+          door.targetWorld === worldId && isDoorUsed(id, doorId)
+      )
+    );
+  }
+
+  // Step out next to the destination world's portal
+  async travelThroughPortal(targetWorldId) {
+    const destination = this.getPortalDestinations(this.currentWorldId).find(
+      ({ worldId }) => worldId === targetWorldId
+    );
+    if (!destination || !destination.unlocked) return;
+
+    const { portal } = WorldRegistry.getConfig(targetWorldId);
+    await this.transitionToWorld(
+      targetWorldId,
+      { x: Math.max(0, portal.x - GAME.FAST_TRAVEL_OFFSET), y: portal.y },
+      'portal'
+    );
+  }
+
+  // The hub door that leads to a world, where its exit door brings the
+  // player back out
+  getHubDoorTo(worldId) {
+    const hubId = WorldRegistry.getHubId();
+    const doors = WorldRegistry.getConfig(hubId).doors || {};
+    const door = Object.values(doors).find(
+      ({ targetWorld, doorType }) =>
+        targetWorld === worldId && doorType === 'entry'
+    );
+    return door ? { sourceWorld: hubId, doorX: door.x, doorY: door.y } : null;
+  }
+
   // Simple collision detection helper
   isColliding(rect1, rect2) {
     return (
@@ -243,18 +425,30 @@ export class WorldManager {
     this.worlds.clear();
     this.playerPositions.clear();
     // Reset to main hub defaults
-    this.playerPositions.set('jersey-shore', { x: 200, y: 350 });
+    this.playerPositions.set(WorldRegistry.getHubId(), { x: 200, y: 350 });
   }
 
   // Initialize URL-based routing
   initializeUrlRouting() {
     // Listen for URL changes (back/forward navigation)
     window.addEventListener('popstate', (event) => {
-      if (event.state && event.state.worldId) {
-        this.transitionToWorldFromUrl(
-          event.state.worldId,
-          event.state.position
-        );
+      const state = event.state || {};
+
+      if (state.projectId) {
+        this.openProjectFromUrl(state.projectId);
+        return;
+      }
+
+      // Navigated away from a project entry - close its modal without
+      // touching history again
+      const modal = this.game.projectModal;
+      if (this.projectInUrl && modal && modal.isVisible) {
+        this.projectInUrl = null;
+        modal.hide(this.game);
+      }
+
+      if (state.worldId) {
+        this.transitionToWorldFromUrl(state.worldId, state.position);
       }
     });
 
@@ -268,6 +462,16 @@ export class WorldManager {
     const worldParam = urlParams.get('world');
     const x = parseFloat(urlParams.get('x')) || null;
     const y = parseFloat(urlParams.get('y')) || null;
+    const projectId = this.getProjectIdFromUrl();
+
+    // A project link wins over world coordinates
+    if (projectId) {
+      console.log(`Opening project from URL: ${projectId}`);
+      setTimeout(() => {
+        this.openProjectFromUrl(projectId);
+      }, 100);
+      return;
+    }
 
     if (worldParam && this.isValidWorldId(worldParam)) {
       console.log(`Loading world from URL: ${worldParam}`);
@@ -279,13 +483,130 @@ export class WorldManager {
     }
   }
 
-  // Validate world ID
-  isValidWorldId(worldId) {
-    return ['jersey-shore', 'vibe-coding', 'healthcare', 'georgia-tech'].includes(
-      worldId
+  // Project id from ?project=<id> or the path form /project/<id>. The path
+  // form is rewritten to the query form so the rest of routing sees one
+  // shape.
+  getProjectIdFromUrl() {
+    const url = new URL(window.location.href);
+    const pathMatch = url.pathname.match(/\/project\/([^/]+)\/?$/);
+
+    if (pathMatch) {
+      const projectId = decodeURIComponent(pathMatch[1]);
+      url.pathname = url.pathname.slice(0, pathMatch.index + 1);
+      url.searchParams.set('project', projectId);
+      window.history.replaceState(null, '', url.toString());
+      return projectId;
+    }
+
+    return url.searchParams.get('project');
+  }
+
+  // Load the project's world, stand the player next to its mystery box and
+  // open the project modal
+  async openProjectFromUrl(projectId) {
+    const project = ProjectManager.getProjectById(projectId);
+    if (!project || !this.isValidWorldId(project.world)) {
+      console.warn(`Unknown project in URL: ${projectId}`);
+      return;
+    }
+
+    // Don't race the hub's first load
+    await this.game.hubLoaded;
+
+    // The modal shows one project at a time
+    const modal = this.game.projectModal;
+    if (modal.isVisible) return;
+
+    const position = this.getProjectSpawnPosition(project);
+
+    if (this.currentWorldId !== project.world) {
+      await this.transitionToWorld(project.world, position, 'project');
+    } else if (position && this.game.player) {
+      this.game.player.setPosition(position.x, position.y);
+    }
+
+    modal.show(project, this.game, { collectibleType: project.collectible });
+  }
+
+  // Spot just left of the project's mystery box, at the world's spawn height
+  // or the box's bottom edge if that's higher, so the player drops onto
+  // whatever the box floats over
+  getProjectSpawnPosition(project) {
+    const config = WorldRegistry.getConfig(project.world);
+    if (!config || !config.mysteryBoxes || !config.spawnPoint) return null;
+
+    const projects = WorldDataManager.getProjectsByWorld(project.world);
+    const index = projects.findIndex(
+      (worldProject) => worldProject.id === project.id
+    );
+    const box = getBoxPlacements(config, projects)[index];
+    const spawn = this.getWorldSpawnPoint(project.world);
+
+    return {
+      x: Math.max(0, box.x - 80),
+      y: Math.min(spawn.y, box.y + box.height),
+    };
+  }
+
+  // Called by the modal when it opens a project. `replace` is for paging
+  // between projects inside the open modal, so closing it is still one step.
+  setProjectUrl(project, { replace = false } = {}) {
+    const url = new URL(window.location.href);
+    const alreadyInUrl = url.searchParams.get('project') === project.id;
+
+    url.searchParams.set('project', project.id);
+    url.searchParams.delete('world');
+    url.searchParams.delete('x');
+    url.searchParams.delete('y');
+
+    const state = { worldId: this.currentWorldId, projectId: project.id };
+    if (replace && this.projectInUrl) {
+      window.history.replaceState(state, '', url.toString());
+    } else if (alreadyInUrl) {
+      // Page load or back/forward - the entry already exists
+      window.history.replaceState(state, '', url.toString());
+      this.pushedProjectEntry = false;
+    } else {
+      window.history.pushState(state, '', url.toString());
+      this.pushedProjectEntry = true;
+    }
+
+    this.projectInUrl = project.id;
+    document.title = `Beau's Portfolio - ${project.title}`;
+  }
+
+  // Called by the modal when it closes
+  clearProjectUrl() {
+    if (!this.projectInUrl) return;
+    this.projectInUrl = null;
+
+    document.title = `Beau's Portfolio - ${this.getWorldDisplayName(this.currentWorldId)}`;
+
+    if (this.pushedProjectEntry) {
+      // Step back to the entry we came from; popstate sees no project and
+      // the world is already loaded, so nothing else happens
+      this.pushedProjectEntry = false;
+      window.history.back();
+      return;
+    }
+
+    // Opened from a shared link - there's nothing of ours to go back to, so
+    // turn this entry into the world URL instead
+    const url = new URL(window.location.href);
+    url.searchParams.delete('project');
+    url.searchParams.set('world', this.currentWorldId);
+    window.history.replaceState(
+      { worldId: this.currentWorldId },
+      '',
+      url.toString()
     );
   }
 
+  // Validate world ID against the worlds found in src/data/worlds
+  isValidWorldId(worldId) {
+    return WorldRegistry.has(worldId);
+  }
+
   // Transition from URL (no door interaction)
   async transitionToWorldFromUrl(worldId, position = null) {
     if (this.currentWorldId === worldId) {
@@ -299,6 +620,7 @@ export class WorldManager {
   updateUrl(worldId, position = null) {
     const url = new URL(window.location.href);
     url.searchParams.set('world', worldId);
+    url.searchParams.delete('project');
 
     if (position) {
       url.searchParams.set('x', Math.round(position.x).toString());
@@ -321,13 +643,7 @@ export class WorldManager {
 
   // Get display name for world
   getWorldDisplayName(worldId) {
-    const names = {
-      'jersey-shore': 'Jersey Shore Hub',
-      'vibe-coding': 'Vibe Coding World',
-      healthcare: 'Healthcare World',
-      'georgia-tech': 'Georgia Tech World',
-    };
-    return names[worldId] || 'Unknown World';
+    return WorldRegistry.getDisplayName(worldId);
   }
 
   // Preload world assets for better performance (now simplified with WorldLoader)
@@ -376,6 +692,20 @@ export class WorldManager {
         console.log(`Saved entry door position for ${targetWorldId}:`, doorPosition);
       }
 
+      // Arriving any other way (portal, fast travel, links) keeps the entry
+      // door we already know about, or falls back to the hub's door to this
+      // world, so the exit door still lands the player beside it
+      if (
+        doorType !== 'entry' &&
+        doorType !== 'exit' &&
+        !this.entryDoorPositions.has(targetWorldId)
+      ) {
+        const hubDoor = this.getHubDoorTo(targetWorldId);
+        if (hubDoor) {
+          this.entryDoorPositions.set(targetWorldId, hubDoor);
+        }
+      }
+
       // Determine spawn position
       let newPosition = spawnPoint;
       if (!newPosition) {
@@ -399,8 +729,9 @@ export class WorldManager {
       // Load the target world (all worlds treated equally)
       await this.loadWorld(targetWorldId, newPosition);
 
-      // Update URL (except for initial load)
-      if (doorType !== 'initial') {
+      // Update URL (except for initial load, and project links which put
+      // the project in the URL once its modal opens)
+      if (doorType !== 'initial' && doorType !== 'project') {
         this.updateUrl(targetWorldId, newPosition);
       }
 
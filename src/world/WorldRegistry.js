@@ -0,0 +1,81 @@
+// World Registry
+// Single source of truth for which worlds exist. Every folder with a
+// src/data/worlds/<id>/config.json is discovered at build time, so adding a
+// world means adding a folder - no JS changes needed.
+
+const configModules = import.meta.glob('../data/worlds/*/config.json', {
+  eager: true,
+  import: 'default',
+});
+
+const DEFAULT_THEME_COLOR = '#708090';
+
+function configPathFor(worldId) {
+  return `/src/data/worlds/${worldId}/config.json`;
+}
+
+// Build registry entries keyed by folder name (the world id)
+const worlds = new Map();
+Object.entries(configModules).forEach(([modulePath, config]) => {
+  const id = modulePath.split('/').slice(-2)[0];
+
+  worlds.set(id, {
+    id,
+    name: config.name || id,
+    description: config.description || '',
+    themeColor: config.themeColor || DEFAULT_THEME_COLOR,
+    isHub: config.hub === true,
+    configPath: configPathFor(id),
+    config,
+  });
+});
+
+// Hub first, then alphabetical so lists and maps are stable
+const sortedWorlds = Array.from(worlds.values()).sort((a, b) => {
+  if (a.isHub !== b.isHub) return a.isHub ? -1 : 1;
+  return a.id.localeCompare(b.id);
+});
+
+export class WorldRegistry {
+  static getAllWorlds() {
+    return sortedWorlds;
+  }
+
+  static getWorldIds() {
+    return sortedWorlds.map((world) => world.id);
+  }
+
+  static has(worldId) {
+    return worlds.has(worldId);
+  }
+
+  static getWorld(worldId) {
+    return worlds.get(worldId) || null;
+  }
+
+  // Fresh copy of the raw config so loaded worlds can't mutate the registry
+  static getConfig(worldId) {
+    const world = worlds.get(worldId);
+    return world ? JSON.parse(JSON.stringify(world.config)) : null;
+  }
+
+  static getConfigPath(worldId) {
+    return configPathFor(worldId);
+  }
+
+  static getDisplayName(worldId) {
+    const world = worlds.get(worldId);
+    return world ? world.name : 'Unknown World';
+  }
+
+  static getThemeColor(worldId) {
+    const world = worlds.get(worldId);
+    return world ? world.themeColor : DEFAULT_THEME_COLOR;
+  }
+
+  // The hub is the world flagged with "hub": true in its config
+  static getHubId() {
+    const hub = sortedWorlds.find((world) => world.isHub);
+    return hub ? hub.id : sortedWorlds[0]?.id;
+  }
+}
@@ -52,7 +52,7 @@ export default defineConfig({
             'src/rendering/Audio.js',
             'src/rendering/Particles.js',
             'src/rendering/Background.js',
-            'src/rendering/UI.js',
+            'src/rendering/HUD.js',
           ],
         },
       },